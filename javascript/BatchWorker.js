@@ -0,0 +1,35 @@
+// ===========================================
+// root/javascript/BatchWorker.js — module worker that runs headless batch games off the main thread
+// ===========================================
+
+import GameSimulation from './GameSimulation.js';
+import { config } from './config.js';
+import { loadCustomBots } from './bots/customBots.js';
+
+self.onmessage = async (event) => {
+    const { type, gameNumber, gameConfig, userId, customBots } = event.data;
+    if (type !== 'run') return;
+    self.CULTURE_WAR_USER_ID = userId; // GameState builds stat game ids from it
+    const failures = await loadCustomBots(customBots); // workshop bots in this game, the trial worker already checked them
+    if (failures.length > 0) {
+        self.postMessage({ type: 'error', gameNumber, message: `custom bot ${failures[0].value} did not load: ${failures[0].error}` });
+        return;
+    }
+    const statsRelay = { // stands in for StatsTracker, records are stored on the main thread
+        report: (data) => self.postMessage({ type: 'stats', gameNumber, data })
+    };
+    try {
+        const simulation = new GameSimulation(gameConfig, statsRelay);
+        const totalTicks = simulation.timerManager.durationTicks;
+        while (!simulation.gameOver) {
+            simulation.step();
+            const tick = simulation.gameState.elapsedTicks;
+            if (tick % config.batch.progressIntervalTicks === 0) {
+                self.postMessage({ type: 'progress', gameNumber, tick, totalTicks });
+            }
+        }
+        self.postMessage({ type: 'done', gameNumber, summary: simulation.gameState.getSummary() });
+    } catch (error) {
+        self.postMessage({ type: 'error', gameNumber, message: error.message });
+    }
+};
\ No newline at end of file
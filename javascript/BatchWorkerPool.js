@@ -0,0 +1,120 @@
+// ===========================================
+// root/javascript/BatchWorkerPool.js — spreads a headless batch over a pool of BatchWorkers, one game per worker at a time
+// ===========================================
+
+import { config } from './config.js';
+import { getCustomBotEntries } from './bots/customBots.js';
+
+export default class BatchWorkerPool {
+    constructor(gameConfig, totalGames, callbacks = {}) {
+        this.gameConfig = gameConfig;
+        this.totalGames = totalGames;
+        this.onStats = callbacks.onStats || (() => {});
+        this.onProgress = callbacks.onProgress || (() => {});
+        this.onComplete = callbacks.onComplete || (() => {});
+        this.nextGameIndex = 0;
+        this.completed = 0;
+        this.failed = 0;
+        this.isRunning = false;
+        const cores = navigator.hardwareConcurrency || 2;
+        this.workerCount = Math.max(1, Math.min(cores, config.batch.maxWorkers, totalGames));
+        this.workers = []; // { worker, id, gameNumber, progress, gamesCompleted }
+        this.customBots = getCustomBotEntries(gameConfig.players); // workers have only the built-in bots of their own
+    }
+    static isSupported() {
+        return typeof Worker !== 'undefined';
+    }
+    start() {
+        this.isRunning = true;
+        for (let i = 0; i < this.workerCount; i++) {
+            const worker = new Worker(new URL('./BatchWorker.js', import.meta.url), { type: 'module' });
+            const slot = { worker, id: i + 1, gameNumber: null, progress: 0, gamesCompleted: 0 };
+            worker.onmessage = (event) => this.handleMessage(slot, event.data);
+            worker.onerror = (event) => this.handleWorkerError(slot, event);
+            this.workers.push(slot);
+            this.dispatchNext(slot);
+        }
+        this.reportProgress();
+    }
+    cancel() {
+        if (!this.isRunning) return;
+        this.finish(true);
+    }
+    dispatchNext(slot) {
+        if (this.nextGameIndex >= this.totalGames) {
+            slot.gameNumber = null;
+            slot.progress = 0;
+            return;
+        }
+        const gameIndex = this.nextGameIndex++;
+        slot.gameNumber = gameIndex + 1;
+        slot.progress = 0;
+        slot.worker.postMessage({
+            type: 'run',
+            gameNumber: slot.gameNumber,
+            gameConfig: { ...this.gameConfig, seed: this.gameConfig.seed + gameIndex }, // every game of a batch gets its own map
+            userId: window.CULTURE_WAR_USER_ID,
+            customBots: this.customBots
+        });
+    }
+    handleMessage(slot, message) {
+        if (!this.isRunning) return;
+        if (message.type === 'stats') {
+            this.onStats(message.data);
+        } else if (message.type === 'progress') {
+            slot.progress = message.tick / message.totalTicks;
+            this.reportProgress();
+        } else if (message.type === 'done' || message.type === 'error') {
+            if (message.type === 'error') {
+                console.error(`Batch game ${message.gameNumber} failed in worker ${slot.id}:`, message.message);
+                this.failed++;
+            }
+            this.completed++;
+            slot.gamesCompleted++;
+            this.dispatchNext(slot);
+            this.reportProgress();
+            if (this.completed >= this.totalGames) {
+                this.finish(false);
+            }
+        }
+    }
+    handleWorkerError(slot, event) { // the worker itself broke (e.g. failed to load), its current game is lost
+        console.error(`Batch worker ${slot.id} crashed:`, event.message);
+        event.preventDefault();
+        slot.worker.terminate();
+        this.workers = this.workers.filter(s => s !== slot);
+        if (slot.gameNumber !== null) {
+            this.failed++;
+            this.completed++;
+        }
+        if (this.workers.length === 0) { // nobody left to run the remaining games
+            this.failed += this.totalGames - this.completed;
+            this.completed = this.totalGames;
+        }
+        this.reportProgress();
+        if (this.completed >= this.totalGames) {
+            this.finish(false);
+        }
+    }
+    reportProgress() {
+        this.onProgress({
+            completed: this.completed,
+            failed: this.failed,
+            totalGames: this.totalGames,
+            workers: this.workers.map(slot => ({
+                id: slot.id,
+                gameNumber: slot.gameNumber,
+                progress: slot.progress,
+                gamesCompleted: slot.gamesCompleted
+            }))
+        });
+    }
+    finish(cancelled) {
+        this.isRunning = false;
+        for (const slot of this.workers) {
+            slot.worker.terminate();
+        }
+        this.workers = [];
+        this.onComplete({ completed: this.completed, failed: this.failed, totalGames: this.totalGames, cancelled });
+    }
+}
\ No newline at end of file
@@ -0,0 +1,134 @@
+// ===========================================
+// root/javascript/BotSupervisor.js — runs bot code under watch: catches exceptions, times each decision, forfeits repeat offenders
+// ===========================================
+
+import { config } from './config.js';
+
+export default class BotSupervisor {
+    constructor(game) {
+        this.game = game;
+        this.budgetMs = config.sandbox.decisionBudgetMs;
+        this.maxStrikes = config.sandbox.maxStrikes;
+        this.records = {}; // playerId -> per-bot counters, see register()
+    }
+    register(playerId, botName) {
+        this.records[playerId] = {
+            playerId,
+            bot: botName,
+            decisions: 0,
+            totalTimeMs: 0,
+            maxTimeMs: 0,
+            slowDecisions: 0, // decisions over budget, their result is thrown away
+            errors: 0,
+            lastError: null,
+            strikes: 0,
+            forfeited: false,
+            forfeitTick: null,
+            forfeitReason: null
+        };
+        return this.records[playerId];
+    }
+    createController(playerId, botName, AIClass, api) { // the constructor is bot code too, a bot that can't be built forfeits straight away
+        this.register(playerId, botName);
+        try {
+            return new AIClass(api, playerId);
+        } catch (error) {
+            this.failStart(playerId, error);
+            return null;
+        }
+    }
+    failStart(playerId, error) { // also called for a worker that reports its bot couldn't be built
+        const record = this.records[playerId];
+        this.recordError(record, error);
+        this.forfeit(record, `crashed on start: ${record.lastError}`);
+    }
+    runDecision(playerId, aiController, dt) { // the bot's decision, or null if it threw, ran over budget or has forfeited
+        const record = this.records[playerId];
+        if (!record || record.forfeited) return null;
+        const start = performance.now();
+        let decision = null;
+        let error = null;
+        try {
+            decision = aiController.makeDecision(dt);
+        } catch (e) {
+            error = e;
+        }
+        return this.review(record, decision, error, performance.now() - start);
+    }
+    reviewResult(playerId, result) { // same rules for a bot in a worker, which times its own decision and reports any error as text
+        const record = this.records[playerId];
+        if (!record || record.forfeited) return null;
+        return this.review(record, result.decision, result.error, result.elapsedMs);
+    }
+    review(record, decision, error, elapsed) {
+        record.decisions++;
+        record.totalTimeMs += elapsed;
+        record.maxTimeMs = Math.max(record.maxTimeMs, elapsed);
+        if (error) {
+            this.recordError(record, error);
+            console.warn(`Bot ${record.bot} (${record.playerId}) threw during makeDecision:`, error);
+            this.addStrike(record, `threw ${record.errors} time${record.errors === 1 ? '' : 's'}: ${record.lastError}`);
+            return null;
+        }
+        if (this.budgetMs > 0 && elapsed > this.budgetMs) { // too late to interrupt, but the slow answer doesn't count
+            record.slowDecisions++;
+            this.addStrike(record, `${record.slowDecisions} decision${record.slowDecisions === 1 ? '' : 's'} over the ${this.budgetMs}ms budget`);
+            return null;
+        }
+        return decision;
+    }
+    stopResponding(playerId, waitedMs) { // a worker that never answered has been terminated, nothing left to strike
+        const record = this.records[playerId];
+        if (!record) return;
+        record.decisions++;
+        record.slowDecisions++;
+        record.maxTimeMs = Math.max(record.maxTimeMs, waitedMs);
+        this.forfeit(record, `stopped responding for ${Math.round(waitedMs)}ms`);
+    }
+    recordError(record, error) {
+        record.errors++;
+        record.lastError = error && error.message ? error.message : String(error);
+    }
+    addStrike(record, reason) {
+        record.strikes++;
+        if (record.strikes >= this.maxStrikes) {
+            this.forfeit(record, reason);
+        }
+    }
+    forfeit(record, reason) { // the bot sits out the rest of the game, its planets and fleets stay on the map
+        if (record.forfeited) return;
+        record.forfeited = true;
+        record.forfeitTick = this.game.gameState.elapsedTicks;
+        record.forfeitReason = reason;
+        this.game.gameState.recordEvent('forfeit', { playerId: record.playerId });
+        console.warn(`Bot ${record.bot} (${record.playerId}) forfeits: ${reason}`);
+    }
+    isForfeited(playerId) {
+        return !!(this.records[playerId] && this.records[playerId].forfeited);
+    }
+    getFaults(playerId) { // the counters that go into the stats, zeros for humans and replays
+        const record = this.records[playerId];
+        return {
+            errors: record ? record.errors : 0,
+            slowDecisions: record ? record.slowDecisions : 0,
+            forfeited: record ? record.forfeited : false
+        };
+    }
+    getReport() { // bots that threw, ran slow or forfeited, for the game-over screen
+        return Object.values(this.records)
+            .filter(record => record.errors > 0 || record.slowDecisions > 0 || record.forfeited)
+            .map(record => ({
+                playerId: record.playerId,
+                bot: record.bot,
+                decisions: record.decisions,
+                avgTimeMs: record.decisions > 0 ? record.totalTimeMs / record.decisions : 0,
+                maxTimeMs: record.maxTimeMs,
+                slowDecisions: record.slowDecisions,
+                errors: record.errors,
+                lastError: record.lastError,
+                forfeited: record.forfeited,
+                forfeitTick: record.forfeitTick,
+                forfeitReason: record.forfeitReason
+            }));
+    }
+}
\ No newline at end of file
@@ -0,0 +1,79 @@
+// ===========================================
+// root/javascript/BotTrialWorker.js — module worker that checks user-written bots, so their code never runs on the page: a short match for a new bot, a load check for saved ones
+// ===========================================
+
+import GameSimulation from './GameSimulation.js';
+import { config } from './config.js';
+import { loadBotClass, loadCustomBot, describeDecisionProblem } from './bots/customBots.js';
+
+const TRIAL_BOT_VALUE = '__trial__';
+
+self.onmessage = async (event) => {
+    const { type } = event.data;
+    if (type === 'trial') {
+        await runTrial(event.data.source);
+    } else if (type === 'check') {
+        await checkBots(event.data.bots);
+    }
+};
+
+async function checkBots(bots) { // bots: [{ value, source }] saved earlier, answers with the ones that no longer load
+    const failures = [];
+    for (const { value, source } of bots) {
+        try {
+            await loadBotClass(source);
+        } catch (error) {
+            failures.push({ value, error: error.message });
+        }
+    }
+    self.postMessage({ type: 'checked', failures });
+}
+
+async function runTrial(source) {
+    try {
+        await loadCustomBot({ value: TRIAL_BOT_VALUE, name: 'Trial', description: '', creationDate: '', source });
+    } catch (error) {
+        self.postMessage({ type: 'result', errors: [error.message], warnings: [] });
+        return;
+    }
+    const simulation = new GameSimulation({
+        players: [
+            { id: 'player1', type: 'bot', aiController: TRIAL_BOT_VALUE },
+            { id: 'player2', type: 'bot', aiController: config.player.defaultAIValue }
+        ],
+        planetDensity: config.planetGeneration.density.default,
+        seed: config.workshop.trialSeed
+    });
+    const problems = [];
+    const bot = simulation.playersController.aiControllers.player1;
+    if (bot) { // check every answer against the contract before PlayersController sees it
+        const makeDecision = bot.makeDecision.bind(bot);
+        bot.makeDecision = (dt) => {
+            const decision = makeDecision(dt);
+            const problem = describeDecisionProblem(decision);
+            if (problem && !problems.includes(problem)) {
+                problems.push(problem);
+            }
+            return decision;
+        };
+    }
+    for (let i = 0; i < config.workshop.trialTicks && !simulation.gameOver; i++) {
+        simulation.step();
+    }
+    const record = simulation.playersController.supervisor.records.player1;
+    const errors = problems.map(problem => `makeDecision ${problem}.`);
+    const warnings = [];
+    if (record.forfeited) {
+        errors.push(`It forfeited the trial match: ${record.forfeitReason}.`);
+    } else if (record.errors > 0) {
+        errors.push(`makeDecision threw ${record.errors} time${record.errors === 1 ? '' : 's'}: ${record.lastError}`);
+    }
+    if (record.slowDecisions > 0) {
+        warnings.push(`${record.slowDecisions} decision${record.slowDecisions === 1 ? '' : 's'} took longer than the ${config.sandbox.decisionBudgetMs}ms budget (slowest ${Math.round(record.maxTimeMs)}ms).`);
+    }
+    const ordersGiven = simulation.commandLog.entries.filter(entry => entry[4] === 'player1').length;
+    if (errors.length === 0 && ordersGiven === 0) {
+        warnings.push(`It never sent troops during the ${config.workshop.trialTicks / config.game.ticksPerSecond}s trial match.`);
+    }
+    self.postMessage({ type: 'result', errors, warnings, decisions: record.decisions, ordersGiven });
+}
\ No newline at end of file
@@ -0,0 +1,59 @@
+// ===========================================
+// root/javascript/BotView.js — the slice of a game that GameAPI reads, rebuilt from a bot snapshot; what bots in workers and bots under fog of war play against
+// ===========================================
+
+import Planet from './Planet.js';
+import TroopMovement from './TroopMovement.js';
+import { createCombatResolver } from './combat/index.js';
+
+export default class BotView {
+    constructor(players) {
+        this.planets = [];
+        this.troopMovements = [];
+        this.playersController = { players };
+        this.gameState = { activePlayers: new Set(), elapsedTicks: 0, elapsedGameTime: 0 };
+        this.fogOfWar = false;
+        this.fleetCollisions = false;
+        this.visiblePlanetIds = new Set(); // under fog of war, the planets in sensor range at this tick
+        this.lastSeen = new Map(); // under fog of war, planetId -> game time its owner and troops were last seen
+        this.planetsById = new Map(); // planets are updated in place, so a bot holding on to one still sees it change
+        this.victoryInfo = null;
+        this.combat = createCombatResolver(); // predicts only, the snapshot says which model
+    }
+    applySnapshot(snapshot) {
+        this.planets = snapshot.planets.map(data => {
+            let planet = this.planetsById.get(data.id);
+            if (!planet) {
+                planet = new Planet(data.x, data.y, data.size, data.troops, data.owner, this);
+                planet.id = data.id;
+                planet.setType(data.type);
+                this.planetsById.set(data.id, planet);
+            }
+            planet.troops = data.troops;
+            planet.owner = data.owner;
+            return planet;
+        });
+        this.troopMovements = snapshot.troopMovements.map(data => {
+            const movement = new TroopMovement(this.planetsById.get(data.fromId), this.planetsById.get(data.toId), data.amount, data.owner, this);
+            movement.setCourse(data.startX, data.startY, movement.to);
+            movement.progress = data.progress;
+            movement.id = data.id;
+            movement.orderedAt = data.orderedAt;
+            return movement;
+        });
+        this.gameState.activePlayers = new Set(snapshot.activePlayers);
+        this.gameState.elapsedTicks = snapshot.tick;
+        this.gameState.elapsedGameTime = snapshot.elapsedGameTime;
+        this.fogOfWar = !!snapshot.fogOfWar;
+        this.fleetCollisions = !!snapshot.fleetCollisions;
+        this.visiblePlanetIds = new Set(snapshot.planets.filter(data => data.visible).map(data => data.id));
+        this.lastSeen = new Map(snapshot.planets.map(data => [data.id, data.lastSeen]));
+        this.victoryInfo = snapshot.victory;
+        if (this.combat.type !== snapshot.combatModel) {
+            this.combat = createCombatResolver(snapshot.combatModel);
+        }
+    }
+    getVictoryInfo() {
+        return this.victoryInfo;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,78 @@
+// ===========================================
+// root/javascript/BotWorker.js — runs one bot off the main thread, against a copy of the game rebuilt from each snapshot
+// ===========================================
+
+import botRegistry from './bots/index.js';
+import GameAPI from './GameAPI.js';
+import BaseBot from './bots/BaseBot.js';
+import BotView from './BotView.js';
+import { loadBotClass } from './bots/customBots.js';
+import { captureBotDebug } from './bots/BotDebug.js';
+
+const view = new BotView([]); // the same API and objects as in the main thread, rebuilt from each snapshot
+let bot = null;
+let starting = Promise.resolve(); // decide messages wait until the bot is built, workshop bots load asynchronously
+
+BaseBot.logHandler = (line) => self.postMessage({ type: 'log', line });
+
+function copyOrder(order) { // plain copy of an order, whatever else the bot put on it
+    if (!order || typeof order !== 'object') return null;
+    if (order.type === 'redirect' || order.type === 'recall') {
+        return { type: order.type, fleetId: order.fleetId, toId: order.toId };
+    }
+    return { type: order.type, fromId: order.fromId, toId: order.toId, troops: order.troops };
+}
+
+function toMessageError(error) {
+    return error && error.message ? error.message : String(error);
+}
+
+async function startBot({ playerId, aiController, source, players }) {
+    view.playersController.players = players;
+    try {
+        let BotClass;
+        if (source) {
+            BotClass = await loadBotClass(source);
+        } else {
+            const entry = botRegistry.find(b => b.value === aiController);
+            if (!entry) {
+                throw new Error(`AI type "${aiController}" not found in registry`);
+            }
+            BotClass = entry.class;
+        }
+        bot = new BotClass(new GameAPI(view, playerId), playerId);
+        self.postMessage({ type: 'ready' });
+    } catch (error) {
+        self.postMessage({ type: 'ready', error: toMessageError(error) });
+    }
+}
+
+function decide({ requestId, snapshot, dt }) {
+    if (!bot) {
+        self.postMessage({ type: 'decision', requestId, decision: null, error: 'bot did not start', elapsedMs: 0 });
+        return;
+    }
+    view.applySnapshot(snapshot);
+    const start = performance.now();
+    let decision = null;
+    let error = null;
+    try {
+        const result = bot.makeDecision(dt);
+        if (result) {
+            decision = Array.isArray(result) ? result.map(copyOrder) : copyOrder(result);
+        }
+    } catch (e) {
+        error = toMessageError(e);
+    }
+    const elapsedMs = performance.now() - start;
+    self.postMessage({ type: 'decision', requestId, decision, error, elapsedMs, debug: captureBotDebug(bot) });
+}
+
+self.onmessage = (event) => {
+    const message = event.data;
+    if (message.type === 'init') { // { playerId, aiController, source, players }
+        starting = startBot(message);
+    } else if (message.type === 'decide') { // { requestId, snapshot, dt }
+        starting.then(() => decide(message));
+    }
+};
\ No newline at end of file
@@ -0,0 +1,32 @@
+// ===========================================
+// root/javascript/CommandLog.js — records every troop dispatch and fleet redirect by tick so a game can be played back without its players
+// ===========================================
+
+export default class CommandLog {
+    constructor(entries = []) {
+        this.entries = entries; // compact tuples: [tick, fromId, toId, amount, owner], a redirect has the fleet's id for fromId and a null amount
+        this.cursor = 0; // playback position into entries
+    }
+    record(tick, fromId, toId, amount, owner) {
+        this.entries.push([tick, fromId, toId, amount, owner]);
+    }
+    recordRedirect(tick, fleetId, toId, owner) {
+        this.entries.push([tick, fleetId, toId, null, owner]);
+    }
+    takeCommandsForTick(tick) { // returns every command issued on this tick, in the order they were issued
+        const commands = [];
+        while (this.cursor < this.entries.length && this.entries[this.cursor][0] <= tick) {
+            const [commandTick, fromId, toId, amount, owner] = this.entries[this.cursor];
+            if (commandTick === tick && amount === null) {
+                commands.push({ tick: commandTick, fleetId: fromId, toId, owner, redirect: true });
+            } else if (commandTick === tick) {
+                commands.push({ tick: commandTick, fromId, toId, amount, owner });
+            }
+            this.cursor++;
+        }
+        return commands;
+    }
+    isExhausted() {
+        return this.cursor >= this.entries.length;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,109 @@
+// ===========================================
+// root/javascript/FleetCollisions.js — the fleet collisions option: enemy fleets that pass within the collision radius in flight fight it out, the survivor flies on
+// ===========================================
+
+import { config } from './config.js';
+import { areAllies } from './teams.js';
+
+const OPEN_SPACE = { defenseMultiplier: 1, size: 0 }; // what combat models see in place of a planet, no side has an edge
+
+function getVelocity(movement) { // map units per second
+    return { x: movement.dx / movement.duration, y: movement.dy / movement.duration };
+}
+
+function getTimeToContact(a, b, radius) { // seconds until a and b first come within radius of each other on their current courses, null if they never do
+    const positionA = a.getPosition();
+    const positionB = b.getPosition();
+    const velocityA = getVelocity(a);
+    const velocityB = getVelocity(b);
+    const px = positionA.x - positionB.x;
+    const py = positionA.y - positionB.y;
+    const vx = velocityA.x - velocityB.x;
+    const vy = velocityA.y - velocityB.y;
+    const c = px * px + py * py - radius * radius;
+    if (c <= 0) return 0;
+    const a2 = vx * vx + vy * vy;
+    const b2 = 2 * (px * vx + py * vy);
+    const discriminant = b2 * b2 - 4 * a2 * c;
+    if (a2 === 0 || b2 >= 0 || discriminant < 0) return null; // parallel, moving apart or passing wide
+    return (-b2 - Math.sqrt(discriminant)) / (2 * a2);
+}
+
+export function predictInterceptions(game, fleets, combat) { // clashes the fleets will have on their current courses, soonest first, each fought with the troops the earlier ones leave
+    const radius = config.collisions.radius;
+    const players = game.playersController.players;
+    const contacts = [];
+    for (let i = 0; i < fleets.length; i++) {
+        for (let j = i + 1; j < fleets.length; j++) {
+            const older = fleets[i];
+            const newer = fleets[j];
+            if (areAllies(players, older.owner, newer.owner)) continue;
+            const time = getTimeToContact(older, newer, radius);
+            const window = Math.min((1 - older.progress) * older.duration, (1 - newer.progress) * newer.duration);
+            if (time !== null && time <= window) {
+                contacts.push({ older, newer, time });
+            }
+        }
+    }
+    contacts.sort((a, b) => a.time - b.time);
+    const amounts = new Map(fleets.map(fleet => [fleet, fleet.amount]));
+    const interceptions = [];
+    for (const { older, newer, time } of contacts) {
+        const olderAmount = amounts.get(older);
+        const newerAmount = amounts.get(newer);
+        if (olderAmount <= 0 || newerAmount <= 0) continue; // one of them was already lost in an earlier clash
+        const result = combat.predict(newerAmount, olderAmount, OPEN_SPACE);
+        amounts.set(older, result.defenders);
+        amounts.set(newer, result.attackers);
+        const position = newer.getPosition();
+        const velocity = getVelocity(newer);
+        const survivor = result.attackers > 0 ? newer : result.defenders > 0 ? older : null;
+        interceptions.push({
+            time,
+            x: position.x + velocity.x * time,
+            y: position.y + velocity.y * time,
+            fleets: [older, newer],
+            survivor,
+            survivingTroops: survivor ? amounts.get(survivor) : 0
+        });
+    }
+    return interceptions;
+}
+
+export default class FleetCollisions {
+    constructor(game) {
+        this.game = game;
+        this.clashes = []; // { x, y, troops, time } of recent clashes, only for the renderer's effects
+    }
+    update() { // called once per tick after fleets have moved, older fleets face newer ones in launch order so replays clash the same way
+        const game = this.game;
+        const radius = config.collisions.radius;
+        const fleets = game.troopMovements;
+        const players = game.playersController.players;
+        const now = game.gameState.elapsedGameTime;
+        for (let i = 0; i < fleets.length; i++) {
+            for (let j = i + 1; j < fleets.length && fleets[i].amount > 0; j++) {
+                const older = fleets[i];
+                const newer = fleets[j];
+                if (newer.amount <= 0 || areAllies(players, older.owner, newer.owner)) continue;
+                const positionA = older.getPosition();
+                const positionB = newer.getPosition();
+                const dx = positionA.x - positionB.x;
+                const dy = positionA.y - positionB.y;
+                if (dx * dx + dy * dy > radius * radius) continue;
+                const result = game.combat.resolve(newer.amount, older.amount, OPEN_SPACE);
+                game.gameState.incrementTroopsLost(older.amount - result.defenders);
+                game.gameState.incrementTroopsLost(newer.amount - result.attackers);
+                this.clashes.push({ x: (positionA.x + positionB.x) / 2, y: (positionA.y + positionB.y) / 2, troops: older.amount + newer.amount, time: now });
+                older.amount = result.defenders;
+                newer.amount = result.attackers;
+            }
+        }
+        game.troopMovements = fleets.filter(movement => movement.amount > 0); // the fleets that lost are gone
+        const effectDuration = config.ui.visuals.clash.duration;
+        this.clashes = this.clashes.filter(clash => now - clash.time < effectDuration);
+    }
+    clearEffects() { // after seeking a replay, clashes from another point in time shouldn't flash
+        this.clashes = [];
+    }
+}
\ No newline at end of file
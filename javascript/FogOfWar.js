@@ -0,0 +1,91 @@
+// ===========================================
+// root/javascript/FogOfWar.js — who can see what when the fog-of-war option is on, and what each player remembers of the planets out of sight
+// ===========================================
+
+import { config } from './config.js';
+import { getAllyIds } from './teams.js';
+
+function getFleetPosition(movement) {
+    const progress = Math.min(1, movement.progress);
+    return { x: movement.startX + movement.dx * progress, y: movement.startY + movement.dy * progress };
+}
+
+function getSharedSight(game, playerId) { // teammates see for each other
+    return new Set([playerId, ...getAllyIds(game.playersController.players, playerId)]);
+}
+
+export function isInSensorRange(game, playerId, x, y, margin = 0) { // margin widens every sensor, e.g. by a planet's radius so its edge counts
+    const { planetSensorRadius, fleetSensorRadius } = config.fog;
+    const sighted = getSharedSight(game, playerId);
+    for (const planet of game.planets) {
+        if (!sighted.has(planet.owner)) continue;
+        const reach = planet.size + planetSensorRadius + margin;
+        const dx = planet.x - x;
+        const dy = planet.y - y;
+        if (dx * dx + dy * dy <= reach * reach) return true;
+    }
+    for (const movement of game.troopMovements) {
+        if (!sighted.has(movement.owner)) continue;
+        const position = getFleetPosition(movement);
+        const reach = fleetSensorRadius + margin;
+        const dx = position.x - x;
+        const dy = position.y - y;
+        if (dx * dx + dy * dy <= reach * reach) return true;
+    }
+    return false;
+}
+
+export default class FogOfWar {
+    constructor(game) {
+        this.game = game;
+        this.visiblePlanetIds = {}; // playerId -> Set of planet ids in sensor range this tick
+        this.memories = {}; // playerId -> Map of planetId -> { owner, troops, seenAt }, the last sighting of every planet
+        const startingState = game.planets.map(planet => [planet.id, { owner: planet.owner, troops: planet.troops, seenAt: 0 }]);
+        for (const player of game.playersController.players) { // everyone starts with the opening map, changes have to be scouted
+            this.memories[player.id] = new Map(startingState.map(([id, memory]) => [id, { ...memory }]));
+            this.visiblePlanetIds[player.id] = new Set();
+        }
+        this.update();
+    }
+    update() { // called once per tick, after fleets have moved and before bots decide
+        const now = this.game.gameState.elapsedGameTime;
+        for (const playerId of Object.keys(this.memories)) {
+            const visible = new Set();
+            const memory = this.memories[playerId];
+            for (const planet of this.game.planets) {
+                if (this.isPlanetVisible(playerId, planet) || memory.get(planet.id).owner === playerId) { // losing a planet is news that reaches its owner anywhere
+                    visible.add(planet.id);
+                    memory.set(planet.id, { owner: planet.owner, troops: planet.troops, seenAt: now });
+                }
+            }
+            this.visiblePlanetIds[playerId] = visible;
+        }
+    }
+    isPlanetVisible(playerId, planet) {
+        return planet.owner === playerId || isInSensorRange(this.game, playerId, planet.x, planet.y, planet.size);
+    }
+    isFleetVisible(playerId, movement) {
+        if (movement.owner === playerId) return true;
+        const position = getFleetPosition(movement);
+        return isInSensorRange(this.game, playerId, position.x, position.y);
+    }
+    isPlanetInSight(playerId, planetId) { // as of the last update(), cheaper than isPlanetVisible() for a whole map
+        return this.visiblePlanetIds[playerId].has(planetId);
+    }
+    getMemory(playerId, planetId) { // { owner, troops, seenAt } of the player's last sighting
+        return this.memories[playerId].get(planetId);
+    }
+    getSensors(playerId) { // circles the player can see into, for drawing the fog
+        const { planetSensorRadius, fleetSensorRadius } = config.fog;
+        const sighted = getSharedSight(this.game, playerId);
+        const sensors = this.game.planets
+            .filter(planet => sighted.has(planet.owner))
+            .map(planet => ({ x: planet.x, y: planet.y, radius: planet.size + planetSensorRadius }));
+        for (const movement of this.game.troopMovements) {
+            if (sighted.has(movement.owner)) {
+                sensors.push({ ...getFleetPosition(movement), radius: fleetSensorRadius });
+            }
+        }
+        return sensors;
+    }
+}
\ No newline at end of file
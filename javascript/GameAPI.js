@@ -3,6 +3,11 @@
 // ===========================================
 
 import { config } from './config.js';
+import { isInSensorRange } from './FogOfWar.js';
+import { getTeamOf, areAllies, getAllyIds } from './teams.js';
+import { getPlanetTypeStats } from './Planet.js';
+import { predictInterceptions } from './FleetCollisions.js';
+import TroopMovement from './TroopMovement.js';
 
 function createProxyFactory(botId) { // creates a factory for generating deep, read-only proxies
     return function createReadOnlyProxy(obj) {
@@ -29,7 +34,6 @@ export default class GameAPI {
         this.game = game;
         this.playerId = playerId;
         this.createReadOnlyProxy = createProxyFactory(this.playerId); // create a proxy creation function specific to this bot instance
-        this.canvas = this.createReadOnlyProxy(game.canvas); 
         this.troopMovementSpeed = config.troop.movementSpeed;
     }
     // --- GENERAL GAME STATE FUNCTIONS ---
@@ -40,8 +44,8 @@ export default class GameAPI {
         const planet = this.game.planets.find(p => p.id === planetId);
         return planet ? this.createReadOnlyProxy(planet) : null;
     }
-    getEnemyPlanets() {
-        const planets = this.game.planets.filter(p => p.owner !== this.playerId && p.owner !== 'neutral');
+    getEnemyPlanets() { // teammates' planets are not enemy planets
+        const planets = this.game.planets.filter(p => p.owner !== 'neutral' && !this.isAlly(p.owner));
         return this.createReadOnlyProxy(planets);
     }
     getNeutralPlanets() {
@@ -55,13 +59,28 @@ export default class GameAPI {
         const movements = this.game.troopMovements.filter(m => m.owner === playerId);
         return this.createReadOnlyProxy(movements);
     }
+    getFleetById(fleetId) { // fleet ids stay the same from launch to arrival, fleet objects don't
+        return this.createReadOnlyProxy(this.game.troopMovements.find(m => m.id === fleetId) || null);
+    }
+    canRedirectFleet(fleet) { // whether a redirect or recall order for the fleet would be carried out this tick
+        return fleet.owner === this.playerId && fleet.canBeRedirected(this.game.gameState.elapsedTicks);
+    }
     getAllPlayerIds() {
         return this.game.playersController.players.map(p => p.id);
     }
-    getOpponentIds() {
+    getOpponentIds() { // everyone not on your side
         return this.game.playersController.players
             .map(p => p.id)
-            .filter(id => id !== this.playerId);
+            .filter(id => !this.isAlly(id));
+    }
+    getTeam(playerId = this.playerId) { // team number, or null in free-for-all
+        return getTeamOf(this.game.playersController.players, playerId);
+    }
+    getAllyIds() { // your teammates, an empty array in free-for-all
+        return getAllyIds(this.game.playersController.players, this.playerId);
+    }
+    isAlly(playerId) { // true for yourself and your teammates
+        return areAllies(this.game.playersController.players, this.playerId, playerId);
     }
     getElapsedTime() {
         return this.game.gameState.elapsedGameTime;
@@ -69,28 +88,75 @@ export default class GameAPI {
     getDecisionCooldown() {
         return config.ai.decisionCooldown;
     }
+    getMaxOrdersPerTick() { // 0 when there is no cap
+        return config.ai.maxOrdersPerTick;
+    }
     getGameDuration() {
         return config.game.defaultDuration;
     }
-    getMaxPlanetTroops() {
-        return config.planet.maxTroops;
+    getMaxPlanetTroops(planet) { // a planet's own cap, which its type may change, or the usual cap without a planet
+        return planet ? planet.maxTroops : config.planet.maxTroops;
     }
-    getMapInfo() { // gets basic information about the map
-        const { width, height } = this.canvas;
+    getMapInfo() { // gets basic information about the map, in the same logical units as planet coordinates
+        const { logicalWidth: width, logicalHeight: height } = config.game;
         return this.createReadOnlyProxy({
             width,
             height,
             center: { x: width / 2, y: height / 2 }
         });
     }
+    // --- VICTORY CONDITION ---
+    getVictoryCondition() { // { type, scoreLabel, scores: {playerId: score}, ...the goal's own fields }, see the bot prompt for each type
+        return this.createReadOnlyProxy(this.game.getVictoryInfo());
+    }
+    // --- FOG OF WAR ---
+    // Under fog of war the planet and fleet lists above hold only what this bot can see: fleets out of sensor range are left out,
+    // planets out of range keep the owner and troops of their last sighting. Without fog everything is always in sight.
+    isFogOfWar() {
+        return !!this.game.fogOfWar;
+    }
+    getSensorRanges() { // how far past their edge your planets see, and how far around them your fleets see
+        return this.createReadOnlyProxy({ planet: config.fog.planetSensorRadius, fleet: config.fog.fleetSensorRadius });
+    }
+    isPlanetVisible(planet) { // whether the planet's owner and troops are current rather than remembered
+        return !this.game.fogOfWar || this.game.visiblePlanetIds.has(planet.id);
+    }
+    getPlanetLastSeen(planet) { // game time of the values you have for a planet, the current time for one in sight
+        if (!this.isPlanetVisible(planet)) {
+            return this.game.lastSeen.get(planet.id);
+        }
+        return this.getElapsedTime();
+    }
+    isPointVisible(x, y) { // whether any of your planets or fleets has the point in sensor range
+        return !this.game.fogOfWar || isInSensorRange(this.game, this.playerId, x, y);
+    }
+    // --- FLEET COLLISIONS ---
+    // With fleet collisions on, enemy fleets that come within the collision radius in flight fight under the game's combat model.
+    // Predictions assume every fleet keeps its course and only know of the fleets this bot can see.
+    hasFleetCollisions() {
+        return !!this.game.fleetCollisions;
+    }
+    getCollisionRadius() {
+        return config.collisions.radius;
+    }
+    getPredictedInterceptions() { // [{ time, x, y, fleets: [older, newer], survivor, survivingTroops }] for the fleets in flight, soonest first
+        if (!this.game.fleetCollisions) return this.createReadOnlyProxy([]);
+        return this.createReadOnlyProxy(predictInterceptions(this.game, this.game.troopMovements, this.game.combat));
+    }
+    predictFleetInterceptions(fromPlanet, toPlanet, amount) { // the clashes a fleet sent now would run into, in the same form; survivor is whichever fleet flies on, null when neither does
+        if (!this.game.fleetCollisions) return this.createReadOnlyProxy([]);
+        const fleet = new TroopMovement(fromPlanet, toPlanet, amount, this.playerId, this.game);
+        const interceptions = predictInterceptions(this.game, [...this.game.troopMovements, fleet], this.game.combat);
+        return this.createReadOnlyProxy(interceptions.filter(interception => interception.fleets.includes(fleet)));
+    }
     // --- DISTANCE & TRAVEL ---
     getDistance(planet1, planet2) {
         const dx = planet1.x - planet2.x;
         const dy = planet1.y - planet2.y;
         return Math.sqrt(dx * dx + dy * dy);
     }
-    getTravelTime(planet1, planet2) {
-        return this.getDistance(planet1, planet2) / this.troopMovementSpeed;
+    getTravelTime(planet1, planet2) { // fleets fly from planet1, faster when it is a relay
+        return this.getDistance(planet1, planet2) / (planet1.launchSpeed || this.troopMovementSpeed);
     }
     findNearestPlanet(sourcePlanet, targetPlanets) {
         if (!targetPlanets || targetPlanets.length === 0) {
@@ -113,11 +179,17 @@ export default class GameAPI {
         const enemyPlanets = this.getEnemyPlanets();
         return this.findNearestPlanet(sourcePlanet, enemyPlanets);
     }
-    getPlanetProductionRate(planet) { // exposes a planet's raw production rate 
+    getPlanetProductionRate(planet) { // exposes a planet's raw production rate, planet type included
         if (planet.owner === 'neutral') {
             return 0;
         }
-        return planet.size / config.planet.productionFactor;
+        return planet.productionRate;
+    }
+    getPlanetType(planet) { // 'normal', 'fortress', 'factory', 'relay' or 'barren'
+        return planet.type;
+    }
+    getPlanetTypeInfo(type) { // what a planet type changes, as multipliers of the usual rules
+        return this.createReadOnlyProxy(getPlanetTypeStats(type));
     }
     getPlanetCentrality(planet) { // exposes a planet's raw centrality score from 0 to 1, where 1 is the exact center of the map
         const { center, width, height } = this.getMapInfo();
@@ -147,14 +219,16 @@ export default class GameAPI {
         return threat;
     }
     getIncomingAttacks(targetPlanet) {
+        const players = this.game.playersController.players;
         const movements = this.game.troopMovements.filter(m => 
-            m.to.id === targetPlanet.id && m.owner !== targetPlanet.owner && m.owner !== 'neutral'
+            m.to.id === targetPlanet.id && m.owner !== 'neutral' && !areAllies(players, m.owner, targetPlanet.owner)
         );
         return this.createReadOnlyProxy(movements);
     }
     getIncomingReinforcements(targetPlanet) {
+        const players = this.game.playersController.players;
         const movements = this.game.troopMovements.filter(m => 
-            m.to.id === targetPlanet.id && m.owner === targetPlanet.owner
+            m.to.id === targetPlanet.id && areAllies(players, m.owner, targetPlanet.owner) // teammates' fleets reinforce too
         );
         return this.createReadOnlyProxy(movements);
     }
@@ -163,27 +237,39 @@ export default class GameAPI {
         let predictedOwner = planet.owner;
         // Account for production using the new helper for consistency
         predictedTroops += this.getPlanetProductionRate(planet) * timeInFuture;
-        predictedTroops = Math.min(this.getMaxPlanetTroops(), predictedTroops);
+        predictedTroops = Math.min(this.getMaxPlanetTroops(planet), predictedTroops);
         // 2. Get all fleets arriving within the timeframe
         const arrivingFleets = this.game.troopMovements
             .filter(m => m.to.id === planet.id && m.duration <= timeInFuture)
             .sort((a, b) => a.duration - b.duration); // Process fleets in arrival order
         // 3. Simulate the battles chronologically
+        const players = this.game.playersController.players;
         for (const fleet of arrivingFleets) {
-            if (fleet.owner === predictedOwner) {
+            if (areAllies(players, fleet.owner, predictedOwner)) {
                 predictedTroops += fleet.amount;
-            } else {
-                predictedTroops -= fleet.amount;
-                if (predictedTroops < 0) {
+            } else { // battles go as the game's combat model predicts them
+                const result = this.game.combat.predict(fleet.amount, predictedTroops, planet);
+                if (result.attackers > 0) {
                     predictedOwner = fleet.owner;
-                    predictedTroops = Math.abs(predictedTroops);
+                    predictedTroops = result.attackers;
+                } else {
+                    predictedTroops = result.defenders;
                 }
             }
-            predictedTroops = Math.min(this.getMaxPlanetTroops(), predictedTroops);
+            predictedTroops = Math.min(this.getMaxPlanetTroops(planet), predictedTroops);
         }
         const result = { owner: predictedOwner, troops: Math.floor(predictedTroops) };
         return this.createReadOnlyProxy(result);
     }
+    getCombatModel() { // 'attrition', 'defender-advantage', 'lanchester' or 'dice'
+        return this.game.combat.type;
+    }
+    simulateBattle(attackers, planet, defenders = planet.troops) { // {attackers, defenders} left, as predictPlanetState() would have it; dice battles give their average
+        return this.createReadOnlyProxy(this.game.combat.predict(attackers, defenders, planet));
+    }
+    getTroopsToCapture(planet, defenders = planet.troops) { // the smallest fleet predicted to take the planet from that many defenders
+        return this.game.combat.getTroopsNeeded(defenders, planet);
+    }
     getGamePhase() {
         const elapsedTime = this.getElapsedTime();
         const duration = this.getGameDuration();
@@ -0,0 +1,320 @@
+// ===========================================
+// root/javascript/GameSimulation.js — the DOM-free core of a game (map, fleets, players, fixed-tick step), shared by the browser and the Node runner
+// ===========================================
+
+import TroopMovement from './TroopMovement.js';
+import GameState from './GameStateCheck.js';
+import PlayersController from './PlayersController.js';
+import PlanetGeneration from './PlanetGeneratorModule.js';
+import TimerManager from './TimerManager.js';
+import CommandLog from './CommandLog.js';
+import ReplayController from './ReplayController.js';
+import FogOfWar from './FogOfWar.js';
+import FleetCollisions from './FleetCollisions.js';
+import { createVictoryCondition } from './victory/index.js';
+import { createCombatResolver } from './combat/index.js';
+import { config as staticConfig } from './config.js';
+
+export default class GameSimulation {
+    constructor(gameConfig, statsTracker = null) {
+        this.config = {
+            ...gameConfig,           // players, density, seed, etc
+            game: staticConfig.game  // adds { logicalWidth, logicalHeight, ... } object
+        };
+        this.statsTracker = statsTracker;
+        this.planets = [];
+        this.troopMovements = [];
+        this.nextFleetId = 1; // fleets are numbered in launch order, so ids match between a game and its replay
+        this.isPlayback = !!this.config.replay; // replays feed recorded commands instead of running players
+        this.commandLog = new CommandLog(this.isPlayback ? this.config.replay.log : []);
+        this.queuedOrders = []; // human orders wait here until the next tick's order phase
+        this.stepInProgress = false; // set while a tick waits for bots in workers to answer
+        this.fixedTimeStep = 1 / staticConfig.game.ticksPerSecond;
+        this.timerManager = new TimerManager(this);
+        this.isActive = false;
+        this.gameOver = false;
+        this.humanPlayerIds = this.isPlayback ? [] : this.config.players.filter(p => p.type === 'human').map(p => p.id);
+        this.gameState = new GameState(this); // before the players, so a bot that fails to start can be recorded as forfeited
+        this.playersController = new PlayersController(this, this.config);
+        this.planetGenerator = new PlanetGeneration(this);
+        this.gameState.init();
+        if (this.config && this.config.planetDensity !== undefined) {
+            this.planetGenerator.setPlanetDensity(this.config.planetDensity);
+        }
+        this.isActive = true;
+        this.planets = this.planetGenerator.generatePlanets();
+        this.fogOfWar = !!this.config.fogOfWar;
+        this.fog = this.fogOfWar && !this.isPlayback ? new FogOfWar(this) : null; // replays are watched with the whole map in view
+        this.combat = createCombatResolver(this.config.combatModel, this.config.seed); // dice models roll the same in replays as they did live
+        this.fleetCollisions = !!this.config.fleetCollisions;
+        this.collisions = this.fleetCollisions ? new FleetCollisions(this) : null; // unlike fog this changes the game, so replays run it too
+        this.victory = createVictoryCondition(this, this.config.victoryCondition); // replays carry the condition in their config and end the same way
+        this.replayController = null;
+        if (this.isPlayback) {
+            this.replayController = new ReplayController(this);
+            this.replayController.initialize();
+        }
+    }
+    reportStats(data) {
+        if (this.statsTracker) {
+            this.statsTracker.report(data);
+        }
+    }
+    runToEnd() { // steps synchronously until a win condition fires; the timer guarantees that it does
+        if (this.playersController.isolated) {
+            throw new Error('runToEnd() cannot wait for bots in workers, run them in the same thread.');
+        }
+        while (!this.gameOver) {
+            this.step();
+        }
+        return this.gameState.getSummary();
+    }
+    handleGameOver() { // called once by GameState when the game ends; the browser Game adds menus and tournaments on top
+        this.gameState.reportFinalStats();
+    }
+    step() { // advance the simulation by exactly one tick; the outcome depends only on seed, players and tick count
+        if (this.gameOver) return true;
+        const dt = this.fixedTimeStep;
+        if (!this.stepInProgress) {
+            this.updatePlanets(dt);
+            this.updateTroopMovements(dt);
+            if (this.collisions) {
+                this.collisions.update();
+            }
+            if (this.isPlayback) {
+                this.applyRecordedCommands();
+            } else {
+                this.applyQueuedOrders();
+            }
+            if (this.fog) {
+                this.fog.update();
+            }
+            this.stepInProgress = true;
+        }
+        if (!this.isPlayback && !this.playersController.updateAIPlayers(dt)) {
+            return false; // bots in workers are still thinking, the next call finishes this same tick
+        }
+        this.stepInProgress = false;
+        this.timerManager.tick();
+        this.gameState.tick(); // eliminations and win conditions are checked every tick, never per frame
+        if (this.replayController) {
+            this.replayController.afterStep();
+        }
+        return true;
+    }
+    handleBotAnswer() {} // a bot worker answered (or timed out) while step() was waiting, the browser Game resumes stepping
+    handleBotLog(playerId, line) { // BaseBot.log output of a bot in a worker
+        console.log(line);
+    }
+    queueOrder(fromPlanet, toPlanet, amount) {
+        this.queuedOrders.push({ fromPlanet, toPlanet, amount });
+    }
+    queueRedirect(movement, toPlanet) { // recalling is redirecting to movement.from
+        this.queuedOrders.push({ movement, toPlanet });
+    }
+    applyQueuedOrders() { // humans and bots both act in the same phase of a tick, so the command log replays exactly
+        const orders = this.queuedOrders;
+        this.queuedOrders = [];
+        for (const order of orders) {
+            if (order.movement) {
+                this.redirectFleet(order.movement, order.toPlanet);
+            } else {
+                this.sendTroops(order.fromPlanet, order.toPlanet, order.amount);
+            }
+        }
+    }
+    applyRecordedCommands() {
+        const commands = this.commandLog.takeCommandsForTick(this.gameState.elapsedTicks);
+        for (const command of commands) {
+            if (command.redirect) {
+                const movement = this.troopMovements.find(m => m.id === command.fleetId);
+                const toPlanet = this.planets.find(p => p.id === command.toId);
+                if (!movement || !toPlanet) {
+                    console.warn(`Replay desync at tick ${command.tick}: redirect of ${command.fleetId} to ${command.toId} has nothing to act on.`);
+                    continue;
+                }
+                this.redirectFleet(movement, toPlanet);
+                continue;
+            }
+            const fromPlanet = this.planets.find(p => p.id === command.fromId);
+            const toPlanet = this.planets.find(p => p.id === command.toId);
+            if (!fromPlanet || !toPlanet) {
+                console.warn(`Replay command at tick ${command.tick} references an unknown planet.`);
+                continue;
+            }
+            if (fromPlanet.owner !== command.owner) {
+                console.warn(`Replay desync at tick ${command.tick}: ${command.fromId} is owned by ${fromPlanet.owner}, expected ${command.owner}.`);
+            }
+            this.sendTroops(fromPlanet, toPlanet, command.amount);
+        }
+    }
+    getReplayData() { // everything needed to play this game back without instantiating its players
+        const { game, isHeadless, isReplay, replay, batchSize, isolateBots, ...replayConfig } = this.config;
+        return {
+            config: replayConfig,
+            log: this.commandLog.entries,
+            events: this.gameState.events,
+            ticks: this.gameState.elapsedTicks
+        };
+    }
+    createBotSnapshot(playerId) { // what a bot sees each decision: plain copies of the map, fleets and who is still in, fogged for playerId under fog of war
+        const fog = this.fog;
+        const now = this.gameState.elapsedGameTime;
+        const planets = this.planets.map(p => {
+            if (!fog) {
+                return { id: p.id, x: p.x, y: p.y, size: p.size, type: p.type, troops: p.troops, owner: p.owner };
+            }
+            const visible = fog.isPlanetInSight(playerId, p.id);
+            const seen = visible ? { owner: p.owner, troops: p.troops, seenAt: now } : fog.getMemory(playerId, p.id); // out of sight, the last sighting stands in
+            return { id: p.id, x: p.x, y: p.y, size: p.size, type: p.type, troops: seen.troops, owner: seen.owner, visible, lastSeen: seen.seenAt };
+        });
+        const troopMovements = fog ? this.troopMovements.filter(m => fog.isFleetVisible(playerId, m)) : this.troopMovements;
+        return {
+            tick: this.gameState.elapsedTicks,
+            elapsedGameTime: now,
+            planets,
+            troopMovements: troopMovements.map(m => ({
+                id: m.id, fromId: m.from.id, toId: m.to.id, amount: m.amount, owner: m.owner, progress: m.progress,
+                startX: m.startX, startY: m.startY, orderedAt: m.orderedAt // a redirected fleet's leg starts where it turned
+            })),
+            activePlayers: [...this.gameState.activePlayers],
+            fogOfWar: !!fog,
+            fleetCollisions: this.fleetCollisions,
+            combatModel: this.combat.type,
+            victory: this.getVictoryInfo() // public like a scoreboard, fog or not
+        };
+    }
+    getVictoryInfo() { // BotView answers the same from its snapshot
+        return this.victory.getInfo();
+    }
+    createSnapshot() { // plain copy of all mutable simulation state, enough to resume from this exact tick
+        const gameState = this.gameState;
+        return {
+            tick: gameState.elapsedTicks,
+            planets: this.planets.map(p => ({ owner: p.owner, troops: p.troops })),
+            nextFleetId: this.nextFleetId,
+            troopMovements: this.troopMovements.map(m => ({
+                id: m.id, orderedAt: m.orderedAt, fromId: m.from.id, toId: m.to.id, amount: m.amount, owner: m.owner, progress: m.progress,
+                startX: m.startX, startY: m.startY, dx: m.dx, dy: m.dy, distance: m.distance, duration: m.duration
+            })),
+            gameState: {
+                troopsSent: gameState.troopsSent,
+                troopsLost: gameState.troopsLost,
+                planetsConquered: gameState.planetsConquered,
+                eliminationTicks: { ...gameState.eliminationTicks },
+                eliminationTimes: { ...gameState.eliminationTimes },
+                eventCount: gameState.events.length,
+                activePlayers: [...gameState.activePlayers]
+            },
+            timerTicks: this.timerManager.elapsedTicks,
+            victory: this.victory.serialize(),
+            combat: this.combat.serialize(),
+            commandCursor: this.commandLog.cursor
+        };
+    }
+    restoreSnapshot(snapshot) {
+        this.planets.forEach((planet, i) => {
+            planet.owner = snapshot.planets[i].owner;
+            planet.troops = snapshot.planets[i].troops;
+        });
+        this.troopMovements = snapshot.troopMovements.map(data => {
+            const from = this.planets.find(p => p.id === data.fromId);
+            const to = this.planets.find(p => p.id === data.toId);
+            const movement = new TroopMovement(from, to, data.amount, data.owner, this);
+            Object.assign(movement, {
+                id: data.id, orderedAt: data.orderedAt, progress: data.progress, startX: data.startX, startY: data.startY,
+                dx: data.dx, dy: data.dy, distance: data.distance, duration: data.duration
+            });
+            return movement;
+        });
+        this.nextFleetId = snapshot.nextFleetId;
+        const gameState = this.gameState;
+        gameState.elapsedTicks = snapshot.tick;
+        gameState.elapsedGameTime = snapshot.tick / this.timerManager.ticksPerSecond;
+        gameState.troopsSent = snapshot.gameState.troopsSent;
+        gameState.troopsLost = snapshot.gameState.troopsLost;
+        gameState.planetsConquered = snapshot.gameState.planetsConquered;
+        gameState.eliminationTicks = { ...snapshot.gameState.eliminationTicks };
+        gameState.eliminationTimes = { ...snapshot.gameState.eliminationTimes };
+        gameState.events.length = snapshot.gameState.eventCount;
+        gameState.activePlayers = new Set(snapshot.gameState.activePlayers);
+        this.timerManager.elapsedTicks = snapshot.timerTicks;
+        this.victory.restore(snapshot.victory);
+        this.combat.restore(snapshot.combat);
+        if (this.collisions) {
+            this.collisions.clearEffects();
+        }
+        this.commandLog.cursor = snapshot.commandCursor;
+    }
+    updatePlanets(dt) {
+        for (const planet of this.planets) {
+            planet.update(dt);
+        }
+    }
+    updateTroopMovements(dt) {
+        for (let i = this.troopMovements.length - 1; i >= 0; i--) {
+            const movement = this.troopMovements[i];
+            if (movement.update(dt)) {
+                this.processTroopArrival(movement);
+                this.troopMovements.splice(i, 1);
+            }
+        }
+    }
+    processTroopArrival(movement) {
+        const targetPlanet = movement.to;
+        if (this.playersController.areAllies(targetPlanet.owner, movement.owner)) { // own or a teammate's planet, the fleet joins the garrison
+            targetPlanet.troops += movement.amount;
+        } else { // the game's combat model decides, see javascript/combat
+            const defenderTroops = targetPlanet.troops;
+            const attackerTroops = movement.amount;
+            const result = this.combat.resolve(attackerTroops, defenderTroops, targetPlanet);
+            this.gameState.incrementTroopsLost(attackerTroops - result.attackers);
+            this.gameState.incrementTroopsLost(defenderTroops - result.defenders);
+            if (result.attackers > 0) {
+                const previousOwner = targetPlanet.owner;
+                targetPlanet.owner = movement.owner;
+                targetPlanet.troops = result.attackers;
+                this.gameState.incrementPlanetsConquered();
+                this.gameState.recordEvent('capture', { planetId: targetPlanet.id, owner: movement.owner, previousOwner });
+            } else {
+                targetPlanet.troops = result.defenders;
+            }
+        }
+    }
+    sendTroops(fromPlanet, toPlanet, amount) {
+        const troopAmount = Math.floor(amount); // prevent fractional troops
+        if (!troopAmount || troopAmount <= 0 || isNaN(troopAmount)) { // rigorous input validation
+            return; // silently ignore invalid or non-positive troop amounts
+        }
+        const troopsAvailable = Math.floor(fromPlanet.troops);
+        const sanitizedAmount = Math.min(troopAmount, troopsAvailable);
+        if (sanitizedAmount < 1) {
+            return;
+        }
+        const movement = new TroopMovement(
+            fromPlanet,
+            toPlanet,
+            sanitizedAmount,
+            fromPlanet.owner,
+            this
+        );
+        movement.id = `fleet${this.nextFleetId++}`;
+        movement.orderedAt = this.gameState.elapsedTicks;
+        fromPlanet.troops -= sanitizedAmount;
+        this.gameState.incrementTroopsSent(sanitizedAmount);
+        this.troopMovements.push(movement);
+        if (!this.isPlayback) {
+            this.commandLog.record(this.gameState.elapsedTicks, fromPlanet.id, toPlanet.id, sanitizedAmount, movement.owner);
+        }
+    }
+    redirectFleet(movement, toPlanet) { // turns a fleet in flight toward another planet, ignored while the fleet is on its decision cooldown
+        if (!this.troopMovements.includes(movement) || toPlanet === movement.to || !movement.canBeRedirected(this.gameState.elapsedTicks)) { // it may have landed or been lost since the order was given
+            return;
+        }
+        movement.redirect(toPlanet);
+        movement.orderedAt = this.gameState.elapsedTicks;
+        if (!this.isPlayback) {
+            this.commandLog.recordRedirect(this.gameState.elapsedTicks, movement.id, toPlanet.id, movement.owner);
+        }
+    }
+}
\ No newline at end of file
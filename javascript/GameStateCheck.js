@@ -7,35 +7,33 @@ import eventManager from './EventManager.js';
 export default class GameState {
     constructor(game) {
         this.game = game;
-        this.lastUpdate = Date.now();
         this.gameOver = false;
         this.startTime = Date.now();
         this.winner = null;
+        this.winners = []; // the winner and, in team games, their teammates
         this.victoryType = null;
         this.troopsSent = 0;
         this.troopsLost = 0;
         this.planetsConquered = 0;
-        this.elapsedGameTime = 0;
+        this.elapsedTicks = 0;
+        this.elapsedGameTime = 0; // always derived from elapsedTicks, kept as a field for readers that want seconds
+        this.eliminationTicks = {};
         this.eliminationTimes = {};
+        this.events = []; // timeline of captures and eliminations, saved with replays for the playback markers
         this.activePlayers = new Set();
-        this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
-        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+        this.finishingOrder = []; // player ids best first, settled when the game ends
         this.memory_human_eliminated = false;
     }
     init() {
         this.activePlayers = new Set(this.game.playersController.players.map(player => player.id));
     }
-    handleVisibilityChange() {
-        if (document.visibilityState === 'visible') {
-            this.lastUpdate = Date.now();
-        }
-    }
-    update(dt, speedMultiplier = 1.0) {
+    tick() { // called once per fixed simulation step, after all other step logic
         if (this.gameOver) return;
-        const scaledDt = dt * speedMultiplier;
-        this.elapsedGameTime += scaledDt;
+        this.elapsedTicks++;
+        this.elapsedGameTime = this.elapsedTicks / this.game.timerManager.ticksPerSecond;
         const timeRemaining = this.game.timerManager.getTimeRemaining();
         this.checkPlayerEliminations();
+        this.game.victory.update();
         this.checkWinConditions(timeRemaining);
         this.checkHumanPlayerStatus();
     }
@@ -44,9 +42,11 @@ export default class GameState {
             if (playerId === 'neutral') continue;
             const playerStat = this.game.playersController.getPlayerStats().find(p => p.id === playerId);
             const hasResources = playerStat ? playerStat.isActive : false;
-            if (!hasResources && !this.eliminationTimes[playerId]) {
+            if (!hasResources && this.eliminationTicks[playerId] === undefined) {
+                this.eliminationTicks[playerId] = this.elapsedTicks;
                 this.eliminationTimes[playerId] = this.elapsedGameTime;
                 this.activePlayers.delete(playerId);
+                this.recordEvent('elimination', { playerId });
             }
         }
     }
@@ -65,20 +65,14 @@ export default class GameState {
     incrementTroopsSent(amount) { this.troopsSent += amount; }
     incrementTroopsLost(amount) { this.troopsLost += amount; }
     incrementPlanetsConquered() { this.planetsConquered++; }
-    checkWinConditions(timeRemaining) {
+    recordEvent(type, data) {
+        this.events.push({ tick: this.elapsedTicks, type, ...data });
+    }
+    checkWinConditions(timeRemaining) { // the game's victory condition decides, see javascript/victory
         if (this.gameOver) return false;
-        if (timeRemaining <= 0) {
-            const winner = this.game.playersController.getWinningPlayer();
-            this.endGame(winner, 'time');
-            return true;
-        }
-        const playerStats = this.game.playersController.getPlayerStats().filter(stats => stats.id !== 'neutral');
-        const activePlayers = playerStats.filter(stats =>
-            this.game.playersController.hasPlayerPlanets(stats.id) ||
-            this.game.playersController.hasPlayerTroopsInMovement(stats.id)
-        );
-        if (activePlayers.length === 1) {
-            this.endGame(activePlayers[0].id, 'domination');
+        const result = this.game.victory.check(timeRemaining);
+        if (result) {
+            this.endGame(result.winner, result.type);
             return true;
         }
         return false;
@@ -86,77 +80,76 @@ export default class GameState {
     endGame(winnerId, victoryType) {
         if (this.gameOver) return;
         this.winner = winnerId;
+        this.winners = [winnerId, ...this.game.playersController.getAllyIds(winnerId)];
         this.victoryType = victoryType;
         this.gameOver = true;
         this.game.gameOver = true;
-        if (this.game.config.isTournamentMatch && !this.game.config.isReplay) { // intercept for tournament matches, but not replays of them
-            if (this.game.menuManager && this.game.menuManager.tournament) {
-                this.game.menuManager.tournament.reportMatchResult({ id: winnerId });
-                // if game was watched (not headless), navigate back to tournament screen
-                if (!this.game.config.isHeadless) {
-                    eventManager.emit('screen-changed', 'tournament');
-                }
-            }
-            return; // halt regular game over flow
-        }
+        this.finishingOrder = this.getRankings().map(ranking => ranking.playerId);
+        this.game.playersController.shutdown(); // bot workers have nothing left to decide
+        this.game.handleGameOver(); // the simulation only reports stats, the browser Game also drives menus and tournaments
+    }
+    getRankings() { // winner first and their teammates next, then survivors as the victory condition ranks them, then the eliminated, last out ranked highest
         const allPlayersData = this.game.playersController.players;
         const playerStats = this.game.playersController.getPlayerStats()
             .filter(p => p.id !== 'neutral');
-        playerStats.sort((a,b) => b.planets - a.planets || b.troops - a.troops);
-        const gameId = `${window.CULTURE_WAR_USER_ID}-${Date.now()}`;
+        const eliminatedAt = id => this.eliminationTicks[id] !== undefined ? this.eliminationTicks[id] : Infinity;
+        playerStats.sort((a,b) => (b.id === this.winner) - (a.id === this.winner)
+            || this.winners.includes(b.id) - this.winners.includes(a.id)
+            || eliminatedAt(b.id) - eliminatedAt(a.id)
+            || this.game.victory.compare(a.id, b.id));
+        return playerStats.map((player, index) => {
+            const rank = index + 1;
+            const originalPlayerData = allPlayersData.find(p => p.id === player.id);
+            return {
+                rank: rank,
+                playerId: player.id,
+                nickname: originalPlayerData.aiController || 'PLAYER',
+                planets: player.planets,
+                troops: Math.floor(player.troops),
+                victoryScore: this.game.victory.getScore(player.id), // what the victory condition ranks by, planets in a conquest game
+                survivalTime: this.eliminationTimes[player.id] || this.elapsedGameTime,
+                cultureScore: ((allPlayersData.length + 1) / 2) - rank
+            };
+        });
+    }
+    reportFinalStats() {
+        const gameId = `${globalThis.CULTURE_WAR_USER_ID || 'headless'}-${Date.now()}-${this.game.config.seed}`; // seed keeps parallel batch games apart
         this.game.reportStats({
             type: 'GAME_STATS',
             gameId: gameId,
             duration: this.elapsedGameTime,
             troopsSent: this.troopsSent,
             planetsConquered: this.planetsConquered,
-            troopsLost: this.troopsLost
-        });
-        playerStats.forEach((player, index) => {
-            const rank = index + 1;
-            const cultureScore = ((allPlayersData.length + 1) / 2) - rank;
-            const survivalTime = this.eliminationTimes[player.id] || this.elapsedGameTime;
-            const originalPlayerData = allPlayersData.find(p => p.id === player.id);
-            const aggregationKey = originalPlayerData.aiController || 'PLAYER';
-            this.game.reportStats({
-                type: 'PLAYER_STATS',
-                gameId: gameId,
-                rank: rank,
-                nickname: aggregationKey,
-                planets: player.planets,
-                troops: Math.floor(player.troops),
-                survivalTime: survivalTime,
-                cultureScore: cultureScore
-            });
+            troopsLost: this.troopsLost,
+            playerCount: this.game.playersController.players.length,
+            victoryCondition: this.game.victory.type,
+            victoryType: this.victoryType
         });
-        if (this.game.menuManager.isBatchRunning) {
-            this.game.menuManager.startNextBatchGame();
-            return;
+        for (const ranking of this.getRankings()) {
+            const { playerId, ...playerStats } = ranking;
+            const faults = this.game.playersController.supervisor.getFaults(playerId);
+            const team = this.game.playersController.getTeam(playerId);
+            this.game.reportStats({ type: 'PLAYER_STATS', gameId: gameId, ...playerStats, won: this.winners.includes(playerId), team, ...faults });
         }
-        const humanWon = this.game.humanPlayerIds.includes(this.winner);
-        const stats = {
+    }
+    getSummary() {
+        return {
             winner: this.winner,
+            winners: this.winners,
+            winningTeam: this.winner ? this.game.playersController.getTeam(this.winner) : null, // null in free-for-all
+            finishingOrder: this.finishingOrder,
+            victoryType: this.victoryType,
+            victoryCondition: this.game.victory.type,
+            victoryText: this.gameOver ? this.game.victory.getResultText(this.victoryType) : null,
             time: this.elapsedGameTime,
+            ticks: this.elapsedTicks,
             planetsConquered: this.planetsConquered,
             troopsSent: this.troopsSent,
             troopsLost: this.troopsLost,
             eliminationTimes: this.eliminationTimes,
-            playerWon: humanWon,
+            botIssues: this.game.playersController.supervisor.getReport(), // bots that threw, ran over budget or forfeited
+            playerWon: this.game.humanPlayerIds.some(id => this.winners.includes(id)),
             hasHumanPlayer: this.game.humanPlayerIds.length > 0
         };
-        if (this.game.menuManager) {
-            const onPlayAgain = () => {
-                this.game.menuManager.menuBuilder.buildGameSetup();
-                eventManager.emit('screen-changed', 'menu');
-            };
-            const onBackToMenu = () => {
-                this.game.menuManager.menuBuilder.buildMainMenu();
-                eventManager.emit('screen-changed', 'menu');
-            };
-            this.game.menuManager.showGameOver(stats, this.game, onPlayAgain, onBackToMenu);
-        } else {
-            console.error("MenuManager not found.");
-        }
-        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
     }
 }
\ No newline at end of file
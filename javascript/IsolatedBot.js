@@ -0,0 +1,78 @@
+// ===========================================
+// root/javascript/IsolatedBot.js — main-thread handle for a bot that runs in its own BotWorker
+// ===========================================
+
+export default class IsolatedBot {
+    constructor(playerId, aiController, source, players, handlers) { // source is set for workshop bots, which aren't in the worker's registry
+        this.playerId = playerId;
+        this.onAnswer = handlers.onAnswer; // called when an answer arrives or the wait runs out, so the game can carry on at once
+        this.onLog = handlers.onLog; // BaseBot.log lines from the worker
+        this.timeoutId = null;
+        this.startError = null; // set if the worker couldn't load or build the bot
+        this.pending = null; // { requestId, sentAt } of the decision being waited on
+        this.result = null; // { decision, error, elapsedMs } once the worker has answered
+        this.debugFrame = null; // what the bot last drew with this.debug, see BotDebug.capture()
+        this.terminated = false;
+        this.nextRequestId = 0;
+        this.worker = new Worker(new URL('./BotWorker.js', import.meta.url), { type: 'module' });
+        this.worker.onmessage = (event) => this.handleMessage(event.data);
+        this.worker.onerror = (event) => this.handleCrash(event.message || 'worker failed to load');
+        this.worker.postMessage({ type: 'init', playerId, aiController, source, players });
+    }
+    static isSupported() {
+        return typeof Worker !== 'undefined';
+    }
+    requestDecision(snapshot, dt, timeoutMs) {
+        if (this.terminated) return;
+        const requestId = ++this.nextRequestId;
+        this.pending = { requestId, sentAt: performance.now() };
+        this.result = null;
+        if (this.startError) { // no bot to ask, answer straight away so the tick isn't held up
+            this.result = { decision: null, error: this.startError, elapsedMs: 0 };
+            return;
+        }
+        this.worker.postMessage({ type: 'decide', requestId, snapshot, dt });
+        this.timeoutId = setTimeout(() => this.onAnswer(), timeoutMs + 1); // wakes the game up to stop a worker that hangs
+    }
+    isWaiting() {
+        return this.pending !== null && this.result === null;
+    }
+    getWaitTime() {
+        return this.pending ? performance.now() - this.pending.sentAt : 0;
+    }
+    takeResult() {
+        const result = this.result;
+        this.pending = null;
+        this.result = null;
+        return result;
+    }
+    handleMessage(message) {
+        if (message.type === 'ready') {
+            if (message.error) this.startError = message.error;
+        } else if (message.type === 'log') {
+            this.onLog(message.line);
+        } else if (message.type === 'decision' && this.pending && message.requestId === this.pending.requestId) {
+            this.debugFrame = message.debug;
+            this.setResult({ decision: message.decision, error: message.error, elapsedMs: message.elapsedMs });
+        }
+    }
+    setResult(result) {
+        clearTimeout(this.timeoutId);
+        this.result = result;
+        this.onAnswer();
+    }
+    handleCrash(message) { // the worker script itself failed, e.g. a bot module that doesn't parse
+        if (!this.startError) this.startError = message;
+        if (this.isWaiting()) {
+            this.setResult({ decision: null, error: message, elapsedMs: this.getWaitTime() });
+        }
+    }
+    terminate() {
+        if (this.terminated) return;
+        this.terminated = true;
+        clearTimeout(this.timeoutId);
+        this.pending = null;
+        this.result = null;
+        this.worker.terminate();
+    }
+}
\ No newline at end of file
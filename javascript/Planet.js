@@ -3,6 +3,17 @@
 // ===========================================================
 
 import { config } from './config.js';
+import { areAllies } from './teams.js';
+
+export function getPlanetTypeStats(type) { // a config.planetTypes entry with the defaults it leaves out filled in
+    const archetype = config.planetTypes[type] || config.planetTypes.normal;
+    return {
+        productionMultiplier: archetype.productionMultiplier !== undefined ? archetype.productionMultiplier : 1,
+        maxTroops: archetype.maxTroops !== undefined ? archetype.maxTroops : config.planet.maxTroops,
+        defenseMultiplier: archetype.defenseMultiplier || 1,
+        speedMultiplier: archetype.speedMultiplier || 1
+    };
+}
 
 export default class Planet {
     constructor(x, y, size, troops = 0, owner = 'neutral', game) {
@@ -13,11 +24,19 @@ export default class Planet {
         this.troops = troops;
         this.owner = owner;
         this.game = game;
-        this.productionRate = size / config.planet.productionFactor;
+        this.setType('normal');
         this.selected = false;
         this.incomingAttackGlow = 0;
         this.incomingReinforcementGlow = 0;
     }
+    setType(type) { // a key of config.planetTypes, fixed for the whole game
+        const stats = getPlanetTypeStats(type);
+        this.type = type;
+        this.productionRate = this.size / config.planet.productionFactor * stats.productionMultiplier;
+        this.maxTroops = stats.maxTroops;
+        this.defenseMultiplier = stats.defenseMultiplier;
+        this.launchSpeed = config.troop.movementSpeed * stats.speedMultiplier; // speed of the fleets it sends
+    }
     containsPoint(x, y) { // check if a point is inside this planet
         const dx = x - this.x;
         const dy = y - this.y;
@@ -28,16 +47,17 @@ export default class Planet {
         this.incomingReinforcementGlow = 0;
         for (const movement of this.game.troopMovements) {
             if (movement.to === this) { // check if this planet is the destination
-                if (movement.owner !== this.owner && movement.owner !== 'neutral') { // if owner is different and not neutral, it's an attack
+                const allied = areAllies(this.game.playersController.players, movement.owner, this.owner); // own fleets, and teammates' in team games
+                if (!allied && movement.owner !== 'neutral') { // if owner is hostile and not neutral, it's an attack
                     this.incomingAttackGlow += movement.amount;
                 } 
-                else if (movement.owner === this.owner) { // if owner is same, it's a reinforcement
+                else if (allied) { // if owner is same or a teammate, it's a reinforcement
                     this.incomingReinforcementGlow += movement.amount;
                 }
             }
         }
         if (this.owner !== 'neutral') { // original troop production logic
-            this.troops = Math.min(config.planet.maxTroops, this.troops + this.productionRate * dt); // use max troop count from config
+            this.troops = Math.min(this.maxTroops, this.troops + this.productionRate * dt); // capped by the planet type
         }
     }
     draw(ctx) { // draw planet
@@ -76,6 +96,7 @@ export default class Planet {
         }
         ctx.lineWidth = 2;
         ctx.stroke();
+        this.drawTypeMark(ctx, ctx.strokeStyle);
         if (this.selected) { // draw selection highlight if selected
             ctx.beginPath();
             ctx.arc(this.x, this.y, this.size + 5, 0, Math.PI * 2);
@@ -87,4 +108,49 @@ export default class Planet {
         ctx.textAlign = 'center';
         ctx.fillText(Math.floor(this.troops), this.x, this.y + 5);
     }
+    drawRemembered(ctx, memory) { // a planet out of sight under fog of war, faded and with the owner and troops of its last sighting
+        ctx.save();
+        ctx.globalAlpha = config.ui.visuals.fog.rememberedAlpha;
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, this.size, 0, Math.PI * 2);
+        ctx.strokeStyle = memory.owner === 'neutral' ? '#ffffff' : this.game.playersController.getPlayerColor(memory.owner);
+        ctx.lineWidth = 2;
+        ctx.stroke();
+        this.drawTypeMark(ctx, ctx.strokeStyle); // the type never changes, so it is always known
+        ctx.fillStyle = '#ffffff';
+        ctx.font = '14px Courier New';
+        ctx.textAlign = 'center';
+        ctx.fillText(Math.floor(memory.troops), this.x, this.y + 5);
+        ctx.restore();
+    }
+    drawTypeMark(ctx, color) { // what sets a planet type apart on the map, normal planets have none
+        const { markWidth, markGap, factoryTeeth, barrenFill } = config.ui.visuals.planetTypes;
+        ctx.save();
+        ctx.strokeStyle = color;
+        ctx.lineWidth = markWidth;
+        if (this.type === 'fortress') { // a second wall
+            ctx.beginPath();
+            ctx.arc(this.x, this.y, this.size - markGap, 0, Math.PI * 2);
+            ctx.stroke();
+        } else if (this.type === 'factory') { // gear teeth around the rim
+            ctx.beginPath();
+            for (let i = 0; i < factoryTeeth; i++) {
+                const angle = (i / factoryTeeth) * Math.PI * 2;
+                ctx.moveTo(this.x + Math.cos(angle) * this.size, this.y + Math.sin(angle) * this.size);
+                ctx.lineTo(this.x + Math.cos(angle) * (this.size + markGap), this.y + Math.sin(angle) * (this.size + markGap));
+            }
+            ctx.stroke();
+        } else if (this.type === 'relay') { // a dashed inner ring, like a flight path
+            ctx.setLineDash([2, 4]);
+            ctx.beginPath();
+            ctx.arc(this.x, this.y, this.size - markGap, 0, Math.PI * 2);
+            ctx.stroke();
+        } else if (this.type === 'barren') { // a greyed-out surface
+            ctx.fillStyle = barrenFill;
+            ctx.beginPath();
+            ctx.arc(this.x, this.y, this.size, 0, Math.PI * 2);
+            ctx.fill();
+        }
+        ctx.restore();
+    }
 }
\ No newline at end of file
@@ -5,6 +5,7 @@
 import Planet from './Planet.js';
 import { config } from './config.js';
 import PRNG from './PRNG.js';
+import { getStartSlots } from './maps.js';
 
 export default class PlanetGeneration {
     constructor(game) {
@@ -24,6 +25,9 @@ export default class PlanetGeneration {
         };
     }
     generatePlanets() {
+        if (this.game.config.map) {
+            return this.createMapPlanets(this.game.config.map);
+        }
         const planets = [];
         const allPlayers = this.game.playersController.players;
         const playerPlanets = this.generatePlayerPlanets(allPlayers);
@@ -33,8 +37,32 @@ export default class PlanetGeneration {
         for (let i = 0; i < planets.length; i++) {
             planets[i].id = `p-${i}`;
         }
+        if (this.game.config.planetTypes) { // drawn after placement, so a seed gives the same layout with or without types
+            this.assignPlanetTypes(neutralPlanets);
+        }
         return planets;
     }
+    createMapPlanets(map) { // a map from the map editor, laid out as drawn with the types its author gave the planets
+        const playerCount = this.game.config.players.length;
+        if (getStartSlots(map) !== playerCount) { // an unseated start slot would be an owner with no player behind it
+            throw new Error(`Map ${map.name} seats ${getStartSlots(map)} players, this game has ${playerCount}.`);
+        }
+        return map.planets.map((data, i) => {
+            const planet = new Planet(data.x, data.y, data.size, data.troops, data.owner, this.game);
+            planet.id = `p-${i}`;
+            planet.setType(data.type || 'normal');
+            return planet;
+        });
+    }
+    assignPlanetTypes(planets) {
+        const weights = Object.entries(config.planetGeneration.typeWeights);
+        const totalWeight = weights.reduce((sum, [, weight]) => sum + weight, 0);
+        for (const planet of planets) {
+            let roll = this.prng.next() * totalWeight;
+            const [type] = weights.find(([, weight]) => (roll -= weight) < 0) || weights[0];
+            planet.setType(type);
+        }
+    }
     generatePlayerPlanets(players) {
         const playerPlanets = [];
         const playerCount = players.length;
@@ -6,6 +6,11 @@ import botRegistry from './bots/index.js';
 import { config } from './config.js';
 import GameAPI from './GameAPI.js';
 import PRNG from './PRNG.js';
+import BotSupervisor from './BotSupervisor.js';
+import IsolatedBot from './IsolatedBot.js';
+import BotView from './BotView.js';
+import { getTeamOf, areAllies, getAllyIds, getSideOf } from './teams.js';
+import { captureBotDebug } from './bots/BotDebug.js';
 
 export default class PlayersController {
     constructor(game, gameConfig) {
@@ -14,14 +19,22 @@ export default class PlayersController {
         this.prng = new PRNG(this.config.seed);
         this.players = [];
         this.aiControllers = {};
-        this.aiCooldowns = {};
+        this.botViews = {}; // under fog of war, the fogged copy of the game each inline bot plays against
+        this.supervisor = new BotSupervisor(game); // every call into bot code goes through it
+        this.isolated = !this.game.isPlayback && !!this.config.isolateBots && IsolatedBot.isSupported(); // one worker per bot
+        this.pendingPlayers = null; // isolated bots still to decide this tick, the first one may be waiting on its worker
+        this.aiCooldowns = {}; // next tick on which each bot may act
+        this.warnedInvalidOrders = new Set(); // bots already warned about an invalid order, some built-in bots send 0-troop orders all game
+        this.decisionCooldownTicks = Math.round(config.ai.decisionCooldown * config.game.ticksPerSecond);
         this.playerColors = config.player.colors;
         this.defaultAIName = config.player.defaultAIValue;
         this.availableAITypes = new Map(
             botRegistry.map(bot => [bot.value, bot.class])
         );
         this.initializePlayers();
-        this.initializeAIControllers();
+        if (!this.game.isPlayback) { // replays feed recorded commands, so bots are never instantiated
+            this.initializeAIControllers();
+        }
     }
     initializePlayers() {
         this.players = [];
@@ -30,7 +43,8 @@ export default class PlayersController {
                 id: playerConfig.id,
                 color: this.playerColors[playerConfig.id],
                 isAI: playerConfig.type === 'bot',
-                aiController: playerConfig.aiController || null
+                aiController: playerConfig.aiController || null,
+                team: playerConfig.team || null // set in team games, allies reinforce each other and win together
             });
         }
     }
@@ -38,40 +52,186 @@ export default class PlayersController {
         this.aiControllers = {};
         const aiPlayers = this.getAIPlayers();
         for (const player of aiPlayers) {
-            const AIClass = this.availableAITypes.get(player.aiController) || this.availableAITypes.get(this.defaultAIName);
-            if (AIClass) {
-                const gameApiForBot = new GameAPI(this.game, player.id);
-                this.aiControllers[player.id] = new AIClass(gameApiForBot, player.id);
-                this.aiCooldowns[player.id] = config.ai.decisionCooldown * this.prng.next(); // stagger initial actions
+            const botName = this.availableAITypes.has(player.aiController) ? player.aiController : this.defaultAIName;
+            const AIClass = this.availableAITypes.get(botName);
+            const playerSource = this.config.players.find(p => p.id === player.id).source; // code handed in with the player, e.g. the bot editor's draft
+            const registrySource = botRegistry.find(bot => bot.value === botName).source || null; // workshop bots, the page registers them without a class
+            if (this.isolated && (playerSource || registrySource)) {
+                this.startIsolatedBot(player, playerSource ? player.aiController : botName, playerSource || registrySource);
+            } else if (registrySource && !AIClass) { // untrusted code is never run on the page, without workers it can't play
+                this.supervisor.register(player.id, player.aiController);
+                this.supervisor.failStart(player.id, 'workshop bots only run in a Web Worker, which is not available here');
+            } else if (AIClass) {
+                if (this.isolated) {
+                    this.startIsolatedBot(player, botName, null);
+                } else {
+                    let gameForBot = this.game;
+                    if (this.config.fogOfWar) { // the bot only gets what its snapshot shows, as it would in a worker
+                        gameForBot = this.botViews[player.id] = new BotView(this.players);
+                    }
+                    const gameApiForBot = new GameAPI(gameForBot, player.id);
+                    this.aiControllers[player.id] = this.supervisor.createController(player.id, player.aiController, AIClass, gameApiForBot);
+                }
             } else {
                 console.error(`AI type "${player.aiController}" not found in registry!`);
+                continue;
             }
+            this.aiCooldowns[player.id] = Math.floor(this.decisionCooldownTicks * this.prng.next()); // stagger initial actions
         }
     }
-    updateAIPlayers(dt) {
-        const activeAiPlayers = this.getAIPlayers()
-            .filter(p => this.game.gameState.activePlayers.has(p.id));
-        const currentGameTime = this.game.gameState.elapsedGameTime;
-        for (const player of activeAiPlayers) {
-            if (this.aiCooldowns[player.id] > currentGameTime) { // is current game time past bot's allowed action time?
-                continue; 
+    startIsolatedBot(player, botName, source) {
+        this.supervisor.register(player.id, player.aiController);
+        this.aiControllers[player.id] = new IsolatedBot(player.id, botName, source, this.players, {
+            onAnswer: () => this.game.handleBotAnswer(),
+            onLog: (line) => this.game.handleBotLog(player.id, line)
+        });
+    }
+    getDueAIPlayers() { // active bots whose cooldown has run out
+        const currentTick = this.game.gameState.elapsedTicks;
+        return this.getAIPlayers().filter(p =>
+            this.game.gameState.activePlayers.has(p.id) &&
+            this.aiCooldowns[p.id] <= currentTick && // has bot's allowed action tick been reached?
+            this.aiControllers[p.id] &&
+            !this.supervisor.isForfeited(p.id)
+        );
+    }
+    updateAIPlayers(dt) { // returns false while isolated bots are still thinking, the tick can't finish until they answer
+        if (this.isolated) {
+            return this.updateIsolatedAIPlayers(dt);
+        }
+        for (const player of this.getDueAIPlayers()) {
+            if (this.botViews[player.id]) {
+                this.botViews[player.id].applySnapshot(this.game.createBotSnapshot(player.id));
             }
-            const aiController = this.aiControllers[player.id]; 
-            if (!aiController) continue;
-            const aiDecision = aiController.makeDecision(dt);
-            if (aiDecision) { // only apply cooldown if bot returns a valid action
-                const fromPlanet = this.game.planets.find(p => p.id === aiDecision.fromId);
-                const toPlanet = this.game.planets.find(p => p.id === aiDecision.toId);
-                if (fromPlanet && toPlanet) {
-                    this.game.sendTroops(
-                        fromPlanet,
-                        toPlanet,
-                        aiDecision.troops
-                    );
-                    this.aiCooldowns[player.id] = currentGameTime + config.ai.decisionCooldown; // set next available action time
-                } else {
-                    console.warn(`Bot ${player.id} returned a decision with an invalid planet ID.`);
+            const aiDecision = this.supervisor.runDecision(player.id, this.aiControllers[player.id], dt);
+            this.applyDecision(player, aiDecision);
+        }
+        return true;
+    }
+    updateIsolatedAIPlayers(dt) { // one bot at a time, each seeing the orders of the bots before it, exactly as inline bots do
+        if (!this.pendingPlayers) {
+            this.pendingPlayers = this.getDueAIPlayers();
+        }
+        while (this.pendingPlayers.length > 0) {
+            const player = this.pendingPlayers[0];
+            const bot = this.aiControllers[player.id];
+            if (!bot.pending) {
+                bot.requestDecision(this.game.createBotSnapshot(player.id), dt, config.sandbox.workerTimeoutMs);
+            }
+            if (bot.isWaiting() && bot.getWaitTime() > config.sandbox.workerTimeoutMs) { // stuck, stopped for good
+                this.supervisor.stopResponding(player.id, bot.getWaitTime());
+                bot.terminate();
+            }
+            if (bot.isWaiting()) {
+                return false;
+            }
+            this.pendingPlayers.shift();
+            const result = bot.takeResult();
+            if (!result) continue; // terminated while waiting
+            if (bot.startError) {
+                this.supervisor.failStart(player.id, bot.startError);
+                bot.terminate();
+                continue;
+            }
+            this.applyDecision(player, this.supervisor.reviewResult(player.id, result));
+        }
+        this.pendingPlayers = null;
+        return true;
+    }
+    applyDecision(player, aiDecision) { // a decision is one order or an array of them, each checked on its own; sends, redirects and recalls all count
+        if (!aiDecision) return;
+        let orders = Array.isArray(aiDecision) ? aiDecision : [aiDecision];
+        const maxOrders = config.ai.maxOrdersPerTick;
+        if (maxOrders > 0 && orders.length > maxOrders) {
+            console.warn(`Bot ${player.id} returned ${orders.length} orders, only the first ${maxOrders} are carried out.`);
+            orders = orders.slice(0, maxOrders);
+        }
+        let usedTurn = false;
+        for (const order of orders) {
+            const problem = this.validateOrder(player, order);
+            if (problem) {
+                usedTurn = usedTurn || this.isSendBetweenPlanets(order); // sends between real planets used the turn before orders were checked, whatever their troops
+                if (!this.warnedInvalidOrders.has(player.id)) {
+                    this.warnedInvalidOrders.add(player.id);
+                    console.warn(`Bot ${player.id} returned an invalid order: ${problem}. Its further invalid orders are dropped without a warning.`);
                 }
+                continue;
+            }
+            if (order.type === 'redirect' || order.type === 'recall') {
+                const movement = this.game.troopMovements.find(m => m.id === order.fleetId);
+                this.game.redirectFleet(movement, order.type === 'recall' ? movement.from : this.game.planets.find(p => p.id === order.toId));
+            } else {
+                this.game.sendTroops(
+                    this.game.planets.find(p => p.id === order.fromId),
+                    this.game.planets.find(p => p.id === order.toId),
+                    order.troops
+                );
+            }
+            usedTurn = true;
+        }
+        if (usedTurn) { // a decision naming no existing planets leaves the bot free to try again next tick, as it always has
+            this.aiCooldowns[player.id] = this.game.gameState.elapsedTicks + this.decisionCooldownTicks; // set next available action tick
+        }
+    }
+    isSendBetweenPlanets(order) {
+        return !!order && typeof order === 'object' && (order.type === undefined || order.type === 'send') &&
+            this.game.planets.some(p => p.id === order.fromId) && this.game.planets.some(p => p.id === order.toId);
+    }
+    validateOrder(player, order) { // why an order can't be carried out, or null if it can
+        if (!order || typeof order !== 'object') {
+            return 'not an order object';
+        }
+        if (order.type === 'redirect' || order.type === 'recall') {
+            return this.validateRedirect(player, order);
+        }
+        if (order.type !== undefined && order.type !== 'send') {
+            return `unknown order type ${order.type}`;
+        }
+        const fromPlanet = this.game.planets.find(p => p.id === order.fromId);
+        const toPlanet = this.game.planets.find(p => p.id === order.toId);
+        if (!fromPlanet || !toPlanet) {
+            return 'invalid planet ID';
+        }
+        if (fromPlanet === toPlanet) {
+            return `${order.fromId} is both source and target`;
+        }
+        if (fromPlanet.owner !== player.id) { // a bot may only launch its own troops
+            return `${order.fromId} is not theirs`;
+        }
+        if (typeof order.troops !== 'number' || !(order.troops > 0)) {
+            return `troops must be a positive number, got ${order.troops}`;
+        }
+        return null;
+    }
+    validateRedirect(player, order) { // { type: 'redirect', fleetId, toId } or { type: 'recall', fleetId }
+        const movement = this.game.troopMovements.find(m => m.id === order.fleetId);
+        if (!movement) {
+            return `no fleet ${order.fleetId} in flight`;
+        }
+        if (movement.owner !== player.id) {
+            return `${order.fleetId} is not theirs`;
+        }
+        const toPlanet = order.type === 'recall' ? movement.from : this.game.planets.find(p => p.id === order.toId);
+        if (!toPlanet) {
+            return 'invalid planet ID';
+        }
+        if (toPlanet === movement.to) {
+            return `${order.fleetId} is already headed to ${toPlanet.id}`;
+        }
+        if (!movement.canBeRedirected(this.game.gameState.elapsedTicks)) {
+            return `${order.fleetId} was given an order less than the decision cooldown ago`;
+        }
+        return null;
+    }
+    getBotDebug(playerId) { // the bot's debug overlay and memory summary, null if it has none (humans, replays, bots that never started)
+        const controller = this.aiControllers[playerId];
+        if (!controller) return null;
+        return controller instanceof IsolatedBot ? controller.debugFrame : captureBotDebug(controller);
+    }
+    shutdown() { // stops bot workers once the game is over
+        for (const controller of Object.values(this.aiControllers)) {
+            if (controller instanceof IsolatedBot) {
+                controller.terminate();
             }
         }
     }
@@ -81,6 +241,18 @@ export default class PlayersController {
     getPlayerColor(playerId) {
         return this.playerColors[playerId] || this.playerColors['neutral'];
     }
+    getTeam(playerId) { // null in free-for-all
+        return getTeamOf(this.players, playerId);
+    }
+    areAllies(playerId, otherId) {
+        return areAllies(this.players, playerId, otherId);
+    }
+    getAllyIds(playerId) {
+        return getAllyIds(this.players, playerId);
+    }
+    getSideOf(playerId) {
+        return getSideOf(this.players, playerId);
+    }
     getHumanPlayers() {
         return this.players.filter(player => !player.isAI);
     }
@@ -129,14 +301,4 @@ export default class PlayersController {
         });
         return stats;
     }
-    getWinningPlayer() {
-        const activePlayerStats = this.getPlayerStats()
-            .filter(stats => stats.id !== 'neutral')
-            .sort((a, b) => b.troops - a.troops);
-        const activePlayers = activePlayerStats.filter(stats => stats.isActive);
-        if (activePlayers.length === 1) {
-            return activePlayers[0].id;
-        }
-        return activePlayerStats[0].id;
-    }
 }
\ No newline at end of file
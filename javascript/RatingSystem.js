@@ -0,0 +1,67 @@
+// ===========================================
+// root/javascript/RatingSystem.js — multiplayer skill ratings (Weng-Lin Bayesian approximation, a TrueSkill-like mu/sigma model)
+// ===========================================
+
+import { config } from './config.js';
+
+export default class RatingSystem {
+    constructor() {
+        this.ratings = {}; // nickname -> { mu, sigma, gamesRated, history: [{ mu, sigma }] }
+    }
+    reset() {
+        this.ratings = {};
+    }
+    getRating(nickname) {
+        if (!this.ratings[nickname]) {
+            this.ratings[nickname] = { mu: config.rating.initialMu, sigma: config.rating.initialSigma, gamesRated: 0, history: [] };
+        }
+        return this.ratings[nickname];
+    }
+    getConservativeRating(rating) { // what the standings sort by: a lower bound that only rises once the system is confident
+        return rating.mu - config.rating.conservativeFactor * rating.sigma;
+    }
+    rateGame(results) { // results: [{ nickname, rank, won, team }], lower rank is better, equal ranks are a draw, team is null in free-for-all
+        const { beta, kappa } = config.rating;
+        const sides = results.map(result => result.team || (result.won ? 'winners' : null)); // records from before teams were stored only mark the winning side
+        const sideRanks = {}; // side -> its best member's rank, teammates win or lose together
+        results.forEach((result, i) => {
+            if (sides[i] && (sideRanks[sides[i]] === undefined || result.rank < sideRanks[sides[i]])) {
+                sideRanks[sides[i]] = result.rank;
+            }
+        });
+        const entries = results.map((result, i) => ({
+            ...result,
+            side: sides[i],
+            rank: sides[i] ? sideRanks[sides[i]] : result.rank,
+            rating: this.getRating(result.nickname)
+        }));
+        const updates = {}; // nickname -> { omega, delta, count }; a bot entered twice gets the mean of its entries' updates
+        for (const entry of entries) {
+            const { mu, sigma } = entry.rating;
+            let omega = 0;
+            let delta = 0;
+            for (const opponent of entries) {
+                if (opponent.nickname === entry.nickname) continue; // mirror matches say nothing about relative skill
+                if (entry.side && opponent.side === entry.side) continue; // allies played together, not against each other
+                const c = Math.sqrt(sigma * sigma + opponent.rating.sigma * opponent.rating.sigma + 2 * beta * beta);
+                const expected = 1 / (1 + Math.exp((opponent.rating.mu - mu) / c)); // chance entry finishes ahead of opponent
+                const actual = entry.rank < opponent.rank ? 1 : entry.rank === opponent.rank ? 0.5 : 0;
+                const gamma = sigma / c;
+                omega += (sigma * sigma / c) * (actual - expected);
+                delta += gamma * (sigma * sigma / (c * c)) * expected * (1 - expected);
+            }
+            const update = updates[entry.nickname] || (updates[entry.nickname] = { omega: 0, delta: 0, count: 0 });
+            update.omega += omega;
+            update.delta += delta;
+            update.count++;
+        }
+        if (Object.keys(updates).length < 2) return; // nothing to learn from a game against yourself
+        for (const [nickname, update] of Object.entries(updates)) {
+            const rating = this.getRating(nickname);
+            rating.mu += update.omega / update.count;
+            rating.sigma *= Math.sqrt(Math.max(1 - update.delta / update.count, kappa));
+            rating.gamesRated++;
+            rating.history.push({ mu: rating.mu, sigma: rating.sigma });
+        }
+    }
+}
\ No newline at end of file
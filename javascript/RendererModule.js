@@ -3,12 +3,15 @@
 // ===========================================
 
 import { formatTime } from './utils.js';
+import { config } from './config.js';
+import { isInSensorRange } from './FogOfWar.js';
 
 export default class Renderer {
     constructor(game) {
         this.game = game;
         this.ctx = game.ctx;
         this.canvas = game.canvas;
+        this.fogCanvas = null; // offscreen layer the fog is painted on, created on first use
     }
     draw(alpha = 0) {
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
@@ -18,16 +21,69 @@ export default class Renderer {
         this.ctx.scale(this.game.scale, this.game.scale);
         this.drawTrajectory();
         this.drawSelectionBox();
+        const fogViewers = this.getFogViewers();
         for (const planet of this.game.planets) {
-            planet.draw(this.ctx);
+            if (fogViewers && !fogViewers.some(playerId => this.game.fog.isPlanetInSight(playerId, planet.id))) {
+                planet.drawRemembered(this.ctx, this.getFreshestMemory(fogViewers, planet.id));
+            } else {
+                planet.draw(this.ctx);
+            }
         }
         for (const movement of this.game.troopMovements) {
+            if (fogViewers && !fogViewers.some(playerId => this.game.fog.isFleetVisible(playerId, movement))) continue;
             movement.draw(this.ctx, alpha);
         }
+        this.drawClashes(fogViewers);
+        this.drawVictoryMarkers();
+        this.drawBotDebug();
         this.ctx.restore();
+        if (fogViewers) {
+            this.drawFog(fogViewers);
+        }
         this.drawUIOverlays();
     }
+    getFogViewers() { // the human players whose sight the map is drawn with, null when everything is shown
+        if (!this.game.fog || this.game.gameOver) return null; // the fog lifts once the game is decided
+        const viewers = this.game.humanPlayerIds.filter(playerId => this.game.gameState.activePlayers.has(playerId));
+        return viewers.length > 0 ? viewers : null; // bot-only games and eliminated humans watch with the whole map in view
+    }
+    getFreshestMemory(playerIds, planetId) {
+        return playerIds
+            .map(playerId => this.game.fog.getMemory(playerId, planetId))
+            .reduce((freshest, memory) => memory.seenAt > freshest.seenAt ? memory : freshest);
+    }
+    drawFog(playerIds) { // haze over the whole map with the viewers' sensor circles cut out, painted offscreen so overlapping circles don't add up
+        if (!this.fogCanvas) {
+            this.fogCanvas = document.createElement('canvas');
+        }
+        const fogCanvas = this.fogCanvas;
+        if (fogCanvas.width !== this.canvas.width || fogCanvas.height !== this.canvas.height) {
+            fogCanvas.width = this.canvas.width;
+            fogCanvas.height = this.canvas.height;
+        }
+        const fogCtx = fogCanvas.getContext('2d');
+        fogCtx.setTransform(1, 0, 0, 1, 0, 0);
+        fogCtx.clearRect(0, 0, fogCanvas.width, fogCanvas.height);
+        fogCtx.setTransform(this.game.scale, 0, 0, this.game.scale, this.game.offsetX, this.game.offsetY);
+        fogCtx.fillStyle = config.ui.visuals.fog.color;
+        fogCtx.fillRect(0, 0, this.game.config.game.logicalWidth, this.game.config.game.logicalHeight);
+        fogCtx.globalCompositeOperation = 'destination-out';
+        fogCtx.beginPath();
+        for (const playerId of playerIds) {
+            for (const sensor of this.game.fog.getSensors(playerId)) {
+                fogCtx.moveTo(sensor.x + sensor.radius, sensor.y);
+                fogCtx.arc(sensor.x, sensor.y, sensor.radius, 0, Math.PI * 2);
+            }
+        }
+        fogCtx.fill();
+        fogCtx.globalCompositeOperation = 'source-over';
+        this.ctx.drawImage(fogCanvas, 0, 0);
+    }
     drawTrajectory() {
+        const selectedFleet = this.game.selectedFleet;
+        if (selectedFleet && this.game.troopMovements.includes(selectedFleet)) {
+            this.drawSelectedFleet(selectedFleet);
+        }
         if (this.game.selectedPlanets.length > 0) {
             const targetPlanet = this.game.planets.find(planet =>
                 planet.containsPoint(this.game.worldMousePos.x, this.game.worldMousePos.y));
@@ -45,6 +101,117 @@ export default class Renderer {
             }
         }
     }
+    drawSelectedFleet(movement) { // a ring on the fleet, and where it would turn to if the planet under the mouse were clicked
+        const { radius, color } = config.ui.visuals.selectedFleet;
+        const position = movement.getPosition();
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.arc(position.x, position.y, radius, 0, Math.PI * 2);
+        ctx.stroke();
+        const targetPlanet = this.game.planets.find(planet =>
+            planet.containsPoint(this.game.worldMousePos.x, this.game.worldMousePos.y));
+        if (targetPlanet && targetPlanet !== movement.to) {
+            ctx.beginPath();
+            ctx.moveTo(position.x, position.y);
+            ctx.lineTo(targetPlanet.x, targetPlanet.y);
+            ctx.strokeStyle = '#ffffff44';
+            ctx.setLineDash([5, 5]);
+            ctx.lineWidth = 1;
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+        ctx.restore();
+    }
+    drawClashes(fogViewers) { // a fading burst where fleets collided in flight, sized by the troops involved
+        if (!this.game.collisions) return;
+        const { duration, minRadius, maxRadius, troopsForMaxRadius, color } = config.ui.visuals.clash;
+        const now = this.game.gameState.elapsedGameTime;
+        const ctx = this.ctx;
+        ctx.save();
+        for (const clash of this.game.collisions.clashes) {
+            if (fogViewers && !fogViewers.some(playerId => isInSensorRange(this.game, playerId, clash.x, clash.y))) continue;
+            const age = Math.min(1, (now - clash.time) / duration);
+            const radius = minRadius + (maxRadius - minRadius) * Math.min(1, clash.troops / troopsForMaxRadius) * (0.4 + 0.6 * age);
+            ctx.beginPath();
+            ctx.arc(clash.x, clash.y, radius, 0, Math.PI * 2);
+            ctx.fillStyle = `rgba(${color}, ${0.35 * (1 - age)})`;
+            ctx.fill();
+            ctx.strokeStyle = `rgba(${color}, ${1 - age})`;
+            ctx.lineWidth = 2;
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+    drawVictoryMarkers() { // rings around the planets the victory condition is about, e.g. the hill with how long it has been held
+        const markers = this.game.victory.getMarkers();
+        if (markers.length === 0) return;
+        const { gap, lineWidth, color } = config.ui.visuals.victoryMarker;
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.lineWidth = lineWidth;
+        for (const marker of markers) {
+            const planet = this.game.planets.find(p => p.id === marker.planetId);
+            const radius = planet.size + gap;
+            ctx.strokeStyle = color;
+            ctx.setLineDash([3, 4]);
+            ctx.beginPath();
+            ctx.arc(planet.x, planet.y, radius, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.setLineDash([]);
+            if (marker.progress > 0) { // filled clockwise from the top in the holder's colour
+                ctx.strokeStyle = this.game.playersController.getPlayerColor(planet.owner);
+                ctx.beginPath();
+                ctx.arc(planet.x, planet.y, radius, -Math.PI / 2, -Math.PI / 2 + Math.PI * 2 * Math.min(1, marker.progress));
+                ctx.stroke();
+            }
+        }
+        ctx.restore();
+    }
+    drawBotDebug() { // the lines and labels bots drew with this.debug, for the layers switched on in the debug panel
+        const layers = this.game.debugLayers;
+        if (!layers || layers.size === 0) return;
+        const planetsById = new Map(this.game.planets.map(planet => [planet.id, planet]));
+        const resolve = (endpoint) => endpoint.planetId ? planetsById.get(endpoint.planetId) : endpoint;
+        const labelsPerPlanet = {}; // stacks labels from several bots on one planet instead of overprinting them
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.lineWidth = 1.5;
+        ctx.font = '11px Courier New';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'bottom';
+        for (const playerId of layers) {
+            const frame = this.game.playersController.getBotDebug(playerId);
+            if (!frame) continue;
+            for (const line of frame.lines) {
+                const from = resolve(line.from);
+                const to = resolve(line.to);
+                if (!from || !to) continue;
+                ctx.strokeStyle = line.color;
+                ctx.fillStyle = line.color;
+                ctx.setLineDash([4, 3]);
+                ctx.beginPath();
+                ctx.moveTo(from.x, from.y);
+                ctx.lineTo(to.x, to.y);
+                ctx.stroke();
+                ctx.setLineDash([]);
+                ctx.beginPath(); // a dot marks the end the line points at
+                ctx.arc(to.x, to.y, 3, 0, Math.PI * 2);
+                ctx.fill();
+            }
+            for (const label of frame.labels) {
+                const planet = planetsById.get(label.planetId);
+                if (!planet) continue;
+                const stacked = labelsPerPlanet[label.planetId] || 0;
+                labelsPerPlanet[label.planetId] = stacked + 1;
+                ctx.fillStyle = label.color;
+                ctx.fillText(label.text, planet.x, planet.y - planet.size - 4 - stacked * 12);
+            }
+        }
+        ctx.restore();
+    }
     drawSelectionBox() {
         if (!this.game.inputHandler) return;
         const selectionBox = this.game.inputHandler.getSelectionBox();
@@ -81,9 +248,11 @@ export default class Renderer {
         ctx.shadowColor = 'rgba(0, 0, 0, 0.9)';
         ctx.shadowBlur = 5;
         // draw total troops
-        const totalTroops = Math.round(this.game.troopTracker.lastTotalTroops);
-        ctx.textAlign = 'left';
-        ctx.fillText(`${totalTroops}`, paddingX, paddingY);
+        if (this.game.troopTracker) { // the bot editor's test bench has no troop bar
+            const totalTroops = Math.round(this.game.troopTracker.lastTotalTroops);
+            ctx.textAlign = 'left';
+            ctx.fillText(`${totalTroops}`, paddingX, paddingY);
+        }
         // draw time remaining
         const timeRemaining = this.game.timerManager.getTimeRemaining();
         const formattedTime = formatTime(timeRemaining);
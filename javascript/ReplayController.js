@@ -0,0 +1,82 @@
+// ===========================================
+// root/javascript/ReplayController.js — pause, single-step and seeking for command-log replays, backed by periodic snapshots
+// ===========================================
+
+import { config } from './config.js';
+
+export default class ReplayController {
+    constructor(game) {
+        this.game = game;
+        const replay = game.config.replay;
+        this.totalTicks = replay.ticks || game.timerManager.durationTicks;
+        this.markers = (replay.events || []).filter(e => e.type === 'capture' || e.type === 'elimination' || e.type === 'forfeit');
+        this.snapshotInterval = config.replay.snapshotInterval;
+        this.snapshots = []; // ordered by tick, the first one is always tick 0
+    }
+    initialize() { // called once planets exist
+        this.snapshots = [this.game.createSnapshot()];
+    }
+    getCurrentTick() {
+        return this.game.gameState.elapsedTicks;
+    }
+    afterStep() { // keep a snapshot every interval so seeking backwards never replays from the start
+        const tick = this.getCurrentTick();
+        const lastSnapshot = this.snapshots[this.snapshots.length - 1];
+        if (tick % this.snapshotInterval === 0 && tick > lastSnapshot.tick) {
+            this.snapshots.push(this.game.createSnapshot());
+        }
+    }
+    isPaused() {
+        return this.game.timerManager.isPaused;
+    }
+    pause() {
+        this.game.timerManager.pause();
+    }
+    play() {
+        this.game.timerManager.resume();
+    }
+    togglePause() {
+        if (this.isPaused()) {
+            this.play();
+        } else {
+            this.pause();
+        }
+    }
+    stepForward(ticks = 1) { // only meaningful while paused, otherwise the frame loop is already stepping
+        this.seek(this.getCurrentTick() + ticks);
+    }
+    seek(targetTick) {
+        const game = this.game;
+        const target = Math.max(0, Math.min(Math.floor(targetTick), this.totalTicks - 1)); // the final tick ends the game, so stop one short of it
+        const current = this.getCurrentTick();
+        if (target < current || target - current > this.snapshotInterval) {
+            const snapshot = this.findSnapshotAtOrBefore(target);
+            if (target < current || snapshot.tick > current) {
+                game.restoreSnapshot(snapshot);
+            }
+        }
+        while (game.gameState.elapsedTicks < target && !game.gameOver) {
+            game.step();
+        }
+        game.accumulator = 0;
+        game.renderAlpha = 0;
+    }
+    findSnapshotAtOrBefore(tick) {
+        let found = this.snapshots[0];
+        for (const snapshot of this.snapshots) {
+            if (snapshot.tick > tick) break;
+            found = snapshot;
+        }
+        return found;
+    }
+    seekToMarker(marker) { // land just after the event so its effect is visible
+        this.seek(marker.tick + 1);
+    }
+    getNextMarker(tick = this.getCurrentTick()) {
+        return this.markers.find(m => m.tick + 1 > tick) || null;
+    }
+    getPreviousMarker(tick = this.getCurrentTick()) {
+        const earlier = this.markers.filter(m => m.tick + 1 < tick);
+        return earlier.length > 0 ? earlier[earlier.length - 1] : null;
+    }
+}
\ No newline at end of file
@@ -7,9 +7,11 @@ import { config } from './config.js';
 export default class TimerManager {
     constructor(game) {
         this.game = game;
-        this.timeRemaining = config.game.defaultDuration;
+        this.ticksPerSecond = config.game.ticksPerSecond;
+        this.durationTicks = Math.round(config.game.defaultDuration * this.ticksPerSecond);
+        this.elapsedTicks = 0; // simulation clock, only ever advanced by tick()
         this.isPaused = false;
-        this.lastUpdate = Date.now();
+        this.lastUpdate = Date.now(); // wall clock, only used to decide how many ticks a frame should run
         this.shouldPauseOnHidden = true;
     }
     initialize() {
@@ -17,26 +19,28 @@ export default class TimerManager {
     }
     setupVisibilityHandler() {
         document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') {
+                this.lastUpdate = Date.now(); // don't count time spent hidden as one giant frame
+            }
             if (this.shouldPauseOnHidden) {
                 this.isPaused = document.visibilityState !== 'visible';
-                if (!this.isPaused) {
-                    this.lastUpdate = Date.now();
-                }
             }
         });
     }
-    update(speedMultiplier = 1.0) {
-        if (this.isPaused) return; 
+    consumeFrameTime() { // returns real seconds since last frame, or 0 while paused
         const now = Date.now();
         const dt = (now - this.lastUpdate) / 1000;
         this.lastUpdate = now;
+        return this.isPaused ? 0 : dt;
+    }
+    tick() { // advance simulation clock by exactly one fixed step
         if (this.game.isActive) { // only update time if game is active
-            this.timeRemaining = Math.max(0, this.timeRemaining - (dt * speedMultiplier));
+            this.elapsedTicks++;
         }
-        return this.timeRemaining;
     }
     reset(time = config.game.defaultDuration) {
-        this.timeRemaining = time;
+        this.durationTicks = Math.round(time * this.ticksPerSecond);
+        this.elapsedTicks = 0;
         this.isPaused = false;
         this.lastUpdate = Date.now();
     }
@@ -47,7 +51,10 @@ export default class TimerManager {
         this.isPaused = false;
         this.lastUpdate = Date.now();
     }
+    getTicksRemaining() {
+        return Math.max(0, this.durationTicks - this.elapsedTicks);
+    }
     getTimeRemaining() {
-        return this.timeRemaining;
+        return this.getTicksRemaining() / this.ticksPerSecond;
     }
 }
\ No newline at end of file
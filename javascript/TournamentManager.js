@@ -4,106 +4,161 @@
 
 import PRNG from './PRNG.js';
 import eventManager from './EventManager.js';
+import tournamentFormats from './tournaments/index.js';
 
 export default class TournamentManager {
-    constructor(participants, menuManager, tournamentScreen) {
+    constructor(participants, menuManager, tournamentScreen, options = {}) {
         this.menuManager = menuManager;
         this.tournamentScreen = tournamentScreen;
         this.participants = participants;
+        this.id = Date.now();
+        this.finishedAt = null;
         this.prng = new PRNG(Date.now());
-        this.bracket = this._createBracket(participants);
-        this.currentRound = 0;
-        this.currentMatchIndex = 0;
-        this.finalMatchConfig = null;
+        const formatEntry = tournamentFormats.find(f => f.value === options.format) || tournamentFormats[0];
+        this.formatEntry = formatEntry;
+        this.formatOptions = options.formatOptions || {};
+        this.format = new formatEntry.class(participants, this.prng, this.formatOptions);
+        this.seriesPlan = options.seriesPlan || { rounds: [1], final: null }; // best-of per round, the last entry covers later rounds
+        this.currentMatch = null;
+        this.currentGame = null; // { seed, mirrored, order }, order[i] is the participant index playing as player i + 1
+        this.finalMatchReplay = null; // replay of the last game played, for the podium's replay button
     }
-    _createBracket(participants) {
-        const bracket = [];
-        let currentRoundPlayers = [...participants].sort(() => 0.5 - this.prng.next());
-        bracket.push(currentRoundPlayers);
-        while (currentRoundPlayers.length > 1) {
-            const nextRoundPlayerCount = Math.ceil(currentRoundPlayers.length / 2);
-            const nextRound = Array(nextRoundPlayerCount).fill(null);
-            bracket.push(nextRound);
-            currentRoundPlayers = nextRound;
+    static restore(state, menuManager, tournamentScreen) { // rebuilds a tournament saved by serialize(), ready to start() where it left off
+        const tournament = new TournamentManager(state.participants, menuManager, tournamentScreen, state);
+        tournament.id = state.id;
+        tournament.finishedAt = state.finishedAt;
+        tournament.prng.seed = state.prngSeed;
+        tournament.format = tournament.formatEntry.class.restore(state.participants, tournament.prng, state.formatState);
+        tournament.finalMatchReplay = state.lastReplay;
+        return tournament;
+    }
+    serialize() { // everything needed to carry on after a reload; seeds and per-game stats live in each match's series
+        return {
+            id: this.id,
+            finishedAt: this.finishedAt,
+            format: this.formatEntry.value,
+            formatOptions: this.formatOptions,
+            seriesPlan: this.seriesPlan,
+            participants: this.participants,
+            prngSeed: this.prng.seed,
+            formatState: this.format.serialize(),
+            placings: this.format.getPlacings(),
+            lastReplay: this.finalMatchReplay
+        };
+    }
+    save() {
+        const store = this.menuManager.tournamentStore;
+        if (this.finishedAt) {
+            store.archive(this.serialize());
+        } else {
+            store.saveActive(this.serialize());
         }
-        return bracket;
     }
     start() {
-        this.menuManager.uiManager.setHeaderTitle('TOURNAMENT');
-        this.tournamentScreen.show(this.bracket);
-        this.menuManager.footerManager.showBackButton(() => {
+        this.menuManager.uiManager.setHeaderTitle(this.formatEntry.name.toUpperCase());
+        this.menuManager.uiManager.showView('tournament', { payload: this.getView() });
+        this.menuManager.footerManager.showBackButton(() => { // the tournament is saved, the main menu offers to resume it
             this.menuManager.menuBuilder.buildMainMenu();
+            eventManager.emit('screen-changed', 'menu');
         });
+        this.save();
         setTimeout(() => this.runNextMatch(), 500);
     }
+    showResults(onReturn) { // a finished tournament from the history: final bracket or table, with the podium underneath
+        const [champion, runnerUp] = this.format.getPlacings().map(index => this.participants[index]);
+        const onReplay = this.finalMatchReplay ? () => this.menuManager.startReplay(this.finalMatchReplay) : null;
+        this.menuManager.uiManager.setHeaderTitle(this.formatEntry.name.toUpperCase());
+        this.menuManager.uiManager.showView('tournament', { payload: this.getView() });
+        this.menuManager.footerManager.showBackButton(onReturn);
+        this.tournamentScreen.showPodium(champion, runnerUp, onReplay, onReturn, true);
+    }
+    getView() {
+        return { ...this.format.getView(), participants: this.participants };
+    }
     runNextMatch() {
-        const round = this.bracket[this.currentRound];
-        // Check if the current round is finished
-        if (this.currentMatchIndex >= Math.floor(round.length / 2)) {
-            this.currentRound++;
-            this.currentMatchIndex = 0;
-            // Check if the whole tournament is over
-            if (this.currentRound >= this.bracket.length - 1) {
-                this.endTournament();
-                return;
-            }
-            // Add a small delay between rounds for visual pacing
-            setTimeout(() => this.runNextMatch(), 1000);
+        const match = this.format.getNextMatch();
+        if (!match) {
+            this.endTournament();
             return;
         }
-        // Get the players for the current match
-        const player1 = round[this.currentMatchIndex * 2];
-        const player2 = round[this.currentMatchIndex * 2 + 1];
-        if (player1 && !player2) { // Handle a bye
-            this.bracket[this.currentRound + 1][this.currentMatchIndex] = player1;
-            this.currentMatchIndex++;
-            this.tournamentScreen._renderBracket(this.bracket); // Re-render to show bye
-            setTimeout(() => this.runNextMatch(), 250); // Quickly process next match
-            return;
+        this.currentMatch = match;
+        if (!match.series) {
+            match.series = { bestOf: this.getBestOf(match), games: [] };
         }
-        const onSimulate = () => this.startMatch(player1, player2, true);
-        const onWatch = () => this.startMatch(player1, player2, false);
-        this.tournamentScreen.prepareNextMatch(player1, player2, this.currentRound, this.currentMatchIndex, onSimulate, onWatch);
+        const onSimulate = () => this.startMatch(match, true);
+        const onWatch = () => this.startMatch(match, false);
+        this.tournamentScreen.prepareNextMatch(match, this.getView(), onSimulate, onWatch);
     }
-    startMatch(player1, player2, isHeadless) {
-        const baseConfig = this.menuManager.getGameConfig();
+    getBestOf(match) {
+        if (match.slots.length > 2) return 1; // series swap two sides, a heat is always one game
+        if (this.seriesPlan.final && this.format.isFinalMatch(match)) {
+            return this.seriesPlan.final;
+        }
+        const rounds = this.seriesPlan.rounds;
+        return rounds[Math.min(match.round, rounds.length - 1)];
+    }
+    getNextGame(match) { // games come in pairs on one seed with the starting positions swapped, an odd decider gets a fresh map
+        const games = match.series.games;
+        const mirrored = games.length % 2 === 1;
+        const seed = mirrored ? games[games.length - 1].seed : Math.floor(this.prng.next() * 2147483647);
+        const order = mirrored ? [...match.slots].reverse() : [...match.slots];
+        return { seed, mirrored, order };
+    }
+    startMatch(match, isHeadless) {
+        this.currentGame = this.getNextGame(match);
+        const { map, teamMode, ...baseConfig } = this.menuManager.getGameConfig(); // setup's map and team mode fit setup's player count, a match seats just its own bots
         const matchConfig = {
             ...baseConfig,
-            players: [
-                { id: 'player1', type: 'bot', aiController: player1.aiController },
-                { id: 'player2', type: 'bot', aiController: player2.aiController }
-            ],
+            players: this.currentGame.order.map((participantIndex, i) => ({
+                id: `player${i + 1}`, type: 'bot', aiController: this.participants[participantIndex].aiController
+            })),
             batchSize: 1,
             isHeadless: isHeadless,
             isTournamentMatch: true,
-            seed: Date.now() + Math.random()
+            seed: this.currentGame.seed
         };
-        // If this is the final match, save its config for the replay button.
-        if (this.bracket[this.currentRound].length <= 2) {
-            this.finalMatchConfig = { ...matchConfig };
-        }
         if (isHeadless) {
             this.menuManager.startTournamentGame(matchConfig);
         } else {
             this.menuManager.startTournamentWatchGame(matchConfig);
         }
     }
-    reportMatchResult(winnerPlayerId) {
-        const round = this.bracket[this.currentRound];
-        const player1 = round[this.currentMatchIndex * 2];
-        const player2 = round[this.currentMatchIndex * 2 + 1];
-        const winner = winnerPlayerId.id === 'player1' ? player1 : player2;
-        const loser = winnerPlayerId.id === 'player1' ? player2 : player1;
-        this.bracket[this.currentRound + 1][this.currentMatchIndex] = winner;
-        this.tournamentScreen.updateBracket(winner, loser, this.currentRound, this.currentMatchIndex, this.bracket);
-        this.currentMatchIndex++;
+    reportMatchResult(summary, replayData) { // summary from GameState.getSummary(), player ids are the game's
+        if (!this.currentGame) return; // a game left running by a tournament that has since been replaced
+        const match = this.currentMatch;
+        const { seed, mirrored, order } = this.currentGame;
+        this.finalMatchReplay = replayData;
+        const toParticipant = playerId => order[parseInt(playerId.replace('player', ''), 10) - 1]; // startMatch numbers players in order
+        const winner = toParticipant(summary.winner);
+        const finishingOrder = summary.finishingOrder.map(toParticipant);
+        match.series.games.push({
+            seed, mirrored, winner, finishingOrder,
+            victoryType: summary.victoryType,
+            ticks: summary.ticks,
+            troopsSent: summary.troopsSent,
+            planetsConquered: summary.planetsConquered
+        });
+        this.currentGame = null;
+        const winsNeeded = Math.floor(match.series.bestOf / 2) + 1;
+        const winnerWins = match.series.games.filter(game => game.winner === winner).length;
+        if (winnerWins >= winsNeeded) { // series decided, the format advances the bracket
+            const placing = match.series.bestOf === 1
+                ? finishingOrder // a single game ranks everyone, heats need the whole order
+                : [winner, ...match.slots.filter(slot => slot !== winner)];
+            this.format.recordResult(match.id, placing);
+            this.currentMatch = null;
+            this.tournamentScreen.showMatchResult(match, this.getView());
+        } else {
+            this.tournamentScreen.setView(this.getView()); // just the new series score
+        }
+        this.save();
         setTimeout(() => this.runNextMatch(), 1500);
     }
     endTournament() {
-        const champion = this.bracket[this.bracket.length - 1][0];
-        const semiFinalRound = this.bracket[this.bracket.length - 2];
-        const runnerUp = semiFinalRound.find(p => p && p.aiController !== champion.aiController); // guard to ensure `p` is not null/undefined before accessing its properties
-        const onReplay = () => this.menuManager.startReplay(this.finalMatchConfig);
+        this.finishedAt = Date.now();
+        this.save(); // moves it from the resume slot to the history
+        const [champion, runnerUp] = this.format.getPlacings().map(index => this.participants[index]);
+        const onReplay = () => this.menuManager.startReplay(this.finalMatchReplay);
         const onReturn = () => {
             this.menuManager.menuBuilder.buildMainMenu();
             eventManager.emit('screen-changed', 'menu');
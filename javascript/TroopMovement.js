@@ -13,21 +13,38 @@ export default class TroopMovement {
         this.amount = amount;
         this.owner = owner;
         this.game = game;
+        this.id = null; // 'fleet<n>' in launch order, set by the game that launched it
+        this.orderedAt = 0; // tick of its launch or last redirect, it can't be redirected again until the decision cooldown has passed
+        this.speed = from.launchSpeed; // relays send faster fleets
+        this.setCourse(from.x, from.y, to);
+    }
+    setCourse(startX, startY, to) { // a straight leg from (startX, startY) to the planet, progress counts along it
+        this.to = to;
         this.progress = 0;
-        this.startX = from.x;
-        this.startY = from.y;
-        this.dx = to.x - from.x;
-        this.dy = to.y - from.y;
+        this.startX = startX;
+        this.startY = startY;
+        this.dx = to.x - startX;
+        this.dy = to.y - startY;
         this.distance = Math.sqrt(this.dx * this.dx + this.dy * this.dy);
-        this.speed = config.troop.movementSpeed;
         this.duration = this.distance / this.speed; // seconds to reach target
     }
+    redirect(to) { // turns toward another planet from where it is now, at the speed it was launched with; `from` stays the planet it came from, so recalling is a redirect to it
+        const position = this.getPosition();
+        this.setCourse(position.x, position.y, to);
+    }
+    canBeRedirected(tick) {
+        return tick - this.orderedAt >= Math.round(config.ai.decisionCooldown * config.game.ticksPerSecond);
+    }
     update(dt) {
         this.progress += dt / this.duration;
         return this.progress >= 1;
     }
+    getPosition() { // where the fleet is as of the last logic step
+        const progress = Math.min(1, this.progress);
+        return { x: this.startX + this.dx * progress, y: this.startY + this.dy * progress };
+    }
     getCurrentPosition(alpha = 0) {
-        const lastStepProgress = this.progress - ((1/60) / this.duration); // progress at start of current logic step
+        const lastStepProgress = this.progress - ((1 / config.game.ticksPerSecond) / this.duration); // progress at start of current logic step
         const progressThisStep = this.progress - lastStepProgress; // total distance this fleet will travel in one logic step
         const renderProgress = lastStepProgress + (progressThisStep * alpha); // interpolate between last logic step's position and current one
         return {
@@ -52,7 +69,7 @@ export default class TroopMovement {
         if (this.amount < config.ui.visuals.troopIcon.tier1MaxTroops) { categoryMin = 1; categoryMax = config.ui.visuals.troopIcon.tier1MaxTroops - 1; } 
         else if (this.amount < config.ui.visuals.troopIcon.tier2MaxTroops) { categoryMin = config.ui.visuals.troopIcon.tier1MaxTroops; categoryMax = config.ui.visuals.troopIcon.tier2MaxTroops - 1; } 
         else { categoryMin = config.ui.visuals.troopIcon.tier2MaxTroops; categoryMax = config.planet.maxTroops; }
-        const categoryPosition = (this.amount - categoryMin) / (categoryMax - categoryMin); // normalized position within category (0 to 1)
+        const categoryPosition = Math.min(1, (this.amount - categoryMin) / (categoryMax - categoryMin)); // normalized position within category (0 to 1), barren planets can launch past the usual cap
         const minSize = config.ui.visuals.troopIcon.minFontSize;
         const maxSize = config.ui.visuals.troopIcon.maxFontSize;
         const fontSize = minSize + categoryPosition * (maxSize - minSize);
@@ -2,13 +2,17 @@
 // root/javascript/bots/BaseBot.js — base class for AI players, handles boilerplate player setup and GameAPI instance
 // =============================================
 
+import BotDebug from './BotDebug.js';
+
 export default class BaseBot {
+    static logHandler = null; // set by BotWorker so log lines reach the page instead of the worker's console
     constructor(api, playerId) {
         if (this.constructor === BaseBot) {
             throw new Error("BaseBot is an abstract class and cannot be instantiated directly.");
         }
         this.playerId = playerId;
         this.api = api;
+        this.debug = new BotDebug(api); // optional drawing for the debug overlay, e.g. this.debug.line(fromId, toId, '#f00')
         const defaultMemory = { // This object ensures default properties will persist between calls to makeDecision().
             actionCooldown: 0, // A personal timer for this bot, managed by PlayersController.
             phase: 'GAME_START', // To differentiate strategies according to time remaining in-game.
@@ -21,8 +25,8 @@ export default class BaseBot {
     }
     /**
     * This method contains the bot's core strategic logic. It is called by the PlayersController when it is this bot's turn to act.
-    * @param {number} dt - The game's delta time, scaled by game speed.
-    * @returns {object|null} A decision object like { fromId, toId, troops } or null if no action is taken.
+    * @param {number} dt - The fixed simulation step in seconds (one tick).
+    * @returns {object|object[]|null} An order like { fromId, toId, troops }, { type: 'redirect', fleetId, toId } or { type: 'recall', fleetId }, an array of orders carried out together, or null if no action is taken.
     */
     makeDecision(dt) {
         throw new Error("The 'makeDecision' method must be implemented by the subclass.");
@@ -33,6 +37,11 @@ export default class BaseBot {
     */
     log(message) {
         const time = this.api.getElapsedTime().toFixed(2);
-        console.log(`[${this.playerId}@${time}s]: ${message}`);
+        const line = `[${this.playerId}@${time}s]: ${message}`;
+        if (BaseBot.logHandler) {
+            BaseBot.logHandler(line);
+        } else {
+            console.log(line);
+        }
     }
 }
\ No newline at end of file
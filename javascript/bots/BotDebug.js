@@ -0,0 +1,84 @@
+// =============================================
+// root/javascript/bots/BotDebug.js — what a bot wants to show about its thinking: lines, planet labels and a status, painted by the Renderer's debug layer
+// =============================================
+
+import { config } from '../config.js';
+
+function toEndpoint(target) { // a planet id, a planet, or any { x, y } point
+    if (typeof target === 'string') return { planetId: target };
+    if (target && typeof target.id === 'string') return { planetId: target.id };
+    if (target && typeof target.x === 'number' && typeof target.y === 'number') return { x: target.x, y: target.y };
+    return null;
+}
+
+function clip(text) {
+    const limit = config.botDebug.maxTextLength;
+    const str = String(text);
+    return str.length > limit ? `${str.slice(0, limit - 1)}…` : str;
+}
+
+function describeValue(value) {
+    if (value instanceof Map || value instanceof Set) return `${value.size} entries`;
+    if (Array.isArray(value)) return `${value.length} items`;
+    if (typeof value === 'number') return `${Math.round(value * 100) / 100}`;
+    if (value && typeof value === 'object') return `${Object.keys(value).length} keys`;
+    return clip(value);
+}
+
+export function summarizeMemory(memory) { // [key, text] pairs for the debug panel, plain data so it can leave a worker
+    return Object.entries(memory || {})
+        .filter(([key]) => key !== 'phase')
+        .slice(0, config.botDebug.maxMemoryEntries)
+        .map(([key, value]) => [key, describeValue(value)]);
+}
+
+export default class BotDebug {
+    constructor(api) {
+        this.api = api;
+        this.lines = []; // { from, to, color }, endpoints as given by toEndpoint()
+        this.labels = []; // { planetId, text, color }
+        this.statusText = '';
+        this.drawnAt = null; // game time of the decision that drew the current picture
+    }
+    line(from, to, color = '#ffff00') {
+        const fromPoint = toEndpoint(from);
+        const toPoint = toEndpoint(to);
+        if (!fromPoint || !toPoint) return;
+        this.startPicture();
+        if (this.lines.length < config.botDebug.maxShapes) {
+            this.lines.push({ from: fromPoint, to: toPoint, color: String(color) });
+        }
+    }
+    label(planetId, text, color = '#ffffff') {
+        const endpoint = toEndpoint(planetId);
+        if (!endpoint || !endpoint.planetId) return;
+        this.startPicture();
+        if (this.labels.length < config.botDebug.maxShapes) {
+            this.labels.push({ planetId: endpoint.planetId, text: clip(text), color: String(color) });
+        }
+    }
+    status(text) { // stays until the bot sets another one
+        this.statusText = clip(text);
+    }
+    startPicture() { // the first shape drawn in a decision replaces the last decision's picture, a decision that draws nothing leaves it up
+        const now = this.api.getElapsedTime();
+        if (this.drawnAt !== now) {
+            this.lines = [];
+            this.labels = [];
+            this.drawnAt = now;
+        }
+    }
+    capture(memory) { // plain copy of everything the overlay and the panel show
+        return {
+            status: this.statusText,
+            phase: memory && memory.phase ? String(memory.phase) : null,
+            memory: summarizeMemory(memory),
+            lines: this.lines.map(line => ({ ...line })),
+            labels: this.labels.map(label => ({ ...label }))
+        };
+    }
+}
+
+export function captureBotDebug(bot) { // null for a bot without the debug API, e.g. one that put something else on this.debug
+    return bot && bot.debug instanceof BotDebug ? bot.debug.capture(bot.memory) : null;
+}
\ No newline at end of file
@@ -244,7 +244,7 @@ export default class Claude40Sonnet extends BaseBot {
         }
 
         if (bestMove) {
-            this.memory.targetLocks.set(bestMove.toId, Date.now() + 5000); // Lock target for 5 seconds
+            this.memory.targetLocks.set(bestMove.toId, this.api.getElapsedTime() * 1000 + 5000); // Lock target for 5 seconds
         }
 
         return bestMove;
@@ -292,7 +292,7 @@ export default class Claude40Sonnet extends BaseBot {
         }
 
         if (bestMove) {
-            this.memory.targetLocks.set(bestMove.toId, Date.now() + 10000); // Lock target for 10 seconds
+            this.memory.targetLocks.set(bestMove.toId, this.api.getElapsedTime() * 1000 + 10000); // Lock target for 10 seconds
         }
 
         return bestMove;
@@ -330,7 +330,7 @@ export default class Claude40Sonnet extends BaseBot {
         for (const target of enemyPlanets) {
             const attack = this.calculateBestAttack(myPlanets, target, 1.3); // Higher confidence for elimination
             if (attack) {
-                this.memory.targetLocks.set(target.id, Date.now() + 15000); // Lock for 15 seconds
+                this.memory.targetLocks.set(target.id, this.api.getElapsedTime() * 1000 + 15000); // Lock for 15 seconds
                 return attack;
             }
         }
@@ -356,7 +356,7 @@ export default class Claude40Sonnet extends BaseBot {
         for (const target of enemies) {
             const attack = this.calculateBestAttack(myPlanets, target, 1.5); // High confidence
             if (attack) {
-                this.memory.targetLocks.set(target.id, Date.now() + 10000);
+                this.memory.targetLocks.set(target.id, this.api.getElapsedTime() * 1000 + 10000);
                 return attack;
             }
         }
@@ -377,7 +377,7 @@ export default class Claude40Sonnet extends BaseBot {
         for (const target of enemies) {
             const attack = this.calculateBestAttack(myPlanets, target, 0.9); // Lower confidence - desperate
             if (attack) {
-                this.memory.targetLocks.set(target.id, Date.now() + 5000);
+                this.memory.targetLocks.set(target.id, this.api.getElapsedTime() * 1000 + 5000);
                 return attack;
             }
         }
@@ -463,7 +463,7 @@ export default class Claude40Sonnet extends BaseBot {
      * Clean up expired target locks
      */
     cleanupTargetLocks() {
-        const now = Date.now();
+        const now = this.api.getElapsedTime() * 1000; // game time rather than wall clock, so replays stay deterministic
         for (const [targetId, expiry] of this.memory.targetLocks.entries()) {
             if (now > expiry) {
                 this.memory.targetLocks.delete(targetId);
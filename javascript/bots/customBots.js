@@ -0,0 +1,110 @@
+// ===========================================
+// root/javascript/bots/customBots.js — turns user-written bot modules into classes and adds them to the registry next to the built-in bots
+// ===========================================
+
+import botRegistry from './index.js';
+import BaseBot from './BaseBot.js';
+
+const BASE_BOT_URL = new URL('./BaseBot.js', import.meta.url).href;
+const BASE_BOT_IMPORT = /(\bfrom\s*)(['"])\.\/BaseBot\.js\2/; // the one import a bot module is allowed
+
+export const BOT_MODULE_TEMPLATE = `import BaseBot from './BaseBot.js';
+
+export default class MyBot extends BaseBot {
+    makeDecision(dt) {
+        return null; // or { fromId, toId, troops }, or an array of them
+    }
+}`;
+
+export async function loadBotClass(source) { // the class a bot module exports, throws with a readable reason if it can't be used; runs the module, so only call it inside a worker
+    if (!BASE_BOT_IMPORT.test(source)) {
+        throw new Error("The module must import BaseBot from './BaseBot.js'.");
+    }
+    const resolvedSource = source.replace(BASE_BOT_IMPORT, `$1'${BASE_BOT_URL}'`); // a data: module has no folder to resolve './' against
+    let module;
+    try {
+        module = await import(`data:text/javascript;charset=utf-8,${encodeURIComponent(resolvedSource)}`);
+    } catch (error) {
+        throw new Error(`The module does not load: ${error.message}`);
+    }
+    const BotClass = module.default;
+    if (typeof BotClass !== 'function' || !(BotClass.prototype instanceof BaseBot)) {
+        throw new Error('The default export must be a class that extends BaseBot.');
+    }
+    if (BotClass.prototype.makeDecision === BaseBot.prototype.makeDecision) {
+        throw new Error('The class must implement makeDecision(dt).');
+    }
+    return BotClass;
+}
+
+export function describeDecisionProblem(decision) { // what is wrong with the shape of a makeDecision result, or null if it follows the contract
+    if (decision === null || decision === undefined) return null;
+    const orders = Array.isArray(decision) ? decision : [decision];
+    for (const order of orders) {
+        if (!order || typeof order !== 'object') {
+            return `returned ${JSON.stringify(order)} where an order { fromId, toId, troops } was expected`;
+        }
+        if (order.type === 'redirect' || order.type === 'recall') {
+            if (typeof order.fleetId !== 'string') {
+                return `returned a ${order.type} order whose fleetId is not a fleet id string`;
+            }
+            if (order.type === 'redirect' && typeof order.toId !== 'string') {
+                return 'returned a redirect order whose toId is not a planet id string';
+            }
+            continue;
+        }
+        if (typeof order.fromId !== 'string' || typeof order.toId !== 'string') {
+            return 'returned an order whose fromId and toId are not planet id strings';
+        }
+        if (typeof order.troops !== 'number' || !isFinite(order.troops)) {
+            return `returned an order with troops ${JSON.stringify(order.troops)}, a number is expected`;
+        }
+    }
+    return null;
+}
+
+function addToRegistry(entry, BotClass) { // replaces an earlier version
+    unregisterCustomBot(entry.value);
+    botRegistry.push({
+        value: entry.value,
+        name: entry.name,
+        class: BotClass,
+        creationDate: entry.creationDate,
+        description: entry.description,
+        source: entry.source, // handed to bot workers, which build their own copy of the class
+        isCustom: true
+    });
+}
+
+export function registerCustomBot(entry) { // entry: { value, name, description, creationDate, source }; on the page the module is never run, its class is null and only bot workers load it
+    addToRegistry(entry, null);
+}
+
+export async function loadCustomBot(entry) { // registers the bot with its class, for workers that play games with it inline
+    addToRegistry(entry, await loadBotClass(entry.source));
+}
+
+export async function loadCustomBots(entries) { // loads every entry it can, returns { value, error } for the ones it couldn't
+    const failures = [];
+    for (const entry of entries) {
+        try {
+            await loadCustomBot(entry);
+        } catch (error) {
+            failures.push({ value: entry.value, error: error.message });
+        }
+    }
+    return failures;
+}
+
+export function unregisterCustomBot(value) {
+    const index = botRegistry.findIndex(bot => bot.value === value && bot.isCustom);
+    if (index !== -1) {
+        botRegistry.splice(index, 1);
+    }
+}
+
+export function getCustomBotEntries(players) { // plain entries for the custom bots among these players, for workers to register
+    return botRegistry
+        .filter(bot => bot.isCustom && players.some(p => p.type === 'bot' && p.aiController === bot.value))
+        .map(({ value, name, description, creationDate, source }) => ({ value, name, description, creationDate, source }));
+}
\ No newline at end of file
@@ -0,0 +1,7 @@
+// ===========================================
+// root/javascript/combat/Attrition.js — the classic rule: attackers and defenders trade one for one, fortresses excepted
+// ===========================================
+
+import CombatResolver from './CombatResolver.js';
+
+export default class Attrition extends CombatResolver {} // the base rules are the whole model
\ No newline at end of file
@@ -0,0 +1,34 @@
+// ===========================================
+// root/javascript/combat/CombatResolver.js — base class for combat models: how a fleet fares against a garrison, resolved by the simulation and predicted the same way for bots
+// ===========================================
+
+export default class CombatResolver {
+    constructor(type, prng = null) {
+        this.type = type; // the registry value, e.g. 'attrition'
+        this.prng = prng; // only for models that roll dice, bots' copies have none
+    }
+    resolve(attackers, defenders, planet) { // { attackers, defenders } left after the battle, the planet changes hands when attackers are left
+        return this.predict(attackers, defenders, planet);
+    }
+    predict(attackers, defenders, planet) { // the outcome bots plan with, the same as resolve() for models without chance
+        const defense = this.getDefenseMultiplier(planet);
+        const defendersLeft = defenders - attackers / defense;
+        if (defendersLeft < 0) {
+            return { attackers: attackers - defenders * defense, defenders: 0 };
+        }
+        return { attackers: 0, defenders: defendersLeft }; // a tie leaves the planet to its owner
+    }
+    getDefenseMultiplier(planet) { // attackers each defender stops, a fortress's planet type included
+        return planet.defenseMultiplier;
+    }
+    getBreakEven(defenders, planet) { // attackers that exactly wipe out the garrison without taking the planet
+        return defenders * this.getDefenseMultiplier(planet);
+    }
+    getTroopsNeeded(defenders, planet) { // the smallest whole fleet predict() has capturing the planet
+        return Math.floor(this.getBreakEven(defenders, planet)) + 1;
+    }
+    serialize() { // the dice's state, for replay seeking
+        return {};
+    }
+    restore(state) {}
+}
\ No newline at end of file
@@ -0,0 +1,12 @@
+// ===========================================
+// root/javascript/combat/DefenderAdvantage.js — bigger planets are easier to hold: each defender stops more attackers the larger its planet
+// ===========================================
+
+import CombatResolver from './CombatResolver.js';
+import { config } from '../config.js';
+
+export default class DefenderAdvantage extends CombatResolver {
+    getDefenseMultiplier(planet) {
+        return planet.defenseMultiplier * (1 + planet.size * config.combat.sizeDefenseBonus);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,27 @@
+// ===========================================
+// root/javascript/combat/DiceCombat.js — troops fight one duel at a time with a seeded roll, a defender wins each duel as often as its defense multiplier says
+// ===========================================
+
+import CombatResolver from './CombatResolver.js';
+
+export default class DiceCombat extends CombatResolver {
+    resolve(attackers, defenders, planet) {
+        const attackerOdds = 1 / (1 + this.getDefenseMultiplier(planet)); // on average the same losses as attrition
+        let attackersLeft = attackers;
+        let defendersLeft = defenders;
+        while (attackersLeft > 0 && defendersLeft > 0) { // garrisons can be fractional, the last duel takes whatever is left
+            if (this.prng.next() < attackerOdds) {
+                defendersLeft -= Math.min(1, defendersLeft);
+            } else {
+                attackersLeft -= Math.min(1, attackersLeft);
+            }
+        }
+        return { attackers: attackersLeft, defenders: defendersLeft };
+    }
+    serialize() {
+        return { seed: this.prng.seed };
+    }
+    restore(state) {
+        this.prng.seed = state.seed;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,20 @@
+// ===========================================
+// root/javascript/combat/Lanchester.js — Lanchester's square law: a side's strength grows with the square of its numbers, so big fleets lose few troops to small garrisons
+// ===========================================
+
+import CombatResolver from './CombatResolver.js';
+
+export default class Lanchester extends CombatResolver {
+    predict(attackers, defenders, planet) {
+        const defense = this.getDefenseMultiplier(planet);
+        const attackStrength = attackers * attackers;
+        const defenseStrength = defenders * defenders * defense;
+        if (attackStrength > defenseStrength) {
+            return { attackers: Math.sqrt(attackStrength - defenseStrength), defenders: 0 };
+        }
+        return { attackers: 0, defenders: Math.sqrt((defenseStrength - attackStrength) / defense) };
+    }
+    getBreakEven(defenders, planet) {
+        return defenders * Math.sqrt(this.getDefenseMultiplier(planet));
+    }
+}
\ No newline at end of file
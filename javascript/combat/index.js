@@ -0,0 +1,43 @@
+// ===========================================
+// root/javascript/combat/index.js
+// ===========================================
+
+import Attrition from './Attrition.js';
+import DefenderAdvantage from './DefenderAdvantage.js';
+import Lanchester from './Lanchester.js';
+import DiceCombat from './DiceCombat.js';
+import PRNG from '../PRNG.js';
+
+const combatModels = [ // the first entry is the default, and what games without a combatModel are played with
+    {
+        value: 'attrition',
+        name: 'Attrition',
+        class: Attrition,
+        description: 'Attackers and defenders trade one for one.'
+    },
+    {
+        value: 'defender-advantage',
+        name: 'Defender Advantage',
+        class: DefenderAdvantage,
+        description: 'Defenders are worth more the bigger their planet.'
+    },
+    {
+        value: 'lanchester',
+        name: 'Lanchester',
+        class: Lanchester,
+        description: 'Strength grows with the square of numbers, so big fleets crush small garrisons cheaply.'
+    },
+    {
+        value: 'dice',
+        name: 'Dice',
+        class: DiceCombat,
+        description: 'Troops duel one at a time with seeded rolls. Even on average, but any battle can swing.'
+    }
+];
+
+export function createCombatResolver(value, seed = null) { // without a seed the resolver can only predict, as bots' copies do
+    const entry = combatModels.find(model => model.value === value) || combatModels[0];
+    return new entry.class(entry.value, seed === null ? null : new PRNG(seed + 1)); // one past the map's seed, so battles don't replay the map's rolls
+}
+
+export default combatModels;
\ No newline at end of file
@@ -7,6 +7,8 @@ export const config = {
         defaultDuration: 300, // duration of game in seconds
         logicalWidth: 400,    // canonical width of the game world.
         logicalHeight: 800,  // canonical height of the game world.
+        ticksPerSecond: 60, // simulation always advances in fixed steps of 1/ticksPerSecond seconds
+        headlessTicksPerSlice: 120, // ticks simulated per setTimeout slice when running headless
     },
     player: {
         defaultAIValue: 'C4', // unique value of default AI to use when one isn't specified
@@ -39,10 +41,27 @@ export const config = {
             max: 2.0,
             default: 1.3,
         },
+        typeWeights: { // relative odds of each planet type for a neutral planet when the planet types option is on, starting planets are always normal
+            normal: 5,
+            fortress: 1,
+            factory: 1,
+            relay: 1,
+            barren: 1,
+        },
+    },
+    planetTypes: { // archetypes for the planet types option, each overriding the defaults: production x1, planet.maxTroops, defense x1, launch speed x1
+        normal: {},
+        fortress: { defenseMultiplier: 2 }, // every defender stops two attackers
+        factory: { productionMultiplier: 2, maxTroops: 150 },
+        relay: { speedMultiplier: 1.75 }, // fleets launched from it fly faster
+        barren: { productionMultiplier: 0, maxTroops: 2000 },
     },
     troop: {
         movementSpeed: 150, // speed in pixels per second
     },
+    combat: { // tunables of the combat models offered in game setup, see javascript/combat
+        sizeDefenseBonus: 0.01, // defender advantage: extra defense per unit of planet size, a size 30 planet's defenders are worth 1.3 attackers
+    },
     ai: {
         scoring: { // weights for calculating strategic value of a planet
             sizeWeight: 1.5,
@@ -54,6 +73,44 @@ export const config = {
             distanceDivisor: 10,
         },
         decisionCooldown: 0.5, // seconds between AI being allowed to make a decision
+        maxOrdersPerTick: 0, // orders a bot may give in one decision, extras are dropped (0 = no cap, like a human's box-select)
+    },
+    sandbox: {
+        decisionBudgetMs: 50, // time one bot decision may take, slower answers are discarded and earn a strike (0 turns the budget off)
+        maxStrikes: 5, // strikes (exceptions or slow decisions) before a bot forfeits and sits out the rest of the game
+        isolateBots: true, // browser games run each bot in its own Web Worker, batch workers and the Node runner keep bots inline
+        workerTimeoutMs: 2000, // a bot worker that hasn't answered by then is terminated and its bot forfeits
+    },
+    workshop: { // bots written in the Bot Workshop
+        maxSourceLength: 200000, // characters a pasted or uploaded module may have
+        maxNameLength: 24,
+        trialTicks: 1200, // length of the trial match a new bot must get through before it is saved
+        trialSeed: 1, // same map for every trial, so a bot that passed once keeps passing
+        trialTimeoutMs: 10000, // a trial still running by then (e.g. a bot stuck in a loop) fails
+        benchSpeeds: [1, 4, 16], // speed multipliers offered for the bot editor's test match
+        consoleMaxLines: 500, // log lines the bot editor keeps, older ones are dropped
+    },
+    mapEditor: { // maps drawn in the map editor, sizes and distances in logical map units
+        maxMaps: 30, // saved maps kept in localStorage
+        maxNameLength: 24,
+        maxPlanets: 60,
+        minPlanetSize: 10,
+        maxPlanetSize: 45,
+        edgeMargin: 5, // how close a planet's edge may come to the border of the map
+        newPlanet: { size: 20, troops: 10 }, // what a click on open space places, as a neutral normal planet
+    },
+    collisions: { // the fleet collisions game option
+        radius: 12, // enemy fleets closer than this in flight clash, in logical map units
+    },
+    fog: { // the fog-of-war game option, distances in logical map units
+        planetSensorRadius: 90, // how far past its edge a planet sees
+        fleetSensorRadius: 50, // how far around itself a fleet in flight sees
+    },
+    botDebug: { // the this.debug overlay bots can draw on, and the panel listing their state
+        maxShapes: 100, // lines and labels a bot may have up at once, extra ones are ignored
+        maxTextLength: 60, // longer labels, statuses and memory values are cut
+        maxMemoryEntries: 10, // memory keys summarized in the panel
+        panelRefreshFrames: 15, // frames between panel updates while it is open
     },
     ui: {
         input: {
@@ -61,6 +118,7 @@ export const config = {
             clickMoveThreshold: 5, // mouse movement (in pixels) under this is a click
             touchMoveThreshold: 10, // touch movement (in pixels) under this is a tap
             touchDurationThreshold: 300, // touch duration (in ms) under this is a tap
+            fleetPickRadius: 14, // clicks this close to one of your fleets (in logical map units) select it for a redirect
         },
         visuals: {
             glow: { // glow effect on planets
@@ -75,6 +133,32 @@ export const config = {
                 maxFontSize: 30,
             },
             fallbackColor: '#888', // fallback for troop bar segments if a player ID isn't found
+            fog: { // fog of war as a human player sees it
+                color: 'rgba(60, 60, 80, 0.55)', // haze over the parts of the map out of sensor range
+                rememberedAlpha: 0.45, // opacity of planets drawn from the last sighting
+            },
+            planetTypes: { // marks that set planet types apart, see Planet.drawTypeMark
+                markWidth: 1.5,
+                markGap: 4, // distance of the inner rings and gear teeth from the planet's edge
+                factoryTeeth: 8,
+                barrenFill: 'rgba(128, 128, 128, 0.35)',
+            },
+            selectedFleet: { // ring around a fleet picked for a redirect
+                radius: 12,
+                color: '#ffff00',
+            },
+            clash: { // burst where two fleets collided in flight
+                duration: 0.6, // seconds of game time the burst lasts
+                minRadius: 6,
+                maxRadius: 26, // reached by clashes of troopsForMaxRadius or more troops
+                troopsForMaxRadius: 100,
+                color: '255, 200, 80', // r, g, b, faded out over the duration
+            },
+            victoryMarker: { // ring around planets the victory condition is about, like the hill
+                gap: 6, // distance between the planet's edge and the ring
+                lineWidth: 2,
+                color: 'rgba(255, 255, 255, 0.6)',
+            },
         },
         footerSlider: {
             defaultValue: 50, // default position of slider (1-100)
@@ -85,6 +169,37 @@ export const config = {
             }
         },
     },
+    replay: {
+        snapshotInterval: 300, // ticks between playback snapshots, lower means faster backwards seeking but more memory
+    },
+    rating: { // Weng-Lin (Bradley-Terry, full pairs) skill rating used by the standings
+        initialMu: 25, // starting skill estimate
+        initialSigma: 25 / 3, // starting uncertainty
+        beta: 25 / 6, // performance noise per game, larger means single results move ratings less
+        kappa: 0.0001, // floor that keeps sigma from collapsing to zero
+        conservativeFactor: 3, // displayed rating is mu - conservativeFactor * sigma
+    },
+    tournament: {
+        bestOfOptions: [1, 3, 5, 7], // series lengths the organizer can pick from
+        seriesRoundSettings: 3, // rounds with their own best-of setting in the setup, the last one also covers every later round
+        heatSizeRange: [3, 6], // bots per free-for-all heat, capped by the players a game supports
+        defaultHeatSize: 4,
+        defaultAdvanceCount: 2, // top finishers of each heat that go through to the next round
+    },
+    batch: {
+        maxWorkers: 8, // upper bound on parallel batch workers, the pool is otherwise sized to the machine's cores
+        progressIntervalTicks: 600, // ticks between progress messages from a batch worker
+    },
+    teams: { // team modes offered in game setup, the team of each player slot in order (free-for-all has none)
+        '2v2': [1, 2, 1, 2],
+        '3v3': [1, 2, 1, 2, 1, 2],
+        '2v2v2': [1, 2, 3, 1, 2, 3],
+    },
+    victory: { // tunables of the victory conditions offered in game setup, see javascript/victory
+        hillHoldSeconds: 60, // king of the hill: how long one side must hold the hill planet without a break
+        planetShare: 0.6, // planet threshold: share of all planets (rounded up) that one side must own
+        pointsToWin: 2500, // score: points a side must reach, a planet scores its production rate every second
+    },
     menuDefaults: {
         playerCount: 6, // default number of players
         playerCountRange: [2, 6], // min and max number of players allowed in a game
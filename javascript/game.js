@@ -3,28 +3,23 @@
 // ===========================================
 
 import eventManager from './EventManager.js';
-import TroopMovement from './TroopMovement.js';
+import GameSimulation from './GameSimulation.js';
 import InputHandler from './InputHandlerModule.js';
 import Renderer from './RendererModule.js';
-import GameState from './GameStateCheck.js';
-import PlayersController from './PlayersController.js';
-import PlanetGeneration from './PlanetGeneratorModule.js';
 import TroopTracker from './ui/TroopTracker.js';
-import TimerManager from './TimerManager.js';
+import PlaybackBar from './ui/PlaybackBar.js';
+import BotDebugPanel from './ui/BotDebugPanel.js';
 import { config as staticConfig } from './config.js';
 
-export default class Game {
+export default class Game extends GameSimulation { // browser shell around the simulation: canvas, input, HUD and menu flow
     constructor(gameConfig, footerManager = null, configManager = null, menuManager = null, statsTracker = null, innerContainer, canvas) {
+        super({ isolateBots: staticConfig.sandbox.isolateBots, ...gameConfig }, statsTracker); // bots get workers in the browser, the Node runner keeps them inline
         this.canvas = canvas;
         this.ctx = this.canvas.getContext('2d');
         this.innerContainer = innerContainer;
         this.scale = 1; // uniform scale
         this.offsetX = 0; // centering
         this.offsetY = 0;
-        this.config = {
-            ...gameConfig,           // players, density, seed, etc
-            game: staticConfig.game  // adds { logicalWidth, logicalHeight, ... } object
-        };
         this.resize();
         let resizeTimeout;
         window.addEventListener('resize', () => {
@@ -34,35 +29,29 @@ export default class Game {
         this.footerManager = footerManager;
         this.configManager = configManager;
         this.menuManager = menuManager;
-        this.statsTracker = statsTracker;
-        this.planets = [];
-        this.troopMovements = [];
         this.selectedPlanets = [];
+        this.selectedFleet = null; // one of the humans' fleets in flight, the next planet clicked becomes its new target
         this.accumulator = 0;
         this.renderAlpha = 0; // property for interpolation factor
         this.worldMousePos = { x: 0, y: 0 };
-        this.timerManager = new TimerManager(this);
-        this.isActive = false;
-        this.gameOver = false;
-        this.humanPlayerIds = this.config.players.filter(p => p.type === 'human').map(p => p.id);
-        this.playersController = new PlayersController(this, this.config);
         this.inputHandler = this.humanPlayerIds.length > 0 && !this.config.isHeadless
             ? new InputHandler(this.canvas, this.footerManager, this.humanPlayerIds, this)
             : null;
         this.renderer = new Renderer(this);
-        this.gameState = new GameState(this);
         this.troopTracker = new TroopTracker(this);
-        this.planetGenerator = new PlanetGeneration(this);
-        this.gameState.init();
-        if (this.config && this.config.planetDensity !== undefined) {
-            this.planetGenerator.setPlanetDensity(this.config.planetDensity);
-        }
         if (this.footerManager && this.footerManager.mode === 'speed' && this.config.initialGamePace) {
             this.footerManager.setSpeedFromMultiplier(this.config.initialGamePace);
         }
         this.timerManager.initialize();
-        this.isActive = true;
-        this.initializeGame();
+        this.troopTracker.showTroopBar();
+        this.playbackBar = null;
+        if (this.replayController && !this.config.isHeadless) {
+            this.playbackBar = new PlaybackBar(this, this.replayController);
+        }
+        this.botDebugPanel = null;
+        if (!this.isPlayback && !this.config.isHeadless && this.playersController.getAIPlayers().length > 0) { // replays never run bots, so there is nothing to show
+            this.botDebugPanel = new BotDebugPanel(this);
+        }
         if (this.config.isHeadless) {
             this.runHeadless();
         } else {
@@ -101,19 +90,22 @@ export default class Game {
             y: (screenY - this.offsetY) / this.scale,
         };
     }
-    reportStats(data) {
-        if (this.statsTracker) {
-            this.statsTracker.report(data);
-        }
-    }
     handleClick({ target: clickedPlanet, x, y }) {
         if (!clickedPlanet) {
             clickedPlanet = this.planets.find(planet => planet.containsPoint(x, y));
             if (!clickedPlanet) {
+                const fleet = this.findHumanFleetAt(x, y);
                 this.clearSelection();
+                this.selectedFleet = fleet;
                 return;
             }
         }
+        const selectedFleet = this.getSelectedFleet();
+        if (selectedFleet) { // clicking the planet it came from recalls it
+            this.queueRedirect(selectedFleet, clickedPlanet);
+            this.clearSelection();
+            return;
+        }
         const isHumanPlanet = this.humanPlayerIds.includes(clickedPlanet.owner);
         if (this.selectedPlanets.length > 0 && !this.selectedPlanets.includes(clickedPlanet)) {
             if (this.selectedPlanets.every(p => this.humanPlayerIds.includes(p.owner))) {
@@ -121,7 +113,7 @@ export default class Game {
                 for (const sourcePlanet of this.selectedPlanets) {
                     const troopsToSend = Math.floor(sourcePlanet.troops * troopPercentage);
                     if (troopsToSend > 0) {
-                        this.sendTroops(sourcePlanet, clickedPlanet, troopsToSend);
+                        this.queueOrder(sourcePlanet, clickedPlanet, troopsToSend);
                     }
                 }
                 this.clearSelection();
@@ -132,6 +124,27 @@ export default class Game {
             this.selectedPlanets = [clickedPlanet];
         }
     }
+    findHumanFleetAt(x, y) { // the nearest of the humans' fleets within picking distance, or null
+        const pickRadius = staticConfig.ui.input.fleetPickRadius;
+        let nearest = null;
+        let nearestDistance = pickRadius;
+        for (const movement of this.troopMovements) {
+            if (!this.humanPlayerIds.includes(movement.owner)) continue;
+            const position = movement.getPosition();
+            const distance = Math.hypot(position.x - x, position.y - y);
+            if (distance <= nearestDistance) {
+                nearest = movement;
+                nearestDistance = distance;
+            }
+        }
+        return nearest;
+    }
+    getSelectedFleet() { // null once the selected fleet has landed or been lost
+        if (this.selectedFleet && !this.troopMovements.includes(this.selectedFleet)) {
+            this.selectedFleet = null;
+        }
+        return this.selectedFleet;
+    }
     handleDoubleClick(planet) {
         if (this.humanPlayerIds.includes(planet.owner)) {
             this.selectAllPlayerPlanets(planet.owner);
@@ -179,127 +192,123 @@ export default class Game {
         this.offsetX = (this.canvas.width - renderedWidth) / 2;
         this.offsetY = (this.canvas.height - renderedHeight) / 2;
     }
-    initializeGame() {
-        this.planets = this.planetGenerator.generatePlanets();
-        this.troopMovements = [];
-        this.selectedPlanets = [];
-        this.gameOver = false;
-        this.troopTracker.showTroopBar();
-    }
     clearSelection() {
         for (const planet of this.planets) {
             planet.selected = false;
         }
         this.selectedPlanets = [];
+        this.selectedFleet = null;
     }
-    update() {
+    update() { // frame driver: converts real time into a number of fixed simulation steps
         if (this.gameOver) return;
-        const now = Date.now();
-        const rawDt = (now - this.gameState.lastUpdate) / 1000;
-        this.gameState.lastUpdate = now;
         let speedMultiplier = 1.0;
-        if (this.config.isHeadless) {
-            speedMultiplier = 100.0;
-        } else if (this.footerManager && this.footerManager.mode === 'speed') {
+        if (this.footerManager && this.footerManager.mode === 'speed') {
             speedMultiplier = this.footerManager.getSpeedMultiplier();
         }
-        this.timerManager.update(speedMultiplier);
-        this.gameState.update(rawDt, speedMultiplier);
-        if (this.gameOver) return;
-        const totalGameDt = rawDt * speedMultiplier;
-        const FIXED_TIME_STEP = 1 / 60;
-        this.accumulator += totalGameDt;
+        const frameDt = this.timerManager.consumeFrameTime();
+        this.accumulator += frameDt * speedMultiplier;
+        this.advance();
+        this.troopTracker.update();
+    }
+    advance() { // runs the fixed steps the accumulator holds, stopping early while a bot worker is thinking
         const maxStepsPerFrame = 200;
         let steps = 0;
-        while (this.accumulator >= FIXED_TIME_STEP && steps < maxStepsPerFrame) {
-            this.updatePlanets(FIXED_TIME_STEP);
-            this.updateTroopMovements(FIXED_TIME_STEP);
-            this.playersController.updateAIPlayers(FIXED_TIME_STEP);
-            this.accumulator -= FIXED_TIME_STEP;
+        this.waitingOnBots = false;
+        while (this.accumulator >= this.fixedTimeStep && steps < maxStepsPerFrame && !this.gameOver) {
+            if (!this.step()) {
+                this.waitingOnBots = true; // handleBotAnswer() carries on from here
+                break;
+            }
+            this.accumulator -= this.fixedTimeStep;
             steps++;
         }
-        this.gameState.checkWinConditions(this.timerManager.getTimeRemaining()); // check for a winner once per frame after all logic steps are done
-        this.renderAlpha = this.accumulator / FIXED_TIME_STEP;
-        this.troopTracker.update();
+        this.renderAlpha = this.accumulator / this.fixedTimeStep;
     }
-    updatePlanets(dt) {
-        const activePlayerIds = this.gameState.activePlayers;
-        for (const planet of this.planets) {
-            planet.update(dt);
-            if (planet.selected && !activePlayerIds.has(planet.owner)) {
-                planet.selected = false;
-                this.selectedPlanets = this.selectedPlanets.filter(p => p !== planet);
-            }
+    handleBotAnswer() { // resume right away instead of waiting for the next frame or slice
+        if (!this.waitingOnBots || this.gameOver) return;
+        this.waitingOnBots = false;
+        if (this.config.isHeadless) {
+            this.runHeadless();
+        } else {
+            this.advance();
         }
     }
-    updateTroopMovements(dt) {
-        for (let i = this.troopMovements.length - 1; i >= 0; i--) {
-            const movement = this.troopMovements[i];
-            if (movement.update(dt)) {
-                this.processTroopArrival(movement);
-                this.troopMovements.splice(i, 1);
+    handleGameOver() {
+        const gameState = this.gameState;
+        if (this.config.isTournamentMatch && !this.config.isReplay) { // intercept for tournament matches, but not replays of them
+            if (this.menuManager && this.menuManager.tournament) {
+                this.menuManager.tournament.reportMatchResult(gameState.getSummary(), this.getReplayData());
+                // if game was watched (not headless), navigate back to tournament screen
+                if (!this.config.isHeadless) {
+                    eventManager.emit('screen-changed', 'tournament');
+                }
             }
+            return; // halt regular game over flow
         }
-    }
-    processTroopArrival(movement) {
-        const targetPlanet = movement.to;
-        if (targetPlanet.owner === movement.owner) {
-            targetPlanet.troops += movement.amount;
+        gameState.reportFinalStats();
+        if (this.menuManager.isBatchRunning) {
+            this.menuManager.startNextBatchGame();
+            return;
+        }
+        if (this.menuManager) {
+            const onPlayAgain = () => {
+                this.menuManager.menuBuilder.buildGameSetup();
+                eventManager.emit('screen-changed', 'menu');
+            };
+            const onBackToMenu = () => {
+                this.menuManager.menuBuilder.buildMainMenu();
+                eventManager.emit('screen-changed', 'menu');
+            };
+            this.menuManager.showGameOver(gameState.getSummary(), this, onPlayAgain, onBackToMenu);
         } else {
-            const defenderTroops = targetPlanet.troops;
-            const attackerTroops = movement.amount;
-            targetPlanet.troops -= attackerTroops;
-            if (targetPlanet.troops < 0) {
-                const attackerLosses = defenderTroops;
-                const defenderLosses = defenderTroops;
-                this.gameState.incrementTroopsLost(attackerLosses);
-                this.gameState.incrementTroopsLost(defenderLosses);
-                targetPlanet.owner = movement.owner;
-                targetPlanet.troops = Math.abs(targetPlanet.troops);
-                this.gameState.incrementPlanetsConquered();
-            } else {
-                const attackerLosses = attackerTroops;
-                const defenderLosses = attackerTroops;
-                this.gameState.incrementTroopsLost(attackerLosses);
-                this.gameState.incrementTroopsLost(defenderLosses);
-            }
+            console.error("MenuManager not found.");
         }
     }
-    sendTroops(fromPlanet, toPlanet, amount) {
-        const troopAmount = Math.floor(amount); // prevent fractional troops
-        if (!troopAmount || troopAmount <= 0 || isNaN(troopAmount)) { // rigorous input validation
-            return; // silently ignore invalid or non-positive troop amounts
-        }
-        const troopsAvailable = Math.floor(fromPlanet.troops);
-        const sanitizedAmount = Math.min(troopAmount, troopsAvailable);
-        if (sanitizedAmount < 1) {
-            return;
+    restoreSnapshot(snapshot) {
+        super.restoreSnapshot(snapshot);
+        this.accumulator = 0;
+        this.clearSelection();
+    }
+    updatePlanets(dt) {
+        super.updatePlanets(dt);
+        const activePlayerIds = this.gameState.activePlayers;
+        for (const planet of this.planets) {
+            if (planet.selected && !activePlayerIds.has(planet.owner)) {
+                planet.selected = false;
+                this.selectedPlanets = this.selectedPlanets.filter(p => p !== planet);
+            }
         }
-        const movement = new TroopMovement(
-            fromPlanet,
-            toPlanet,
-            sanitizedAmount,
-            fromPlanet.owner,
-            this
-        );
-        fromPlanet.troops -= sanitizedAmount;
-        this.gameState.incrementTroopsSent(sanitizedAmount);
-        this.troopMovements.push(movement);
     }
     gameLoop() {
         this.update();
         this.renderer.draw(this.renderAlpha); // pass alpha to the renderer
+        if (this.playbackBar) {
+            this.playbackBar.update();
+        }
+        if (this.botDebugPanel) {
+            this.botDebugPanel.update();
+        }
         if (!this.gameOver) {
             requestAnimationFrame(() => this.gameLoop());
+        } else {
+            if (this.playbackBar) this.playbackBar.dispose();
+            if (this.botDebugPanel) this.botDebugPanel.dispose();
         }
     }
-    runHeadless() {
+    runHeadless() { // no wall clock at all, just a fixed number of ticks per slice so the page stays responsive
+        const ticksPerSlice = staticConfig.game.headlessTicksPerSlice;
         const headlessLoop = () => {
+            for (let i = 0; i < ticksPerSlice && !this.gameOver; i++) {
+                if (!this.step()) {
+                    this.waitingOnBots = true; // handleBotAnswer() restarts the loop
+                    return;
+                }
+            }
             if (this.gameOver) {
                 return;
             }
-            this.update();
-            setTimeout( headlessLoop, 0);
+            this.troopTracker.update();
+            setTimeout(headlessLoop, 0);
         };
         headlessLoop();
     }
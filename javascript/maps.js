@@ -0,0 +1,54 @@
+// ===========================================
+// root/javascript/maps.js — maps drawn in the map editor: what makes one playable, and how many players it seats
+// ===========================================
+
+import { config } from './config.js';
+import { getPlanetTypeStats } from './Planet.js';
+
+// A map is { id, name, savedAt, planets: [{ x, y, size, troops, owner, type }] } in logical map units.
+// Its planets are 'neutral' or owned by a start slot, player1 to playerN, which become the players of the game.
+
+export function getStartSlots(map) { // how many players the map seats
+    return new Set(map.planets.filter(planet => planet.owner !== 'neutral').map(planet => planet.owner)).size;
+}
+
+function describePlanetProblem(planet) {
+    const { logicalWidth, logicalHeight } = config.game;
+    const { minPlanetSize, maxPlanetSize, edgeMargin } = config.mapEditor;
+    if (!planet || typeof planet !== 'object') return 'is not a planet';
+    if (![planet.x, planet.y, planet.size, planet.troops].every(Number.isFinite)) return 'has a position, size or troops that is not a number';
+    if (planet.size < minPlanetSize || planet.size > maxPlanetSize) return `must have a size between ${minPlanetSize} and ${maxPlanetSize}`;
+    const reach = planet.size + edgeMargin;
+    if (planet.x < reach || planet.x > logicalWidth - reach || planet.y < reach || planet.y > logicalHeight - reach) return 'is too close to the edge of the map';
+    if (!Object.prototype.hasOwnProperty.call(config.planetTypes, planet.type)) return `has an unknown type ${planet.type}`;
+    const maxTroops = getPlanetTypeStats(planet.type).maxTroops;
+    if (planet.troops < 0 || planet.troops > maxTroops) return `must start with 0 to ${maxTroops} troops`;
+    if (planet.owner !== 'neutral' && !/^player[1-9]\d*$/.test(planet.owner)) return `has an unknown owner ${planet.owner}`;
+    return null;
+}
+
+export function describeMapProblem(map) { // why a map can't be played, or null if it can
+    if (!map || typeof map !== 'object' || !Array.isArray(map.planets)) return 'not a map.';
+    const { maxNameLength, maxPlanets } = config.mapEditor;
+    if (typeof map.name !== 'string' || !map.name.trim()) return 'the map has no name.';
+    if (map.name.trim().length > maxNameLength) return `names are at most ${maxNameLength} characters.`;
+    if (map.planets.length > maxPlanets) return `maps have at most ${maxPlanets} planets.`;
+    for (let i = 0; i < map.planets.length; i++) {
+        const problem = describePlanetProblem(map.planets[i]);
+        if (problem) return `planet ${i + 1} ${problem}.`;
+    }
+    for (let i = 0; i < map.planets.length; i++) {
+        for (let j = i + 1; j < map.planets.length; j++) {
+            const a = map.planets[i];
+            const b = map.planets[j];
+            if (Math.hypot(a.x - b.x, a.y - b.y) < a.size + b.size) return `planets ${i + 1} and ${j + 1} overlap.`;
+        }
+    }
+    const [minPlayers, maxPlayers] = config.menuDefaults.playerCountRange;
+    const slots = getStartSlots(map);
+    if (slots < minPlayers || slots > maxPlayers) return `give between ${minPlayers} and ${maxPlayers} players a starting planet, this map has ${slots}.`;
+    for (let slot = 1; slot <= slots; slot++) { // numbered without gaps, so the slots are exactly the game's player ids
+        if (!map.planets.some(planet => planet.owner === `player${slot}`)) return `player ${slot} has no starting planet, start slots must be numbered from 1 without gaps.`;
+    }
+    return null;
+}
\ No newline at end of file
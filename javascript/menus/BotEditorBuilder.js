@@ -0,0 +1,136 @@
+// ===========================================
+// root/javascript/menus/BotEditorBuilder.js — code editor for a workshop bot next to a live test match that reloads on save
+// ===========================================
+
+import MenuBuilderBase from './MenuBuilderBase.js';
+import CodeEditor from '../ui/CodeEditor.js';
+import BotTestBench from '../ui/BotTestBench.js';
+import botRegistry from '../bots/index.js';
+import { BOT_MODULE_TEMPLATE } from '../bots/customBots.js';
+import { config } from '../config.js';
+import { escapeHTML, formatTime } from '../utils.js';
+
+export default class BotEditorBuilder extends MenuBuilderBase {
+    constructor(parentBuilder, container, screenManager, configManager, menuManager) {
+        super(container, screenManager, configManager, menuManager);
+        this.parentBuilder = parentBuilder;
+        this.bench = null;
+        this.draft = null; // { name, description, source }, handed back to the workshop form on the way out
+        this.opponent = config.player.defaultAIValue;
+        this.seed = config.workshop.trialSeed;
+        this.speed = config.workshop.benchSpeeds[0];
+    }
+    build(draft) {
+        this.menuManager.uiManager.setHeaderTitle('BOT EDITOR');
+        this.draft = { ...draft, source: draft.source.trim() ? draft.source : BOT_MODULE_TEMPLATE };
+        const menuContainer = this.createMenuContainer();
+        const playerColors = this.configManager.getPlayerColors();
+        const opponentOptions = botRegistry.map(bot =>
+            `<option value="${bot.value}" ${bot.value === this.opponent ? 'selected' : ''}>${escapeHTML(bot.name)}</option>`).join('');
+        const speedOptions = config.workshop.benchSpeeds.map(speed =>
+            `<option value="${speed}" ${speed === this.speed ? 'selected' : ''}>${speed}x</option>`).join('');
+        menuContainer.innerHTML = `
+            <div class="bot-editor">
+                <div class="bot-editor-main">
+                    <div class="bot-editor-code"></div>
+                    <div class="bot-editor-console"></div>
+                </div>
+                <div class="bot-editor-side">
+                    <div class="bot-editor-controls">
+                        <label><span style="color: ${playerColors.player2}">vs</span> <select id="bench-opponent">${opponentOptions}</select></label>
+                        <label>seed <input type="number" id="bench-seed" value="${this.seed}"></label>
+                        <select id="bench-speed">${speedOptions}</select>
+                    </div>
+                    <canvas class="bot-editor-canvas"></canvas>
+                    <div class="bot-editor-status"></div>
+                </div>
+            </div>
+            <div class="replay-file-actions">
+                <button id="bench-run-button" class="menu-button -small -cyan">Save & Run (Ctrl+S)</button>
+                <button id="bench-clear-button" class="menu-button -small">Clear Console</button>
+            </div>
+        `;
+        this.consoleElement = menuContainer.querySelector('.bot-editor-console');
+        this.statusElement = menuContainer.querySelector('.bot-editor-status');
+        this.canvas = menuContainer.querySelector('.bot-editor-canvas');
+        const editor = new CodeEditor(menuContainer.querySelector('.bot-editor-code'), this.draft.source, (source) => this.saveAndRun(source));
+        menuContainer.querySelector('#bench-run-button').addEventListener('click', () => this.saveAndRun(editor.getValue()));
+        menuContainer.querySelector('#bench-clear-button').addEventListener('click', () => {
+            this.consoleElement.innerHTML = '';
+        });
+        menuContainer.querySelector('#bench-opponent').addEventListener('change', (e) => {
+            this.opponent = e.target.value;
+            this.startBench();
+        });
+        menuContainer.querySelector('#bench-seed').addEventListener('change', (e) => {
+            const seed = parseInt(e.target.value, 10);
+            if (!isNaN(seed)) {
+                this.seed = seed;
+                this.startBench();
+            }
+        });
+        menuContainer.querySelector('#bench-speed').addEventListener('change', (e) => {
+            this.speed = parseFloat(e.target.value);
+            if (this.bench) {
+                this.bench.setSpeed(this.speed);
+            }
+        });
+        this.menuManager.footerManager.showBackButton(() => {
+            this.draft.source = editor.getValue();
+            this.stopBench();
+            this.parentBuilder.buildBotWorkshop(this.draft);
+        });
+        this.startBench();
+        return menuContainer;
+    }
+    saveAndRun(source) { // hot reload: the same seed and opponent, from the first tick, with the new code
+        this.draft.source = source;
+        this.log('info', `— reloaded at ${new Date().toLocaleTimeString()} —`);
+        this.startBench();
+    }
+    startBench() {
+        this.stopBench();
+        this.bench = new BotTestBench({
+            players: [
+                { id: 'player1', type: 'bot', aiController: this.draft.name.trim() || 'Draft', source: this.draft.source },
+                { id: 'player2', type: 'bot', aiController: this.opponent }
+            ],
+            planetDensity: config.planetGeneration.density.default,
+            seed: this.seed
+        }, this.canvas, {
+            onLog: (playerId, line, level) => this.log(level, playerId === 'player1' ? line : `[opponent] ${line}`),
+            onStatus: (status) => this.showStatus(status),
+            onGameOver: (summary) => this.log('info', `Game over at ${formatTime(summary.time)}: ${summary.winner === 'player1' ? 'your bot wins' : 'the opponent wins'} (${summary.victoryText}).`)
+        });
+        this.bench.setSpeed(this.speed);
+    }
+    stopBench() {
+        if (this.bench) {
+            this.bench.dispose();
+            this.bench = null;
+        }
+    }
+    log(level, text) { // level: 'log', 'warn', 'error' or 'info'
+        const atBottom = this.consoleElement.scrollTop + this.consoleElement.clientHeight >= this.consoleElement.scrollHeight - 5;
+        const line = document.createElement('div');
+        line.className = `bot-editor-line -${level}`;
+        line.textContent = text;
+        this.consoleElement.appendChild(line);
+        while (this.consoleElement.childElementCount > config.workshop.consoleMaxLines) {
+            this.consoleElement.firstElementChild.remove();
+        }
+        if (atBottom) { // follow new output unless the user scrolled up to read
+            this.consoleElement.scrollTop = this.consoleElement.scrollHeight;
+        }
+    }
+    showStatus(status) {
+        const playerColors = this.configManager.getPlayerColors();
+        const html = status.players.map(stats => `
+            <div style="color: ${playerColors[stats.id]}">${stats.id === 'player1' ? 'your bot' : 'opponent'}: ${stats.planets} planets, ${Math.round(stats.troops)} troops</div>
+        `).join('') + `<div>${status.gameOver ? 'game over' : `${formatTime(status.timeRemaining)} left`}</div>`;
+        if (html !== this.lastStatusHTML) { // called every frame, only touch the DOM when something changed
+            this.statusElement.innerHTML = html;
+            this.lastStatusHTML = html;
+        }
+    }
+}
\ No newline at end of file
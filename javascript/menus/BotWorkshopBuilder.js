@@ -0,0 +1,131 @@
+// ===========================================
+// root/javascript/menus/BotWorkshopBuilder.js
+// ===========================================
+
+import MenuBuilderBase from './MenuBuilderBase.js';
+import { config } from '../config.js';
+import { escapeHTML } from '../utils.js';
+import { BOT_MODULE_TEMPLATE } from '../bots/customBots.js';
+
+export default class BotWorkshopBuilder extends MenuBuilderBase {
+    constructor(parentBuilder, container, screenManager, configManager, menuManager) {
+        super(container, screenManager, configManager, menuManager);
+        this.parentBuilder = parentBuilder;
+        this.editingValue = null; // custom bot loaded into the form, saving replaces it
+    }
+    build(statusMessage = '', draft = null) { // draft keeps the form filled in when the screen is rebuilt after a failed save
+        this.menuManager.uiManager.setHeaderTitle('BOT WORKSHOP');
+        const customBotManager = this.menuManager.customBotManager;
+        const menuContainer = this.createMenuContainer();
+        const bots = customBotManager.getBots();
+        const editing = this.editingValue ? customBotManager.getBot(this.editingValue) : null;
+        const form = draft || (editing ? editing : { name: '', description: '', source: '' });
+        let botListHTML = '';
+        if (bots.length > 0) {
+            bots.forEach(bot => {
+                const loadError = customBotManager.getLoadError(bot.value);
+                botListHTML += `
+                    <div class="replay-entry">
+                        <div class="replay-info">
+                            <span class="replay-name">${escapeHTML(bot.name)}</span>
+                            <span class="replay-players">${escapeHTML(loadError ? `Could not be loaded: ${loadError}` : bot.description)}</span>
+                            <span class="replay-date">saved ${new Date(bot.savedAt).toLocaleString()}</span>
+                        </div>
+                        <div class="replay-actions">
+                            <button class="menu-button -small -cyan" data-value="${bot.value}" data-action="edit">Edit</button>
+                            <button class="menu-button -small -red" data-value="${bot.value}" data-action="delete">Delete</button>
+                        </div>
+                    </div>
+                `;
+            });
+        } else {
+            botListHTML = `<p style="text-align: center; margin: 2rem 0;">No custom bots yet. Paste or load a module that extends BaseBot below.</p>`;
+        }
+        menuContainer.innerHTML = `
+            <div class="instructions-content">
+                <div class="replay-list">${botListHTML}</div>
+                <h3 class="menu-header">${editing ? `EDIT ${escapeHTML(editing.name.toUpperCase())}` : 'ADD A BOT'}</h3>
+                ${statusMessage ? `<p class="replay-import-status">${statusMessage}</p>` : ''}
+                <div class="workshop-form">
+                    <input type="text" id="workshop-name" placeholder="Name" maxlength="${config.workshop.maxNameLength}" value="${escapeHTML(form.name)}">
+                    <input type="text" id="workshop-description" placeholder="Description" value="${escapeHTML(form.description)}">
+                    <textarea id="workshop-source" spellcheck="false" placeholder="${escapeHTML(BOT_MODULE_TEMPLATE)}">${escapeHTML(form.source)}</textarea>
+                    <div class="replay-file-actions">
+                        <button id="workshop-load-button" class="menu-button -small">Load File</button>
+                        <button id="workshop-editor-button" class="menu-button -small -cyan">Open Editor</button>
+                        ${editing ? '<button id="workshop-cancel-button" class="menu-button -small">Cancel Edit</button>' : ''}
+                        <input type="file" id="workshop-load-input" accept=".js,.mjs,text/javascript" style="display: none;">
+                    </div>
+                </div>
+                <button id="workshop-save-button" class="menu-button">VALIDATE & SAVE</button>
+            </div>
+        `;
+        const nameInput = menuContainer.querySelector('#workshop-name');
+        const descriptionInput = menuContainer.querySelector('#workshop-description');
+        const sourceInput = menuContainer.querySelector('#workshop-source');
+        const readForm = () => ({ name: nameInput.value, description: descriptionInput.value, source: sourceInput.value });
+        menuContainer.querySelector('.replay-list').addEventListener('click', (e) => {
+            const value = e.target.dataset.value;
+            if (!value) return;
+            if (e.target.dataset.action === 'edit') {
+                this.editingValue = value;
+                this.build();
+            } else if (e.target.dataset.action === 'delete') {
+                const bot = customBotManager.getBot(value);
+                if (window.confirm(`Delete ${bot.name}? Its standings are kept.`)) {
+                    customBotManager.deleteBot(value);
+                    if (this.editingValue === value) {
+                        this.editingValue = null;
+                    }
+                    this.build();
+                }
+            }
+        });
+        const loadButton = menuContainer.querySelector('#workshop-load-button');
+        const loadInput = menuContainer.querySelector('#workshop-load-input');
+        loadButton.addEventListener('click', () => loadInput.click());
+        loadInput.addEventListener('change', async () => {
+            const file = loadInput.files[0];
+            if (!file) return;
+            sourceInput.value = await file.text();
+            if (!nameInput.value.trim()) { // MyBot.js suggests "MyBot"
+                nameInput.value = file.name.replace(/\.m?js$/i, '').slice(0, config.workshop.maxNameLength);
+            }
+        });
+        menuContainer.querySelector('#workshop-editor-button').addEventListener('click', () => {
+            this.parentBuilder.buildBotEditor(readForm()); // keeps editingValue, so saving after the editor still replaces the same bot
+        });
+        const cancelButton = menuContainer.querySelector('#workshop-cancel-button');
+        if (cancelButton) {
+            cancelButton.addEventListener('click', () => {
+                this.editingValue = null;
+                this.build();
+            });
+        }
+        const saveButton = menuContainer.querySelector('#workshop-save-button');
+        saveButton.addEventListener('click', async () => {
+            const draftForm = readForm();
+            saveButton.disabled = true;
+            saveButton.textContent = 'RUNNING TRIAL MATCH...';
+            const report = await customBotManager.saveBot(draftForm, this.editingValue);
+            if (!menuContainer.isConnected) return; // left the workshop while the trial ran, the save still counts
+            if (report.bot) {
+                this.editingValue = null;
+                this.build(this.describeSaveReport(report));
+            } else {
+                this.build(this.describeSaveReport(report), draftForm);
+            }
+        });
+        this.menuManager.footerManager.showBackButton(() => {
+            this.editingValue = null;
+            this.parentBuilder.buildMainMenu();
+        });
+        return menuContainer;
+    }
+    describeSaveReport(report) {
+        const lines = report.bot ? [`Saved ${report.bot.name}. It is now listed with the built-in bots.`] : ['Not saved.'];
+        report.errors.forEach(error => lines.push(`Error: ${error}`));
+        report.warnings.forEach(warning => lines.push(`Warning: ${warning}`));
+        return lines.map(escapeHTML).join('<br>');
+    }
+}
\ No newline at end of file
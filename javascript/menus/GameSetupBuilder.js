@@ -4,6 +4,10 @@
 
 import MenuBuilderBase from './MenuBuilderBase.js';
 import { config } from '../config.js';
+import victoryConditions from '../victory/index.js';
+import combatModels from '../combat/index.js';
+import { getStartSlots } from '../maps.js';
+import { escapeHTML } from '../utils.js';
 
 export default class GameSetupBuilder extends MenuBuilderBase {
     constructor(parentBuilder, container, screenManager, configManager, menuManager, startGameCallback) {
@@ -17,6 +21,10 @@ export default class GameSetupBuilder extends MenuBuilderBase {
     build() {
         this.menuManager.uiManager.setHeaderTitle('CREATE GAME');
         const menuContainer = this.createMenuContainer();
+        const chosenMap = this.configManager.getConfig().map;
+        if (chosenMap) { // pick up edits to the map, or go back to random if it was deleted
+            this.configManager.setMap(this.menuManager.mapManager.getMap(chosenMap.id));
+        }
         const setupForm = document.createElement('div');
         setupForm.className = 'setup-form';
         // 1. Create the new scrollable wrapper
@@ -24,6 +32,8 @@ export default class GameSetupBuilder extends MenuBuilderBase {
         scrollableContent.className = 'scrollable-content';
         // 2. Add the existing content INSIDE the wrapper
         scrollableContent.appendChild(this.createPlayerCountControl());
+        scrollableContent.appendChild(this.createTeamModeControl());
+        scrollableContent.appendChild(this.createMapControl());
         scrollableContent.appendChild(this.createPlanetDensityControl());
         const playerSelectorsContainer = document.createElement('div');
         playerSelectorsContainer.className = 'ai-selectors-container';
@@ -46,11 +56,13 @@ export default class GameSetupBuilder extends MenuBuilderBase {
             this.parentBuilder.buildMainMenu();
         });
         const startButton = buttonContainer.querySelector('.start-game');
+        this.startButton = startButton;
         startButton.addEventListener('click', () => {
             this.cleanup(); // Clean up the global listener
             this.startGameCallback();
         });
         this.updatePlayerSelectors();
+        this.updateMapNote();
         return menuContainer;
     }
     handleOutsideClick(event) {
@@ -83,6 +95,11 @@ export default class GameSetupBuilder extends MenuBuilderBase {
         settingsContent.appendChild(this.createBatchGameControl());
         settingsContent.appendChild(this.createGamePaceControl());
         settingsContent.appendChild(this.createHeadlessModeControl());
+        settingsContent.appendChild(this.createFogOfWarControl());
+        settingsContent.appendChild(this.createPlanetTypesControl());
+        settingsContent.appendChild(this.createFleetCollisionsControl());
+        settingsContent.appendChild(this.createVictoryConditionControl());
+        settingsContent.appendChild(this.createCombatModelControl());
         panel.appendChild(settingsContent);
         return panel;
     }
@@ -145,6 +162,93 @@ export default class GameSetupBuilder extends MenuBuilderBase {
         container.appendChild(input);
         return container;
     }
+    createFogOfWarControl() { // players only see the map around their own planets and fleets
+        const container = document.createElement('div');
+        container.className = 'advanced-setting-item';
+        const label = document.createElement('label');
+        label.htmlFor = 'fog-of-war-toggle';
+        label.textContent = 'Fog of War:';
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.id = 'fog-of-war-toggle';
+        input.checked = this.configManager.getConfig().fogOfWar;
+        input.addEventListener('change', (e) => {
+            this.configManager.setFogOfWar(e.target.checked);
+        });
+        container.appendChild(label);
+        container.appendChild(input);
+        return container;
+    }
+    createPlanetTypesControl() { // fortresses, factories, relays and barren planets among the neutrals
+        const container = document.createElement('div');
+        container.className = 'advanced-setting-item';
+        const label = document.createElement('label');
+        label.htmlFor = 'planet-types-toggle';
+        label.textContent = 'Planet Types:';
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.id = 'planet-types-toggle';
+        input.checked = this.configManager.getConfig().planetTypes;
+        input.addEventListener('change', (e) => {
+            this.configManager.setPlanetTypes(e.target.checked);
+        });
+        container.appendChild(label);
+        container.appendChild(input);
+        return container;
+    }
+    createFleetCollisionsControl() { // enemy fleets that meet in flight fight it out
+        const container = document.createElement('div');
+        container.className = 'advanced-setting-item';
+        const label = document.createElement('label');
+        label.htmlFor = 'fleet-collisions-toggle';
+        label.textContent = 'Fleet Collisions:';
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.id = 'fleet-collisions-toggle';
+        input.checked = this.configManager.getConfig().fleetCollisions;
+        input.addEventListener('change', (e) => {
+            this.configManager.setFleetCollisions(e.target.checked);
+        });
+        container.appendChild(label);
+        container.appendChild(input);
+        return container;
+    }
+    createVictoryConditionControl() { // how the game is won, the time limit and the last side standing always end it
+        const container = document.createElement('div');
+        container.className = 'advanced-setting-item';
+        const label = document.createElement('label');
+        label.htmlFor = 'victory-condition-select';
+        label.textContent = 'Victory:';
+        const select = document.createElement('select');
+        select.id = 'victory-condition-select';
+        select.innerHTML = victoryConditions.map(condition =>
+            `<option value="${condition.value}" title="${condition.description}">${condition.name}</option>`).join('');
+        select.value = this.configManager.getConfig().victoryCondition;
+        select.addEventListener('change', (e) => {
+            this.configManager.setVictoryCondition(e.target.value);
+        });
+        container.appendChild(label);
+        container.appendChild(select);
+        return container;
+    }
+    createCombatModelControl() { // how a fleet fares against the garrison it lands on
+        const container = document.createElement('div');
+        container.className = 'advanced-setting-item';
+        const label = document.createElement('label');
+        label.htmlFor = 'combat-model-select';
+        label.textContent = 'Combat:';
+        const select = document.createElement('select');
+        select.id = 'combat-model-select';
+        select.innerHTML = combatModels.map(model =>
+            `<option value="${model.value}" title="${model.description}">${model.name}</option>`).join('');
+        select.value = this.configManager.getConfig().combatModel;
+        select.addEventListener('change', (e) => {
+            this.configManager.setCombatModel(e.target.value);
+        });
+        container.appendChild(label);
+        container.appendChild(select);
+        return container;
+    }
     createBottomButtons(advancedPanel) {
         const buttonContainer = document.createElement('div');
         buttonContainer.className = 'setup-buttons';
@@ -185,13 +289,47 @@ export default class GameSetupBuilder extends MenuBuilderBase {
                 document.querySelectorAll('.count-button').forEach(btn => btn.classList.remove('active'));
                 countButton.classList.add('active');
                 this.configManager.setPlayerCount(i);
+                this.updateTeamModeButtons();
                 this.updatePlayerSelectors(); // re-render player list
+                this.updateMapNote();
             });
             countSelect.appendChild(countButton);
         }
         container.appendChild(countSelect);
         return container;
     }
+    createTeamModeControl() { // free-for-all or one of the team modes, which each come with their own player count
+        const container = document.createElement('div');
+        const title = document.createElement('h3');
+        title.textContent = 'TEAMS';
+        title.className = 'menu-header';
+        container.appendChild(title);
+        const modeSelect = document.createElement('div');
+        modeSelect.className = 'team-mode-select';
+        for (const mode of ['ffa', ...Object.keys(config.teams)]) {
+            const modeButton = document.createElement('button');
+            modeButton.className = 'team-button';
+            modeButton.textContent = mode === 'ffa' ? 'FFA' : mode;
+            modeButton.dataset.mode = mode;
+            modeButton.addEventListener('click', () => {
+                this.configManager.setTeamMode(mode);
+                const playerCount = this.configManager.getConfig().players.length;
+                document.querySelectorAll('.count-button').forEach(btn => btn.classList.toggle('active', Number(btn.dataset.count) === playerCount));
+                this.updateTeamModeButtons();
+                this.updatePlayerSelectors();
+                this.updateMapNote();
+            });
+            modeSelect.appendChild(modeButton);
+        }
+        container.appendChild(modeSelect);
+        this.teamModeSelect = modeSelect;
+        this.updateTeamModeButtons();
+        return container;
+    }
+    updateTeamModeButtons() {
+        const teamMode = this.configManager.getConfig().teamMode;
+        this.teamModeSelect.querySelectorAll('.team-button').forEach(btn => btn.classList.toggle('active', btn.dataset.mode === teamMode));
+    }
     updatePlayerSelectors() {
         const container = document.getElementById('player-selectors-container');
         if (!container) return;
@@ -223,6 +361,10 @@ export default class GameSetupBuilder extends MenuBuilderBase {
                 aiSelector.appendChild(option);
             });
             aiSelector.value = player.aiController || config.player.defaultAIValue;
+            if (player.type === 'bot' && aiSelector.value !== player.aiController) { // its workshop bot was deleted
+                aiSelector.value = config.player.defaultAIValue;
+                this.configManager.updatePlayerConfig(index, { aiController: aiSelector.value });
+            }
             aiSelector.style.visibility = player.type === 'bot' ? 'visible' : 'hidden';
             typeSelector.addEventListener('change', (e) => {
                 const newType = e.target.value;
@@ -236,11 +378,63 @@ export default class GameSetupBuilder extends MenuBuilderBase {
                 this.configManager.updatePlayerConfig(index, { aiController: e.target.value });
             });
             playerRow.appendChild(circleLabel);
+            if (player.team) { // team games show who plays with whom
+                const teamLabel = document.createElement('div');
+                teamLabel.className = 'player-team';
+                teamLabel.textContent = `T${player.team}`;
+                playerRow.appendChild(teamLabel);
+            }
             playerRow.appendChild(typeSelector);
             playerRow.appendChild(aiSelector);
             container.appendChild(playerRow);
         });
     }
+    createMapControl() { // a random galaxy or one drawn in the map editor
+        const container = document.createElement('div');
+        container.className = 'map-choice-container';
+        const title = document.createElement('h3');
+        title.textContent = 'MAP';
+        title.className = 'menu-header';
+        container.appendChild(title);
+        const select = document.createElement('select');
+        select.id = 'map-select';
+        select.className = 'map-select';
+        select.innerHTML = '<option value="">Random</option>' + this.menuManager.mapManager.getMaps().map(map =>
+            `<option value="${map.id}">${escapeHTML(map.name)} (${getStartSlots(map)} players)</option>`).join('');
+        const chosenMap = this.configManager.getConfig().map;
+        select.value = chosenMap ? chosenMap.id : '';
+        select.addEventListener('change', () => {
+            this.configManager.setMap(select.value ? this.menuManager.mapManager.getMap(select.value) : null);
+            const playerCount = this.configManager.getConfig().players.length;
+            document.querySelectorAll('.count-button').forEach(btn => btn.classList.toggle('active', Number(btn.dataset.count) === playerCount));
+            this.updateTeamModeButtons();
+            this.updatePlayerSelectors();
+            this.updateMapNote();
+        });
+        const note = document.createElement('p');
+        note.className = 'map-note';
+        this.mapNote = note;
+        container.appendChild(select);
+        container.appendChild(note);
+        return container;
+    }
+    updateMapNote() { // a map seats a fixed number of players, the game can't start with any other count
+        if (!this.mapNote) return;
+        const { map, players } = this.configManager.getConfig();
+        const slots = map ? getStartSlots(map) : 0;
+        const fits = !map || players.length === slots;
+        this.mapNote.textContent = !map ? '' : fits
+            ? `${map.planets.length} planets, drawn in the map editor.`
+            : `This map has starting planets for exactly ${slots} players.`;
+        this.mapNote.classList.toggle('-warning', !fits);
+        const densitySlider = document.getElementById('planet-density-slider');
+        if (densitySlider) {
+            densitySlider.disabled = !!map; // a map brings its own planets
+        }
+        if (this.startButton) {
+            this.startButton.disabled = !fits;
+        }
+    }
     createPlanetDensityControl() {
         const planetDensityContainer = document.createElement('div');
         planetDensityContainer.className = 'planet-density-container';
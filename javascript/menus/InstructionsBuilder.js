@@ -18,9 +18,9 @@ export default class InstructionsBuilder extends MenuBuilderBase {
             <div class="instructions-section">
                 <h3>GAMEPLAY</h3>
                 <ul>
-                    <li>The map is populated with a starting planet for each player, and a random assortment of neutral planets</li>
+                    <li>The map is populated with a starting planet for each player, and a random assortment of neutral planets, unless a map drawn in the map editor is picked in the game setup</li>
                     <li>Neutral planets are stagnant, but player-owned planets generate new culture continuously at a rate relative to their size</li>
-                    <li>Players can send their accumulated culture out towards nearby planets, which reinforces allied planets but trading 1-for-1 with opponent-controlled planets</li>
+                    <li>Players can send their accumulated culture out towards nearby planets, which reinforces allied planets but trading 1-for-1 with opponent-controlled planets (other combat models can be picked in the game setup)</li>
                     <li>If the amount of culture arriving at a planet exceeds the amount already there, control of the planet is seized by the invader</li>
                     <li>Victory is achieved when all opponent culture is eradicated, or when the timer runs out and the winner is whomever controls the most planets (tiebreaker: most troops)</li>
                 </ul>
@@ -33,6 +33,7 @@ export default class InstructionsBuilder extends MenuBuilderBase {
                 <ul>
                     <li><strong>Box:</strong> click and drag to create a box that selects any planets you control touched by the box</li>
                     <li><strong>Onslaught:</strong> double-click a planet you control to select all your planets</li>
+                    <li><strong>Redirect:</strong> click one of your fleets in flight, then a planet, to turn it toward that planet; click the planet it came from to recall it</li>
                     <li><strong>Allocation:</strong> use the slider at the bottom to change what percentage of culture is dispatched at once</li>
                 </ul>
             </div>
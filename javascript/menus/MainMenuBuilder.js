@@ -3,6 +3,7 @@
 // ===========================================
 
 import MenuBuilderBase from './MenuBuilderBase.js';
+import tournamentFormats from '../tournaments/index.js';
 
 export default class MainMenuBuilder extends MenuBuilderBase {
     constructor(parentBuilder, container, screenManager, configManager, menuManager) {
@@ -34,6 +35,18 @@ export default class MainMenuBuilder extends MenuBuilderBase {
                 description: 'track bot rankings',
                 handler: () => this.parentBuilder.buildStandingsScreen()
             },
+            {
+                id: 'workshop',
+                name: 'BOT WORKSHOP',
+                description: 'bring your own bot code',
+                handler: () => this.parentBuilder.buildBotWorkshop()
+            },
+            {
+                id: 'maps',
+                name: 'MAP EDITOR',
+                description: 'draw and share your own maps',
+                handler: () => this.parentBuilder.buildMapsScreen()
+            },
             { 
                 id: 'creategame',
                 name: 'CREATE GAME',
@@ -47,7 +60,23 @@ export default class MainMenuBuilder extends MenuBuilderBase {
                 description: 'pit bots against each other',
                 handler: () => this.parentBuilder.buildTournamentSetup()
             },
+            {
+                id: 'tournament-history',
+                name: 'PAST TOURNAMENTS',
+                description: 'final brackets of finished tournaments',
+                handler: () => this.parentBuilder.buildTournamentHistory()
+            },
         ];
+        const savedTournament = this.menuManager.tournamentStore.getActive();
+        if (savedTournament) { // offered right after creating one, until it is finished
+            const tournamentIndex = options.findIndex(option => option.id === 'tournament');
+            options.splice(tournamentIndex + 1, 0, {
+                id: 'resume-tournament',
+                name: 'RESUME TOURNAMENT',
+                description: this.describeSavedTournament(savedTournament),
+                handler: () => this.menuManager.resumeTournament()
+            });
+        }
         options.forEach(option => {
             const modeButton = document.createElement('div');
             modeButton.className = 'mode-button';
@@ -65,4 +94,9 @@ export default class MainMenuBuilder extends MenuBuilderBase {
         menuContainer.appendChild(modeContainer);
         return menuContainer;
     }
+    describeSavedTournament(state) {
+        const format = tournamentFormats.find(f => f.value === state.format);
+        const played = state.formatState.matches.filter(match => match.placing && !match.isBye).length;
+        return `${format ? format.name : state.format}, ${state.participants.length} bots, ${played} match${played === 1 ? '' : 'es'} played`;
+    }
 }
\ No newline at end of file
@@ -0,0 +1,145 @@
+// ===========================================
+// root/javascript/menus/MapEditorBuilder.js — draw a map: place, move and resize planets, give them owners and starting troops, save it for game setup
+// ===========================================
+
+import MenuBuilderBase from './MenuBuilderBase.js';
+import MapEditor from '../ui/MapEditor.js';
+import { getPlanetTypeStats } from '../Planet.js';
+import { config } from '../config.js';
+import { describeMapProblem, getStartSlots } from '../maps.js';
+import { escapeHTML } from '../utils.js';
+
+export default class MapEditorBuilder extends MenuBuilderBase {
+    constructor(parentBuilder, container, screenManager, configManager, menuManager) {
+        super(container, screenManager, configManager, menuManager);
+        this.parentBuilder = parentBuilder;
+        this.editor = null;
+        this.editingId = null; // saved map being edited, saving replaces it
+        this.unsaved = false;
+    }
+    build(mapId = null) {
+        const mapManager = this.menuManager.mapManager;
+        const map = mapId ? mapManager.getMap(mapId) : null;
+        this.editingId = map ? map.id : null;
+        this.unsaved = false;
+        this.menuManager.uiManager.setHeaderTitle(map ? 'EDIT MAP' : 'NEW MAP');
+        const menuContainer = this.createMenuContainer();
+        menuContainer.innerHTML = `
+            <div class="map-editor">
+                <canvas class="map-editor-canvas"></canvas>
+                <div class="map-editor-side">
+                    <input type="text" id="map-name" placeholder="Map name" maxlength="${config.mapEditor.maxNameLength}" value="${map ? escapeHTML(map.name) : ''}">
+                    <div class="map-editor-planet"></div>
+                    <div class="map-editor-status"></div>
+                </div>
+            </div>
+            <div class="replay-file-actions">
+                <button id="map-save-button" class="menu-button -small -cyan">Save</button>
+                <button id="map-clear-button" class="menu-button -small -red">Clear</button>
+            </div>
+        `;
+        this.nameInput = menuContainer.querySelector('#map-name');
+        this.planetPanel = menuContainer.querySelector('.map-editor-planet');
+        this.statusElement = menuContainer.querySelector('.map-editor-status');
+        this.stopEditor();
+        this.editor = new MapEditor(menuContainer.querySelector('.map-editor-canvas'), map ? map.planets : [], this.configManager.getPlayerColors(), (selectionChanged, edited) => {
+            this.unsaved = this.unsaved || edited;
+            if (selectionChanged) {
+                this.showPlanetControls();
+            }
+            this.showStatus();
+        });
+        this.nameInput.addEventListener('input', () => {
+            this.unsaved = true;
+            this.showStatus();
+        });
+        menuContainer.querySelector('#map-save-button').addEventListener('click', () => this.save());
+        menuContainer.querySelector('#map-clear-button').addEventListener('click', () => {
+            if (window.confirm('Remove every planet from this map?')) {
+                this.editor.clear();
+            }
+        });
+        this.menuManager.footerManager.showBackButton(() => {
+            if (this.unsaved && !window.confirm('Leave the map editor? Your changes since the last save will be lost.')) return;
+            this.stopEditor();
+            this.parentBuilder.buildMapsScreen();
+        });
+        this.showPlanetControls();
+        this.showStatus();
+        return menuContainer;
+    }
+    stopEditor() {
+        if (this.editor) {
+            this.editor.dispose();
+            this.editor = null;
+        }
+    }
+    save() {
+        const report = this.menuManager.mapManager.saveMap({ name: this.nameInput.value, planets: this.editor.getPlanets() }, this.editingId);
+        if (report.map) {
+            this.editingId = report.map.id;
+            this.unsaved = false;
+            this.menuManager.uiManager.setHeaderTitle('EDIT MAP');
+            this.showStatus(`Saved ${report.map.name}. It can be picked in game setup.`);
+        } else {
+            this.showStatus(['Not saved.', ...report.errors].join(' '));
+        }
+    }
+    showPlanetControls() { // rebuilt when the selection changes, the inputs then edit the selected planet
+        const planet = this.editor.getSelected();
+        if (!planet) {
+            this.planetPanel.innerHTML = `
+                <p>Click the map to add a planet, click a planet to select it, drag it to move it.</p>
+                <p>Give players 1 to N a starting planet each, every other planet stays neutral.</p>
+            `;
+            return;
+        }
+        const { minPlanetSize, maxPlanetSize } = config.mapEditor;
+        const [, maxPlayers] = config.menuDefaults.playerCountRange;
+        const playerColors = this.configManager.getPlayerColors();
+        let ownerOptions = `<option value="neutral">Neutral</option>`;
+        for (let i = 1; i <= maxPlayers; i++) {
+            ownerOptions += `<option value="player${i}" style="color: ${playerColors[`player${i}`]}">Player ${i}</option>`;
+        }
+        const typeOptions = Object.keys(config.planetTypes).map(type =>
+            `<option value="${type}">${type.charAt(0).toUpperCase() + type.slice(1)}</option>`).join('');
+        this.planetPanel.innerHTML = `
+            <label>owner <select id="map-planet-owner">${ownerOptions}</select></label>
+            <label>size <input type="range" id="map-planet-size" min="${minPlanetSize}" max="${maxPlanetSize}" step="1" value="${planet.size}"></label>
+            <label>troops <input type="number" id="map-planet-troops" min="0" max="${getPlanetTypeStats(planet.type).maxTroops}" step="1" value="${planet.troops}"></label>
+            <label>type <select id="map-planet-type">${typeOptions}</select></label>
+            <button id="map-planet-delete" class="menu-button -small -red">Delete Planet</button>
+        `;
+        const ownerSelect = this.planetPanel.querySelector('#map-planet-owner');
+        const sizeInput = this.planetPanel.querySelector('#map-planet-size');
+        const troopsInput = this.planetPanel.querySelector('#map-planet-troops');
+        const typeSelect = this.planetPanel.querySelector('#map-planet-type');
+        ownerSelect.value = planet.owner;
+        typeSelect.value = planet.type;
+        ownerSelect.addEventListener('change', () => this.editor.updateSelected({ owner: ownerSelect.value }));
+        sizeInput.addEventListener('input', () => this.editor.updateSelected({ size: Number(sizeInput.value) }));
+        troopsInput.addEventListener('change', () => {
+            const troops = Math.round(Math.min(Math.max(Number(troopsInput.value) || 0, 0), Number(troopsInput.max)));
+            troopsInput.value = troops;
+            this.editor.updateSelected({ troops });
+        });
+        typeSelect.addEventListener('change', () => {
+            const maxTroops = getPlanetTypeStats(typeSelect.value).maxTroops;
+            troopsInput.max = maxTroops;
+            troopsInput.value = Math.min(Number(troopsInput.value), maxTroops);
+            this.editor.updateSelected({ type: typeSelect.value, troops: Number(troopsInput.value) });
+        });
+        this.planetPanel.querySelector('#map-planet-delete').addEventListener('click', () => this.editor.deleteSelected());
+    }
+    showStatus(message = '') { // what the map seats and, until it can be saved, what is still wrong with it
+        const planets = this.editor.getPlanets();
+        const problem = describeMapProblem({ name: this.nameInput.value, planets });
+        const lines = [`${planets.length}/${config.mapEditor.maxPlanets} planets, ${getStartSlots({ planets })} players.`];
+        lines.push(problem ? `To fix: ${problem}` : 'Ready to play.');
+        if (message) {
+            lines.unshift(message);
+        }
+        this.statusElement.innerHTML = lines.map(escapeHTML).join('<br>');
+        this.statusElement.classList.toggle('-warning', !!problem);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,109 @@
+// ===========================================
+// root/javascript/menus/MapsBuilder.js — the saved maps from the map editor, with import and export as JSON files
+// ===========================================
+
+import MenuBuilderBase from './MenuBuilderBase.js';
+import { config } from '../config.js';
+import { getStartSlots } from '../maps.js';
+import { downloadJSON, readJSONFile, escapeHTML } from '../utils.js';
+
+export default class MapsBuilder extends MenuBuilderBase {
+    constructor(parentBuilder, container, screenManager, configManager, menuManager) {
+        super(container, screenManager, configManager, menuManager);
+        this.parentBuilder = parentBuilder;
+    }
+    build(statusMessage = '') {
+        this.menuManager.uiManager.setHeaderTitle('MAPS');
+        const mapManager = this.menuManager.mapManager;
+        const menuContainer = this.createMenuContainer();
+        const maps = mapManager.getMaps();
+        let mapListHTML = '';
+        if (maps.length > 0) {
+            maps.forEach(map => {
+                mapListHTML += `
+                    <div class="replay-entry">
+                        <div class="replay-info">
+                            <span class="replay-name">${escapeHTML(map.name)}</span>
+                            <span class="replay-players">${getStartSlots(map)} players, ${map.planets.length} planets</span>
+                            <span class="replay-date">saved ${new Date(map.savedAt).toLocaleString()}</span>
+                        </div>
+                        <div class="replay-actions">
+                            <button class="menu-button -small -cyan" data-id="${map.id}" data-action="edit">Edit</button>
+                            <button class="menu-button -small" data-id="${map.id}" data-action="export">Export</button>
+                            <button class="menu-button -small -red" data-id="${map.id}" data-action="delete">Delete</button>
+                        </div>
+                    </div>
+                `;
+            });
+        } else {
+            mapListHTML = `<p style="text-align: center; margin: 2rem 0;">No maps yet. Draw one, or import a map file someone shared.</p>`;
+        }
+        const isFull = maps.length >= config.mapEditor.maxMaps;
+        menuContainer.innerHTML = `
+            <div class="instructions-content">
+                ${statusMessage ? `<p class="replay-import-status">${statusMessage}</p>` : ''}
+                <div class="replay-list">${mapListHTML}</div>
+                <div class="replay-file-actions">
+                    <button id="import-maps-button" class="menu-button -small">Import File</button>
+                    ${maps.length > 0 ? '<button id="export-maps-button" class="menu-button -small">Export All</button>' : ''}
+                    <input type="file" id="import-maps-input" accept=".json,application/json" style="display: none;">
+                </div>
+                <button id="new-map-button" class="menu-button" ${isFull ? 'disabled' : ''}>${isFull ? `MAP STORAGE FULL (${config.mapEditor.maxMaps})` : 'NEW MAP'}</button>
+            </div>
+        `;
+        menuContainer.querySelector('.replay-list').addEventListener('click', (e) => {
+            const id = e.target.dataset.id;
+            if (!id) return;
+            const action = e.target.dataset.action;
+            const map = mapManager.getMap(id);
+            if (action === 'edit') {
+                this.parentBuilder.buildMapEditor(id);
+            } else if (action === 'export') {
+                downloadJSON(`culture-war-map-${map.name.replace(/[^A-Za-z0-9._-]+/g, '-')}.json`, mapManager.createExportFile([id]));
+            } else if (action === 'delete') {
+                if (window.confirm(`Delete ${map.name}? Replays of games on it still play back.`)) {
+                    mapManager.deleteMap(id);
+                    this.build();
+                }
+            }
+        });
+        const importButton = menuContainer.querySelector('#import-maps-button');
+        const importInput = menuContainer.querySelector('#import-maps-input');
+        importButton.addEventListener('click', () => importInput.click());
+        importInput.addEventListener('change', async () => {
+            const file = importInput.files[0];
+            if (!file) return;
+            let fileData;
+            try {
+                fileData = await readJSONFile(file);
+            } catch (error) {
+                this.build(escapeHTML(`Could not read ${file.name}: not valid JSON.`));
+                return;
+            }
+            const report = mapManager.importFile(fileData);
+            this.build(this.describeImportReport(report));
+        });
+        const exportAllButton = menuContainer.querySelector('#export-maps-button');
+        if (exportAllButton) {
+            exportAllButton.addEventListener('click', () => {
+                downloadJSON(`culture-war-maps-${Date.now()}.json`, mapManager.createExportFile());
+            });
+        }
+        menuContainer.querySelector('#new-map-button').addEventListener('click', () => {
+            this.parentBuilder.buildMapEditor();
+        });
+        this.menuManager.footerManager.showBackButton(() => {
+            this.parentBuilder.buildMainMenu();
+        });
+        return menuContainer;
+    }
+    describeImportReport(report) {
+        const lines = [`Imported ${report.imported} map${report.imported === 1 ? '' : 's'}.`];
+        if (report.duplicates > 0) {
+            lines.push(`Skipped ${report.duplicates} already saved.`);
+        }
+        report.warnings.forEach(warning => lines.push(`Warning: ${warning}`));
+        report.rejected.forEach(reason => lines.push(`Rejected: ${reason}`));
+        return lines.map(escapeHTML).join('<br>');
+    }
+}
\ No newline at end of file
@@ -9,6 +9,11 @@ import InstructionsBuilder from './InstructionsBuilder.js';
 import StandingsBuilder from './StandingsBuilder.js';
 import TournamentSetupBuilder from './TournamentSetupBuilder.js';
 import ReplaysBuilder from './ReplaysBuilder.js';
+import TournamentHistoryBuilder from './TournamentHistoryBuilder.js';
+import BotWorkshopBuilder from './BotWorkshopBuilder.js';
+import BotEditorBuilder from './BotEditorBuilder.js';
+import MapsBuilder from './MapsBuilder.js';
+import MapEditorBuilder from './MapEditorBuilder.js';
 
 export default class MenuBuilder extends MenuBuilderBase {
     constructor(container, screenManager, configManager, menuManager) {
@@ -19,6 +24,11 @@ export default class MenuBuilder extends MenuBuilderBase {
         this.standingsBuilder = new StandingsBuilder(this, container, screenManager, configManager, menuManager, menuManager.statsTracker);
         this.tournamentSetupBuilder = new TournamentSetupBuilder(this, container, screenManager, configManager, menuManager);
         this.replaysBuilder = new ReplaysBuilder(this, container, screenManager, configManager, menuManager);
+        this.tournamentHistoryBuilder = new TournamentHistoryBuilder(this, container, screenManager, configManager, menuManager);
+        this.botWorkshopBuilder = new BotWorkshopBuilder(this, container, screenManager, configManager, menuManager);
+        this.botEditorBuilder = new BotEditorBuilder(this, container, screenManager, configManager, menuManager);
+        this.mapsBuilder = new MapsBuilder(this, container, screenManager, configManager, menuManager);
+        this.mapEditorBuilder = new MapEditorBuilder(this, container, screenManager, configManager, menuManager);
     }
     buildMainMenu() {
         return this.mainMenuBuilder.build();
@@ -38,4 +48,19 @@ export default class MenuBuilder extends MenuBuilderBase {
     buildReplaysScreen() {
         return this.replaysBuilder.build();
     }
+    buildTournamentHistory() {
+        return this.tournamentHistoryBuilder.build();
+    }
+    buildBotWorkshop(draft = null) { // draft: form contents coming back from the bot editor
+        return this.botWorkshopBuilder.build('', draft);
+    }
+    buildBotEditor(draft) {
+        return this.botEditorBuilder.build(draft);
+    }
+    buildMapsScreen() {
+        return this.mapsBuilder.build();
+    }
+    buildMapEditor(mapId = null) { // null starts a new map
+        return this.mapEditorBuilder.build(mapId);
+    }
 }
\ No newline at end of file
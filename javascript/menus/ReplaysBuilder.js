@@ -3,13 +3,14 @@
 // ===========================================
 
 import MenuBuilderBase from './MenuBuilderBase.js';
+import { downloadJSON, readJSONFile, escapeHTML } from '../utils.js';
 
 export default class ReplaysBuilder extends MenuBuilderBase {
     constructor(parentBuilder, container, screenManager, configManager, menuManager) {
         super(container, screenManager, configManager, menuManager);
         this.parentBuilder = parentBuilder;
     }
-    build() {
+    build(statusMessage = '') {
         this.menuManager.uiManager.setHeaderTitle('SAVED REPLAYS');
         const menuContainer = this.createMenuContainer();
         const replays = this.menuManager.replayManager.getReplays();
@@ -19,42 +20,73 @@ export default class ReplaysBuilder extends MenuBuilderBase {
                 replayListHTML += `
                     <div class="replay-entry">
                         <div class="replay-info">
-                            <span class="replay-name">${replay.name}</span>
-                            <span class="replay-players">${replay.players}</span>
+                            <span class="replay-name">${escapeHTML(replay.name)}</span>
+                            <span class="replay-players">${escapeHTML(replay.players)}${this.menuManager.replayManager.isLegacyReplay(replay) ? ' (legacy: re-simulated with current bots)' : ''}</span>
                             <span class="replay-date">${new Date(replay.timestamp).toLocaleString()}</span>
                         </div>
                         <div class="replay-actions">
-                            <button class="menu-button -small -cyan" data-timestamp="${replay.timestamp}" data-action="watch">Watch</button>
-                            <button class="menu-button -small -red" data-timestamp="${replay.timestamp}" data-action="delete">Delete</button>
+                            <button class="menu-button -small -cyan" data-id="${replay.id}" data-action="watch">Watch</button>
+                            <button class="menu-button -small" data-id="${replay.id}" data-action="export">Export</button>
+                            <button class="menu-button -small -red" data-id="${replay.id}" data-action="delete">Delete</button>
                         </div>
                     </div>
                 `;
             });
         } else {
-            replayListHTML = `<p style="text-align: center; margin: 2rem 0;">No replays saved. Replays are automatically saved for bot-only games and tournament finals.</p>`;
+            replayListHTML = `<p style="text-align: center; margin: 2rem 0;">No replays saved. Save one from the results screen after any game.</p>`;
         }
         menuContainer.innerHTML = `
             <div class="instructions-content">
+                ${statusMessage ? `<p class="replay-import-status">${statusMessage}</p>` : ''}
                 <div class="replay-list">${replayListHTML}</div>
+                <div class="replay-file-actions">
+                    <button id="import-replays-button" class="menu-button -small">Import File</button>
+                    ${replays.length > 0 ? '<button id="export-replays-button" class="menu-button -small">Export All</button>' : ''}
+                    <input type="file" id="import-replays-input" accept=".json,application/json" style="display: none;">
+                </div>
                 ${replays.length > 0 ? '<button id="clear-replays-button" class="menu-button">Clear All Replays</button>' : ''}
             </div>
         `;
         menuContainer.addEventListener('click', (e) => {
-            const timestamp = e.target.dataset.timestamp;
-            if (!timestamp) return;
+            const id = e.target.dataset.id;
+            if (!id) return;
             const action = e.target.dataset.action; // get action
+            const replay = this.menuManager.replayManager.getReplay(id);
             if (action === 'watch') {
-                const numericTimestamp = parseInt(timestamp, 10);
-                const replay = replays.find(r => r.timestamp === numericTimestamp);
                 if (replay) {
-                    this.menuManager.startReplay(replay.config);
+                    this.menuManager.startReplay(replay);
                 }
+            } else if (action === 'export') {
+                const exportFile = this.menuManager.replayManager.createExportFile([id]);
+                downloadJSON(`culture-war-replay-${replay.timestamp}.json`, exportFile);
             } else if (action === 'delete') {
-                const numericTimestamp = parseInt(timestamp, 10);
-                this.menuManager.replayManager.deleteReplay(numericTimestamp);
+                this.menuManager.replayManager.deleteReplay(id);
                 this.build(); // refresh view
             }
         });
+        const importButton = menuContainer.querySelector('#import-replays-button');
+        const importInput = menuContainer.querySelector('#import-replays-input');
+        importButton.addEventListener('click', () => importInput.click());
+        importInput.addEventListener('change', async () => {
+            const file = importInput.files[0];
+            if (!file) return;
+            let fileData;
+            try {
+                fileData = await readJSONFile(file);
+            } catch (error) {
+                this.build(escapeHTML(`Could not read ${file.name}: not valid JSON.`));
+                return;
+            }
+            const report = this.menuManager.replayManager.importFile(fileData);
+            this.build(this.describeImportReport(report));
+        });
+        const exportAllButton = menuContainer.querySelector('#export-replays-button');
+        if (exportAllButton) {
+            exportAllButton.addEventListener('click', () => {
+                const exportFile = this.menuManager.replayManager.createExportFile();
+                downloadJSON(`culture-war-replays-${Date.now()}.json`, exportFile);
+            });
+        }
         const clearButton = menuContainer.querySelector('#clear-replays-button');
         if (clearButton) {
             clearButton.addEventListener('click', () => {
@@ -69,4 +101,13 @@ export default class ReplaysBuilder extends MenuBuilderBase {
         });
         return menuContainer;
     }
+    describeImportReport(report) {
+        const lines = [`Imported ${report.imported} replay${report.imported === 1 ? '' : 's'}.`];
+        if (report.duplicates > 0) {
+            lines.push(`Skipped ${report.duplicates} already saved.`);
+        }
+        report.warnings.forEach(warning => lines.push(`Warning: ${warning}`));
+        report.rejected.forEach(reason => lines.push(`Rejected: ${reason}`));
+        return lines.map(escapeHTML).join('<br>');
+    }
 }
\ No newline at end of file
@@ -3,9 +3,10 @@
 // ===========================================
 
 import MenuBuilderBase from './MenuBuilderBase.js';
-import { formatTime } from '../utils.js';
+import { formatTime, escapeHTML } from '../utils.js';
 import eventManager from '../EventManager.js';
 import botRegistry from '../bots/index.js';
+import { config } from '../config.js';
 
 export default class StandingsBuilder extends MenuBuilderBase {
     constructor(parentBuilder, container, screenManager, configManager, menuManager, statsTracker) {
@@ -27,14 +28,47 @@ export default class StandingsBuilder extends MenuBuilderBase {
         if (player.avgRank < 3.0) return 'Professional';
         return 'Mysterious';
     }
+    describeFaults(stats) { // what the bot supervisor caught across all recorded games, empty for clean bots
+        const parts = [];
+        if (stats.errors > 0) parts.push(`${stats.errors} exception${stats.errors === 1 ? '' : 's'}`);
+        if (stats.slowDecisions > 0) parts.push(`${stats.slowDecisions} decision${stats.slowDecisions === 1 ? '' : 's'} over budget`);
+        if (stats.forfeits > 0) parts.push(`${stats.forfeits} forfeit${stats.forfeits === 1 ? '' : 's'}`);
+        return parts.join(', ');
+    }
+    buildRatingChart(rating) { // svg of the displayed rating after each game, over a shaded mu ± sigma band
+        const { conservativeFactor, initialMu, initialSigma } = config.rating;
+        const points = [{ mu: initialMu, sigma: initialSigma }, ...rating.history];
+        const width = 300;
+        const height = 80;
+        const pad = 4;
+        const lows = points.map(p => p.mu - conservativeFactor * p.sigma);
+        const highs = points.map(p => p.mu + p.sigma);
+        const minY = Math.min(...lows);
+        const maxY = Math.max(...highs);
+        const x = (i) => pad + (i / Math.max(1, points.length - 1)) * (width - pad * 2);
+        const y = (value) => height - pad - ((value - minY) / Math.max(1e-6, maxY - minY)) * (height - pad * 2);
+        const upper = points.map((p, i) => `${x(i).toFixed(1)},${y(p.mu + p.sigma).toFixed(1)}`);
+        const lower = points.map((p, i) => `${x(i).toFixed(1)},${y(p.mu - p.sigma).toFixed(1)}`).reverse();
+        const line = lows.map((value, i) => `${x(i).toFixed(1)},${y(value).toFixed(1)}`).join(' ');
+        return `
+            <div class="rating-chart">
+                <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">
+                    <polygon class="rating-chart-band" points="${[...upper, ...lower].join(' ')}"></polygon>
+                    <polyline class="rating-chart-line" points="${line}"></polyline>
+                </svg>
+                <p>Rating ${rating.rating.toFixed(1)} (μ ${rating.mu.toFixed(1)}, σ ${rating.sigma.toFixed(1)}) after ${rating.gamesRated} rated games</p>
+            </div>
+        `;
+    }
     build() {
         this.menuManager.uiManager.setHeaderTitle('STANDINGS'); // Set the header title
         const menuContainer = this.createMenuContainer();
         const content = document.createElement('div');
         content.className = 'instructions-content';
-        // 1. Get stats and create a lookup map
+        // 1. Get stats and ratings and create lookup maps
         const aggregatedStats = this.statsTracker.getAggregatedStats();
         const statsMap = new Map(aggregatedStats.map(s => [s.nickname, s]));
+        const ratings = this.statsTracker.getRatings();
         // 2. Combine bot registry data with stats
         const combinedData = botRegistry.map(bot => {
             const stats = statsMap.get(bot.value); 
@@ -42,35 +76,42 @@ export default class StandingsBuilder extends MenuBuilderBase {
                 ...bot, // value, name, class, creationDate, description
                 stats: stats || { // default stats if bot has not played
                     nickname: bot.name, wins: 0, gamesPlayed: 0, totalSurvivalTime: 0,
-                    totalCultureScore: 0, totalRank: 0, winRate: 0, avgSurvival: 0, avgRank: 0
-                }
+                    totalCultureScore: 0, totalRank: 0, winRate: 0, avgSurvival: 0, avgRank: 0,
+                    errors: 0, slowDecisions: 0, forfeits: 0
+                },
+                rating: ratings[bot.value] || null // null until the bot has a rated game
             };
         });
-        // 3. Sort by culture score, then alphabetically for those with 0 score
+        // 3. Sort by conservative rating, unrated bots last and alphabetically
         combinedData.sort((a, b) => {
-            if (b.stats.totalCultureScore !== a.stats.totalCultureScore) {
-                return b.stats.totalCultureScore - a.stats.totalCultureScore;
-            }
+            if (a.rating && b.rating) return b.rating.rating - a.rating.rating;
+            if (a.rating || b.rating) return a.rating ? -1 : 1;
             return a.name.localeCompare(b.name);
         });
         // 4. Build HTML table with expandable rows
         let tableBody = '';
         combinedData.forEach((player, index) => {
-            const rank = player.stats.gamesPlayed > 0 ? index + 1 : '—';
+            const rank = player.rating ? index + 1 : '—';
             const winRate = player.stats.gamesPlayed > 0 ? `${player.stats.winRate.toFixed(1)}` : '—';
-            const scoreText = player.stats.gamesPlayed > 0 ? (player.stats.totalCultureScore > 0 ? `+${player.stats.totalCultureScore.toFixed(1)}` : player.stats.totalCultureScore.toFixed(1)) : '—';
+            const ratingText = player.rating ? player.rating.rating.toFixed(1) : '—';
+            const uncertaintyText = player.rating ? `±${player.rating.sigma.toFixed(1)}` : '';
             const avgSurvival = player.stats.gamesPlayed > 0 ? formatTime(player.stats.avgSurvival) : '—';
             const avgRank = player.stats.gamesPlayed > 0 ? player.stats.avgRank.toFixed(1) : '—';
             const archetype = this.getArchetype(player.stats);
+            const faults = this.describeFaults(player.stats);
             // always visible main row
             tableBody += `
-                <tr class="standings-main-row" data-bot-name="${player.name}">
+                <tr class="standings-main-row" data-bot-name="${escapeHTML(player.name)}">
                     <td class="col-rank">${rank}</td>
                     <td class="col-fighter">
-                        <div>${player.name}</div>
+                        <div>${escapeHTML(player.name)}${player.isCustom ? ' <span class="standings-custom">workshop</span>' : ''}</div>
                         <div style="font-size: 0.8em; opacity: 1;">${archetype}</div>
+                        ${faults ? `<div class="standings-fault" title="${faults}">⚠ ${player.stats.forfeits > 0 ? `${player.stats.forfeits} forfeit${player.stats.forfeits === 1 ? '' : 's'}` : 'faults'}</div>` : ''}
+                    </td>
+                    <td class="col-score">
+                        <div>${ratingText}</div>
+                        <div style="font-size: 0.8em; opacity: 0.7;">${uncertaintyText}</div>
                     </td>
-                    <td class="col-score">${scoreText}</td>
                     <td class="col-games">${player.stats.gamesPlayed}</td>
                     <td class="col-winrate">${winRate}</td>
                     <td class="col-survival">${avgSurvival}</td>
@@ -82,8 +123,10 @@ export default class StandingsBuilder extends MenuBuilderBase {
                 <tr class="standings-detail-row" style="display: none;">
                     <td colspan="7">
                         <div class="standings-card">
-                            <p><strong>Commissioned:</strong> ${player.creationDate}</p>
-                            <p>${player.description}</p>
+                            <p><strong>${player.isCustom ? 'Written in the Bot Workshop' : 'Commissioned'}:</strong> ${escapeHTML(player.creationDate)}</p>
+                            <p>${escapeHTML(player.description)}</p>
+                            ${faults ? `<p class="standings-fault"><strong>Faults:</strong> ${faults}</p>` : ''}
+                            ${player.rating ? this.buildRatingChart(player.rating) : ''}
                         </div>
                     </td>
                 </tr>
@@ -94,9 +137,9 @@ export default class StandingsBuilder extends MenuBuilderBase {
                 <table>
                     <thead>
                         <tr>
-                            <th class="col-rank" title="Overall Rank by Culture Score">Rank</th>
+                            <th class="col-rank" title="Overall Rank by Rating">Rank</th>
                             <th class="col-fighter" title="Bot Name and Archetype">Fighter</th>
-                            <th class="col-score" title="Elo Accumulation Across All Games">Score</th>
+                            <th class="col-score" title="Conservative Skill Rating (mu - 3 sigma) and Its Uncertainty (sigma)">Rating</th>
                             <th class="col-games" title="Total Games Played">Games</th>
                             <th class="col-winrate" title="First-Place Percentage">Win %</th>
                             <th class="col-survival" title="Average Survival Time">Avg. Life</th>
@@ -0,0 +1,71 @@
+// ===========================================
+// root/javascript/menus/TournamentHistoryBuilder.js
+// ===========================================
+
+import MenuBuilderBase from './MenuBuilderBase.js';
+import tournamentFormats from '../tournaments/index.js';
+import { escapeHTML } from '../utils.js';
+
+export default class TournamentHistoryBuilder extends MenuBuilderBase {
+    constructor(parentBuilder, container, screenManager, configManager, menuManager) {
+        super(container, screenManager, configManager, menuManager);
+        this.parentBuilder = parentBuilder;
+    }
+    build() {
+        this.menuManager.uiManager.setHeaderTitle('PAST TOURNAMENTS');
+        const menuContainer = this.createMenuContainer();
+        const history = this.menuManager.tournamentStore.getHistory();
+        let historyListHTML = '';
+        if (history.length > 0) {
+            history.forEach(entry => {
+                const format = tournamentFormats.find(f => f.value === entry.format);
+                const champion = entry.placings.length > 0 ? entry.participants[entry.placings[0]].aiController : 'nobody';
+                historyListHTML += `
+                    <div class="replay-entry">
+                        <div class="replay-info">
+                            <span class="replay-name">${escapeHTML(format ? format.name : entry.format)} · won by ${escapeHTML(champion)}</span>
+                            <span class="replay-players">${escapeHTML(entry.participants.map(p => p.aiController).join(', '))}</span>
+                            <span class="replay-date">${new Date(entry.finishedAt).toLocaleString()}</span>
+                        </div>
+                        <div class="replay-actions">
+                            <button class="menu-button -small -cyan" data-id="${entry.id}" data-action="view">Bracket</button>
+                            <button class="menu-button -small -red" data-id="${entry.id}" data-action="delete">Delete</button>
+                        </div>
+                    </div>
+                `;
+            });
+        } else {
+            historyListHTML = `<p style="text-align: center; margin: 2rem 0;">No finished tournaments yet.</p>`;
+        }
+        menuContainer.innerHTML = `
+            <div class="instructions-content">
+                <div class="replay-list">${historyListHTML}</div>
+                ${history.length > 0 ? '<button id="clear-tournaments-button" class="menu-button">Clear History</button>' : ''}
+            </div>
+        `;
+        menuContainer.addEventListener('click', (e) => {
+            const id = e.target.dataset.id;
+            if (!id) return;
+            const numericId = parseInt(id, 10);
+            if (e.target.dataset.action === 'view') {
+                this.menuManager.showPastTournament(numericId);
+            } else if (e.target.dataset.action === 'delete') {
+                this.menuManager.tournamentStore.deleteFromHistory(numericId);
+                this.build(); // refresh view
+            }
+        });
+        const clearButton = menuContainer.querySelector('#clear-tournaments-button');
+        if (clearButton) {
+            clearButton.addEventListener('click', () => {
+                if (window.confirm("Are you sure you want to delete all finished tournaments? This cannot be undone.")) {
+                    this.menuManager.tournamentStore.clearHistory();
+                    this.build();
+                }
+            });
+        }
+        this.menuManager.footerManager.showBackButton(() => {
+            this.parentBuilder.buildMainMenu();
+        });
+        return menuContainer;
+    }
+}
\ No newline at end of file
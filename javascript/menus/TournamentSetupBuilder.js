@@ -3,13 +3,66 @@
 // ===========================================
 
 import MenuBuilderBase from './MenuBuilderBase.js';
+import eventManager from '../EventManager.js';
 import botRegistry from '../bots/index.js';
+import tournamentFormats from '../tournaments/index.js';
+import { config } from '../config.js';
+import { escapeHTML } from '../utils.js';
 
 export default class TournamentSetupBuilder extends MenuBuilderBase {
     constructor(parentBuilder, container, screenManager, configManager, menuManager) {
         super(container, screenManager, configManager, menuManager);
         this.parentBuilder = parentBuilder;
         this.selectedBots = new Set();
+        this.selectedFormat = tournamentFormats[0].value;
+        this.roundBestOf = Array(config.tournament.seriesRoundSettings).fill(1); // best-of per round, the last covers later rounds
+        this.finalBestOf = 1;
+        this.heatSize = config.tournament.defaultHeatSize;
+        this.advanceCount = config.tournament.defaultAdvanceCount;
+    }
+    createNumberSelect(label, options, value, onChange, formatOption = n => n) {
+        const item = document.createElement('label');
+        item.className = 'tournament-series-item';
+        item.innerHTML = `
+            <span>${label}</span>
+            <select>
+                ${options.map(n => `<option value="${n}" ${n === value ? 'selected' : ''}>${formatOption(n)}</option>`).join('')}
+            </select>
+        `;
+        item.querySelector('select').addEventListener('change', (e) => onChange(parseInt(e.target.value, 10)));
+        return item;
+    }
+    createBestOfSelect(label, value, onChange) {
+        return this.createNumberSelect(label, config.tournament.bestOfOptions, value, onChange, n => `Bo${n}`);
+    }
+    renderSeriesSettings(container) { // one select per round plus the final, for formats that have one
+        container.innerHTML = '';
+        const roundCount = this.roundBestOf.length;
+        this.roundBestOf.forEach((bestOf, i) => {
+            const label = i === roundCount - 1 ? `R${i + 1}+` : `R${i + 1}`;
+            container.appendChild(this.createBestOfSelect(label, bestOf, (n) => { this.roundBestOf[i] = n; }));
+        });
+        if (tournamentFormats.find(f => f.value === this.selectedFormat).hasFinal) {
+            container.appendChild(this.createBestOfSelect('Final', this.finalBestOf, (n) => { this.finalBestOf = n; }));
+        }
+    }
+    renderHeatSettings(container) { // heat size and how many go through, which has to leave someone behind
+        container.innerHTML = '';
+        const [minHeatSize, maxHeatSize] = config.tournament.heatSizeRange;
+        const range = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => from + i);
+        this.advanceCount = Math.min(this.advanceCount, this.heatSize - 1);
+        container.appendChild(this.createNumberSelect('Bots per heat', range(minHeatSize, maxHeatSize), this.heatSize, (n) => {
+            this.heatSize = n;
+            this.renderHeatSettings(container);
+        }));
+        container.appendChild(this.createNumberSelect('Go through', range(1, this.heatSize - 1), this.advanceCount, (n) => { this.advanceCount = n; }));
+    }
+    renderFormatSettings(seriesSection, heatSection) { // heats are single games, so they swap the best-of settings for their own
+        const hasHeats = tournamentFormats.find(f => f.value === this.selectedFormat).hasHeats;
+        seriesSection.style.display = hasHeats ? 'none' : '';
+        heatSection.style.display = hasHeats ? '' : 'none';
+        this.renderSeriesSettings(seriesSection.querySelector('.tournament-series-rounds'));
+        this.renderHeatSettings(heatSection.querySelector('.tournament-series-rounds'));
     }
     build() {
         this.menuManager.uiManager.setHeaderTitle('CREATE TOURNAMENT');
@@ -17,19 +70,48 @@ export default class TournamentSetupBuilder extends MenuBuilderBase {
         const menuContainer = this.createMenuContainer();
         menuContainer.innerHTML = `
             <div class="instructions-content">
-                <p style="text-align: center; margin-bottom: 1rem;">Select the bots to compete in a single-elimination tournament.</p>
+                <div class="tournament-format">
+                    <label for="tournament-format-select">FORMAT</label>
+                    <select id="tournament-format-select">
+                        ${tournamentFormats.map(f => `<option value="${f.value}" ${f.value === this.selectedFormat ? 'selected' : ''}>${f.name}</option>`).join('')}
+                    </select>
+                    <p id="tournament-format-description"></p>
+                </div>
+                <div id="tournament-series" class="tournament-series">
+                    <span title="Games per match. Pairs of games share a map with the starting positions swapped.">BEST OF</span>
+                    <div class="tournament-series-rounds"></div>
+                </div>
+                <div id="tournament-heats" class="tournament-series">
+                    <span title="Bots sharing one map, and how many of the top finishers reach the next round.">HEATS</span>
+                    <div class="tournament-series-rounds"></div>
+                </div>
+                <p style="text-align: center; margin-bottom: 1rem;">Select the bots to compete.</p>
                 <div id="tournament-bot-list" class="tournament-bot-list"></div>
                 <button id="start-tournament-button" class="menu-button start-game" disabled>START TOURNAMENT</button>
             </div>
         `;
         const botListContainer = menuContainer.querySelector('#tournament-bot-list');
         const startButton = menuContainer.querySelector('#start-tournament-button');
+        const formatSelect = menuContainer.querySelector('#tournament-format-select');
+        const formatDescription = menuContainer.querySelector('#tournament-format-description');
+        const describeFormat = () => {
+            formatDescription.textContent = tournamentFormats.find(f => f.value === this.selectedFormat).description;
+        };
+        const seriesSection = menuContainer.querySelector('#tournament-series');
+        const heatSection = menuContainer.querySelector('#tournament-heats');
+        describeFormat();
+        this.renderFormatSettings(seriesSection, heatSection);
+        formatSelect.addEventListener('change', () => {
+            this.selectedFormat = formatSelect.value;
+            describeFormat();
+            this.renderFormatSettings(seriesSection, heatSection);
+        });
         botRegistry.forEach(bot => {
             const botEntry = document.createElement('div');
             botEntry.className = 'tournament-bot-entry';
             botEntry.innerHTML = `
                 <input type="checkbox" id="bot-${bot.value}" data-value="${bot.value}">
-                <label for="bot-${bot.value}">${bot.name}</label>
+                <label for="bot-${bot.value}">${escapeHTML(bot.name)}</label>
             `;
             botListContainer.appendChild(botEntry);
         });
@@ -49,7 +131,22 @@ export default class TournamentSetupBuilder extends MenuBuilderBase {
             const participants = Array.from(this.selectedBots).map(value => {
                 return { type: 'bot', aiController: value };
             });
-            this.menuManager.startTournament(participants);
+            const { hasFinal, hasHeats } = tournamentFormats.find(f => f.value === this.selectedFormat);
+            const startTournament = () => this.menuManager.startTournament(participants, {
+                format: this.selectedFormat,
+                formatOptions: hasHeats ? { heatSize: this.heatSize, advanceCount: this.advanceCount } : {},
+                seriesPlan: hasHeats
+                    ? { rounds: [1], final: null }
+                    : { rounds: [...this.roundBestOf], final: hasFinal ? this.finalBestOf : null }
+            });
+            if (this.menuManager.tournamentStore.getActive()) { // only one tournament is saved for resuming
+                eventManager.emit('confirm-action', {
+                    message: 'Starting a new tournament discards the unfinished one. Continue?',
+                    onConfirm: startTournament
+                });
+            } else {
+                startTournament();
+            }
         });
         this.menuManager.footerManager.showBackButton(() => {
             this.parentBuilder.buildMainMenu();
@@ -0,0 +1,23 @@
+// ===========================================
+// root/javascript/teams.js — who is on whose side, read from the team each player was given at setup (none in free-for-all)
+// ===========================================
+
+export function getTeamOf(players, playerId) { // the player's team number, or null in free-for-all and for neutral
+    const player = players.find(p => p.id === playerId);
+    return player && player.team ? player.team : null;
+}
+
+export function areAllies(players, playerId, otherId) { // a player counts as their own ally, teammates are allies too
+    if (playerId === otherId) return true;
+    const team = getTeamOf(players, playerId);
+    return team !== null && team === getTeamOf(players, otherId);
+}
+
+export function getAllyIds(players, playerId) { // teammates, not including the player
+    return players.filter(p => p.id !== playerId && areAllies(players, playerId, p.id)).map(p => p.id);
+}
+
+export function getSideOf(players, playerId) { // what wins or loses together: the team, or the player alone in free-for-all
+    const team = getTeamOf(players, playerId);
+    return team !== null ? `team${team}` : playerId;
+}
\ No newline at end of file
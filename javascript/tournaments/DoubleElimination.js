@@ -0,0 +1,87 @@
+// ===========================================
+// root/javascript/tournaments/DoubleElimination.js — winners and losers brackets, out after the second loss, grand final with reset
+// ===========================================
+
+import TournamentFormat from './TournamentFormat.js';
+
+export default class DoubleElimination extends TournamentFormat {
+    constructor(participants, prng) {
+        super(participants, prng);
+        this.order = this.shuffle(participants.map((_, i) => i)); // bracket order, both brackets pair neighbours in it
+        this.losses = participants.map(() => 0);
+        this.eliminated = []; // in the order they went out
+        this.roundCounts = { W: 0, L: 0, F: 0 };
+        this.lastSection = null;
+        this.champion = null;
+        this.advance();
+    }
+    getAlive(lossCount) {
+        return this.order.filter(p => this.losses[p] === lossCount);
+    }
+    createRound(section, players) { // pairs neighbours, an odd player out gets a bye
+        const round = this.roundCounts[section]++;
+        for (let i = 0; i < players.length; i += 2) {
+            if (i + 1 < players.length) {
+                this.createMatch(section, round, [players[i], players[i + 1]]);
+            } else {
+                this.createBye(section, round, players[i]);
+            }
+        }
+        this.lastSection = section;
+    }
+    advance() { // called whenever a round is finished; alternates brackets until one player from each is left
+        const undefeated = this.getAlive(0);
+        const oneLoss = this.getAlive(1);
+        if (this.lastSection === 'F') {
+            const final = this.matches[this.matches.length - 1];
+            if (undefeated.length === 1 || this.roundCounts.F === 2) { // winners bracket champion held on, or the reset is over
+                this.champion = final.placing[0];
+                this.eliminated.push(final.placing[1]);
+            } else { // the losers bracket champion won, both have one loss now
+                this.createRound('F', final.placing);
+            }
+            return;
+        }
+        if (this.lastSection === 'W' && oneLoss.length >= 2) {
+            this.createRound('L', oneLoss);
+        } else if (undefeated.length >= 2) {
+            this.createRound('W', undefeated);
+        } else if (oneLoss.length >= 2) {
+            this.createRound('L', oneLoss);
+        } else {
+            this.createRound('F', [...undefeated, ...oneLoss]);
+        }
+    }
+    onMatchComplete(match) {
+        for (const loser of match.placing.slice(1)) {
+            this.losses[loser]++;
+            if (this.losses[loser] === 2 && match.section !== 'F') {
+                this.eliminated.push(loser);
+            }
+        }
+        const roundDone = this.getRoundMatches(match.section, match.round).every(m => m.placing);
+        if (roundDone) {
+            this.advance();
+        }
+    }
+    isFinalMatch(match) { // the grand final and its reset
+        return match.section === 'F';
+    }
+    getPlacings() {
+        const placings = this.champion !== null ? [this.champion] : [];
+        return placings.concat([...this.eliminated].reverse());
+    }
+    getView() {
+        const titles = { W: 'Winners Bracket', L: 'Losers Bracket', F: 'Grand Final' };
+        const sections = ['W', 'L', 'F']
+            .filter(section => this.roundCounts[section] > 0)
+            .map(section => ({
+                title: titles[section],
+                rounds: Array.from({ length: this.roundCounts[section] }, (_, round) => ({
+                    title: section === 'F' ? (round === 0 ? 'Final' : 'Reset') : `Round ${round + 1}`,
+                    matches: this.getRoundMatches(section, round)
+                }))
+            }));
+        return { type: 'bracket', sections, champion: this.champion };
+    }
+}
\ No newline at end of file
@@ -0,0 +1,75 @@
+// ===========================================
+// root/javascript/tournaments/FreeForAllHeats.js — rounds of free-for-all heats, the top finishers of each heat go through
+// ===========================================
+
+import TournamentFormat from './TournamentFormat.js';
+import { config } from '../config.js';
+
+export default class FreeForAllHeats extends TournamentFormat {
+    constructor(participants, prng, options = {}) {
+        super(participants, prng);
+        const [minHeatSize, maxHeatSize] = config.tournament.heatSizeRange;
+        this.heatSize = Math.max(minHeatSize, Math.min(maxHeatSize, options.heatSize || config.tournament.defaultHeatSize));
+        this.advanceCount = Math.max(1, Math.min(this.heatSize - 1, options.advanceCount || config.tournament.defaultAdvanceCount));
+        this.roundCount = 0;
+        this.champion = null;
+        this.createRound(this.shuffle(participants.map((_, i) => i)));
+    }
+    createRound(players) { // players in seeding order, dealt round the heats like cards so no heat is more than one bot bigger
+        const round = this.roundCount++;
+        if (players.length <= this.heatSize) { // everyone left fits in one heat, which decides the final order
+            const final = this.createMatch('H', round, players);
+            final.advance = 0;
+            return;
+        }
+        const heats = Array.from({ length: Math.ceil(players.length / this.heatSize) }, () => []);
+        players.forEach((player, i) => heats[i % heats.length].push(player));
+        for (const heat of heats) {
+            const match = this.createMatch('H', round, heat);
+            match.advance = Math.min(this.advanceCount, heat.length - 1); // every heat knocks someone out, so the field always shrinks
+        }
+    }
+    onMatchComplete(match) {
+        const heats = this.getRoundMatches('H', match.round);
+        if (!heats.every(heat => heat.placing)) return;
+        if (this.isFinalMatch(match)) {
+            this.champion = match.placing[0];
+            return;
+        }
+        const advancing = []; // heat winners first, then runners-up, so the next round spreads them across heats
+        for (let position = 0; position < this.advanceCount; position++) {
+            for (const heat of heats) {
+                if (position < heat.advance) advancing.push(heat.placing[position]);
+            }
+        }
+        this.createRound(advancing);
+    }
+    isFinalMatch(match) {
+        return match.advance === 0;
+    }
+    getPlacings() { // the final's order, then everyone else by the round they went out in and where they finished in their heat
+        const placings = [];
+        for (let round = this.roundCount - 1; round >= 0; round--) {
+            const heats = this.getRoundMatches('H', round).filter(heat => heat.placing);
+            const longest = Math.max(0, ...heats.map(heat => heat.placing.length));
+            for (let position = 0; position < longest; position++) {
+                for (const heat of heats) {
+                    if (position >= heat.advance && position < heat.placing.length) placings.push(heat.placing[position]);
+                }
+            }
+        }
+        return placings;
+    }
+    getRoundTitle(round) {
+        const heats = this.getRoundMatches('H', round);
+        if (heats.length === 1 && this.isFinalMatch(heats[0])) return 'Final';
+        return `Round ${round + 1}`;
+    }
+    getView() {
+        const rounds = [];
+        for (let round = 0; round < this.roundCount; round++) {
+            rounds.push({ title: this.getRoundTitle(round), matches: this.getRoundMatches('H', round) });
+        }
+        return { type: 'bracket', sections: [{ title: null, rounds }], champion: this.champion };
+    }
+}
\ No newline at end of file
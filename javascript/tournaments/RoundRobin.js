@@ -0,0 +1,52 @@
+// ===========================================
+// root/javascript/tournaments/RoundRobin.js — every bot plays every other bot once, ranked by points
+// ===========================================
+
+import TournamentFormat from './TournamentFormat.js';
+
+export default class RoundRobin extends TournamentFormat {
+    constructor(participants, prng) {
+        super(participants, prng);
+        const rotation = this.shuffle(participants.map((_, i) => i));
+        if (rotation.length % 2 === 1) {
+            rotation.push(null); // whoever meets null sits the round out
+        }
+        const roundCount = rotation.length - 1;
+        for (let round = 0; round < roundCount; round++) { // circle method: first entry stays put, the rest rotate
+            for (let i = 0; i < rotation.length / 2; i++) {
+                const home = rotation[i];
+                const away = rotation[rotation.length - 1 - i];
+                if (home !== null && away !== null) {
+                    this.createMatch('R', round, [home, away]);
+                }
+            }
+            rotation.splice(1, 0, rotation.pop());
+        }
+    }
+    getStandings() { // points, then Sonneborn-Berger (points of the bots you beat), then name
+        const scores = this.getScores();
+        return this.participants
+            .map((participant, index) => {
+                const score = scores[index];
+                const tiebreak = score.beaten.reduce((sum, beaten) => sum + scores[beaten].points, 0);
+                return { index, participant, points: score.points, wins: score.wins, losses: score.losses, tiebreak };
+            })
+            .sort((a, b) => b.points - a.points || b.tiebreak - a.tiebreak || a.participant.aiController.localeCompare(b.participant.aiController));
+    }
+    getPlacings() {
+        return this.getStandings().map(row => row.index);
+    }
+    getView() {
+        return {
+            type: 'table',
+            columns: [
+                { key: 'points', label: 'Pts', title: 'Points, one per win' },
+                { key: 'wins', label: 'W', title: 'Wins' },
+                { key: 'losses', label: 'L', title: 'Losses' },
+                { key: 'tiebreak', label: 'SB', title: 'Sonneborn-Berger: points of the bots you beat' }
+            ],
+            rows: this.getStandings(),
+            crosstable: this.getCrosstable()
+        };
+    }
+}
\ No newline at end of file
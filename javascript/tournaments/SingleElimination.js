@@ -0,0 +1,69 @@
+// ===========================================
+// root/javascript/tournaments/SingleElimination.js — random bracket, one loss and you're out
+// ===========================================
+
+import TournamentFormat from './TournamentFormat.js';
+
+export default class SingleElimination extends TournamentFormat {
+    constructor(participants, prng) {
+        super(participants, prng);
+        this.champion = null;
+        let size = participants.length;
+        let round = 0;
+        while (size > 1) { // lay out the whole bracket up front so later rounds show as TBD
+            const matchCount = Math.ceil(size / 2);
+            for (let i = 0; i < matchCount; i++) {
+                const isBye = i * 2 + 1 >= size; // odd one out at the bottom of the round
+                this.createMatch('W', round, isBye ? [null] : [null, null], isBye);
+            }
+            size = matchCount;
+            round++;
+        }
+        this.roundCount = round;
+        const order = this.shuffle(participants.map((_, i) => i));
+        order.forEach((participant, i) => this.placeParticipant(0, Math.floor(i / 2), i % 2, participant));
+    }
+    placeParticipant(round, matchIndex, slot, participant) {
+        const match = this.getRoundMatches('W', round)[matchIndex];
+        if (!match) { // advanced past the final
+            this.champion = participant;
+            return;
+        }
+        match.slots[slot] = participant;
+        if (match.isBye) {
+            match.placing = [participant];
+            this.onMatchComplete(match);
+        }
+    }
+    onMatchComplete(match) {
+        const matchIndex = this.getRoundMatches('W', match.round).indexOf(match);
+        this.placeParticipant(match.round + 1, Math.floor(matchIndex / 2), matchIndex % 2, match.placing[0]);
+    }
+    isFinalMatch(match) {
+        return match.round === this.roundCount - 1;
+    }
+    getPlacings() { // champion, then everyone else by the round they went out in
+        const placings = this.champion !== null ? [this.champion] : [];
+        for (let round = this.roundCount - 1; round >= 0; round--) {
+            for (const match of this.getRoundMatches('W', round)) {
+                if (match.placing && !match.isBye) {
+                    placings.push(...match.placing.slice(1));
+                }
+            }
+        }
+        return placings;
+    }
+    getRoundTitle(round) {
+        const fromEnd = this.roundCount - round;
+        if (fromEnd === 1) return 'Final';
+        if (fromEnd === 2) return 'Semifinals';
+        return `Round ${round + 1}`;
+    }
+    getView() {
+        const rounds = [];
+        for (let round = 0; round < this.roundCount; round++) {
+            rounds.push({ title: this.getRoundTitle(round), matches: this.getRoundMatches('W', round) });
+        }
+        return { type: 'bracket', sections: [{ title: null, rounds }], champion: this.champion };
+    }
+}
\ No newline at end of file
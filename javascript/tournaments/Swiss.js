@@ -0,0 +1,65 @@
+// ===========================================
+// root/javascript/tournaments/Swiss.js — a fixed number of rounds, each pairing bots on equal points that haven't met yet
+// ===========================================
+
+import TournamentFormat from './TournamentFormat.js';
+
+export default class Swiss extends TournamentFormat {
+    constructor(participants, prng) {
+        super(participants, prng);
+        this.order = this.shuffle(participants.map((_, i) => i)); // initial ranking, also the last tiebreak
+        this.roundCount = Math.min(participants.length - 1, Math.max(1, Math.ceil(Math.log2(participants.length))));
+        this.currentRound = 0;
+        this.createRound();
+    }
+    createRound() {
+        const round = this.currentRound;
+        const scores = this.getScores();
+        const unpaired = this.getStandings().map(row => row.index);
+        if (unpaired.length % 2 === 1) { // lowest ranked bot that hasn't had a bye yet sits out for a free point
+            const byeIndex = unpaired.map(p => scores[p].byes === 0).lastIndexOf(true);
+            const [byePlayer] = unpaired.splice(byeIndex === -1 ? unpaired.length - 1 : byeIndex, 1);
+            this.createBye('S', round, byePlayer);
+        }
+        while (unpaired.length > 0) { // top of the table plays the best-placed bot it hasn't met, or its neighbour if it has met them all
+            const player = unpaired.shift();
+            const fresh = unpaired.findIndex(other => !scores[player].opponents.includes(other));
+            const [opponent] = unpaired.splice(fresh === -1 ? 0 : fresh, 1);
+            this.createMatch('S', round, [player, opponent]);
+        }
+    }
+    onMatchComplete(match) {
+        const roundDone = this.getRoundMatches('S', match.round).every(m => m.placing);
+        if (roundDone && this.currentRound + 1 < this.roundCount) {
+            this.currentRound++;
+            this.createRound();
+        }
+    }
+    getStandings() { // points, then Buchholz (sum of opponents' points), then initial order
+        const scores = this.getScores();
+        return this.order
+            .map((index, seedOrder) => {
+                const score = scores[index];
+                const tiebreak = score.opponents.reduce((sum, opponent) => sum + scores[opponent].points, 0);
+                return { index, participant: this.participants[index], points: score.points, wins: score.wins, losses: score.losses, tiebreak, seedOrder };
+            })
+            .sort((a, b) => b.points - a.points || b.tiebreak - a.tiebreak || a.seedOrder - b.seedOrder);
+    }
+    getPlacings() {
+        return this.getStandings().map(row => row.index);
+    }
+    getView() {
+        return {
+            type: 'table',
+            title: `Round ${this.currentRound + 1} of ${this.roundCount}`,
+            columns: [
+                { key: 'points', label: 'Pts', title: 'Points, one per win or bye' },
+                { key: 'wins', label: 'W', title: 'Wins' },
+                { key: 'losses', label: 'L', title: 'Losses' },
+                { key: 'tiebreak', label: 'BH', title: "Buchholz: sum of your opponents' points" }
+            ],
+            rows: this.getStandings(),
+            crosstable: this.getCrosstable()
+        };
+    }
+}
\ No newline at end of file
@@ -0,0 +1,119 @@
+// ===========================================
+// root/javascript/tournaments/TournamentFormat.js — base class for tournament formats: owns the match list, subclasses decide pairings
+// ===========================================
+
+export default class TournamentFormat {
+    constructor(participants, prng) {
+        this.participants = participants; // [{ type, aiController }], matches refer to them by index
+        this.prng = prng;
+        this.matches = []; // { id, section, round, slots: [participantIndex | null], placing: [participantIndex] | null, isBye, series }
+    }
+    // --- MATCH LIST ---
+    createMatch(section, round, slots, isBye = false) {
+        const index = this.matches.filter(m => m.section === section && m.round === round).length;
+        const match = { id: `${section}${round}-${index}`, section, round, slots, placing: null, isBye };
+        this.matches.push(match);
+        return match;
+    }
+    createBye(section, round, participant) { // a bye is a match that is already won
+        const match = this.createMatch(section, round, [participant], true);
+        match.placing = [participant];
+        return match;
+    }
+    getMatch(matchId) {
+        return this.matches.find(m => m.id === matchId) || null;
+    }
+    getRoundMatches(section, round) {
+        return this.matches.filter(m => m.section === section && m.round === round);
+    }
+    getNextMatch() { // the first match with every slot filled that hasn't been played, null once the tournament is over
+        return this.matches.find(m => !m.placing && !m.isBye && m.slots.every(s => s !== null)) || null;
+    }
+    isComplete() {
+        return this.getNextMatch() === null;
+    }
+    recordResult(matchId, placing) { // placing: participant indices of the match, best first
+        const match = this.getMatch(matchId);
+        if (!match || match.placing) return;
+        match.placing = placing;
+        this.onMatchComplete(match);
+    }
+    static getSeriesScore(match) { // games won by each slot of a best-of-N match, null for single games
+        if (!match.series || match.series.bestOf <= 1) return null;
+        return match.slots.map(slot => match.series.games.filter(game => game.winner === slot).length);
+    }
+    isFinalMatch(match) { // formats with a final let the organizer give it its own series length
+        return false;
+    }
+    getMatchName(match) {
+        return match.slots.map(slot => slot === null ? 'TBD' : this.participants[slot].aiController).join(' vs ');
+    }
+    // --- PERSISTENCE ---
+    serialize() { // every field but the shared participants and PRNG is plain data, the tournament saves those itself
+        const { participants, prng, ...state } = this;
+        return JSON.parse(JSON.stringify(state));
+    }
+    static restore(participants, prng, state) { // called on the format class, skips the constructor so nothing is re-drawn
+        const format = Object.create(this.prototype);
+        return Object.assign(format, { participants, prng }, JSON.parse(JSON.stringify(state)));
+    }
+    // --- FOR SUBCLASSES ---
+    onMatchComplete(match) {} // advance players, create the next round, etc.
+    getPlacings() { // participant indices ordered best first, as far as the format can tell
+        throw new Error('getPlacings() must be implemented by the format.');
+    }
+    getView() { // { type: 'bracket', sections } or { type: 'table', columns, rows, crosstable }, rendered by TournamentScreen
+        throw new Error('getView() must be implemented by the format.');
+    }
+    // --- SHARED HELPERS ---
+    shuffle(items) { // Fisher-Yates driven by the tournament's own PRNG
+        const result = [...items];
+        for (let i = result.length - 1; i > 0; i--) {
+            const j = Math.floor(this.prng.next() * (i + 1));
+            [result[i], result[j]] = [result[j], result[i]];
+        }
+        return result;
+    }
+    getScores() { // per participant: points (a win or bye is 1), wins, losses, byes and who they played
+        const scores = this.participants.map(() => ({ points: 0, wins: 0, losses: 0, byes: 0, opponents: [], beaten: [] }));
+        for (const match of this.matches) {
+            if (!match.placing) continue;
+            if (match.isBye) {
+                scores[match.placing[0]].points++;
+                scores[match.placing[0]].byes++;
+                continue;
+            }
+            const [winner, ...others] = match.placing;
+            scores[winner].points++;
+            scores[winner].wins++;
+            for (const other of others) {
+                scores[other].losses++;
+                scores[winner].beaten.push(other);
+                scores[winner].opponents.push(other);
+                scores[other].opponents.push(winner);
+            }
+        }
+        return scores;
+    }
+    getCrosstable() { // cells[row][col]: row's results against col, '1' win / '0' loss, or the game score of a series
+        const size = this.participants.length;
+        const cells = Array.from({ length: size }, (_, row) => Array.from({ length: size }, (_, col) => row === col ? null : []));
+        for (const match of this.matches) {
+            if (!match.placing || match.isBye) continue;
+            const [winner, ...others] = match.placing;
+            const score = TournamentFormat.getSeriesScore(match);
+            for (const other of others) {
+                if (score) {
+                    const winnerGames = score[match.slots.indexOf(winner)];
+                    const otherGames = score[match.slots.indexOf(other)];
+                    cells[winner][other].push(`${winnerGames}-${otherGames}`);
+                    cells[other][winner].push(`${otherGames}-${winnerGames}`);
+                } else {
+                    cells[winner][other].push('1');
+                    cells[other][winner].push('0');
+                }
+            }
+        }
+        return cells.map(row => row.map(results => results === null ? null : results.join(' ')));
+    }
+}
\ No newline at end of file
@@ -0,0 +1,54 @@
+// ===========================================
+// root/javascript/tournaments/index.js
+// ===========================================
+
+import SingleElimination from './SingleElimination.js';
+import DoubleElimination from './DoubleElimination.js';
+import RoundRobin from './RoundRobin.js';
+import Swiss from './Swiss.js';
+import FreeForAllHeats from './FreeForAllHeats.js';
+
+const tournamentFormats = [
+    {
+        value: 'single-elimination',
+        name: 'Single Elimination',
+        class: SingleElimination,
+        hasFinal: true,
+        hasHeats: false,
+        description: 'Random bracket, one loss and a bot is out.'
+    },
+    {
+        value: 'double-elimination',
+        name: 'Double Elimination',
+        class: DoubleElimination,
+        hasFinal: true,
+        hasHeats: false,
+        description: 'A loss drops a bot to the losers bracket, a second loss knocks it out.'
+    },
+    {
+        value: 'round-robin',
+        name: 'Round Robin',
+        class: RoundRobin,
+        hasFinal: false,
+        hasHeats: false,
+        description: 'Every bot plays every other bot once. The most wins takes it.'
+    },
+    {
+        value: 'swiss',
+        name: 'Swiss',
+        class: Swiss,
+        hasFinal: false,
+        hasHeats: false,
+        description: 'A few rounds, each pairing bots with the same score that have not met yet.'
+    },
+    {
+        value: 'free-for-all',
+        name: 'Free-for-All Heats',
+        class: FreeForAllHeats,
+        hasFinal: false,
+        hasHeats: true,
+        description: 'Several bots share each map. The top finishers of every heat go through until one heat decides it all.'
+    }
+];
+
+export default tournamentFormats;
\ No newline at end of file
@@ -6,16 +6,53 @@ export default class BatchScreen {
     constructor(element) {
         this.element = element;
         this.progressText = this.element.querySelector('#batch-progress-text');
+        this.workerList = document.createElement('div');
+        this.workerList.id = 'batch-workers';
+        this.cancelButton = document.createElement('button');
+        this.cancelButton.className = 'menu-button -subtle';
+        this.cancelButton.id = 'batch-cancel-button';
+        this.cancelButton.textContent = 'CANCEL';
+        this.cancelButton.addEventListener('click', () => {
+            if (this.onCancel) {
+                this.cancelButton.disabled = true;
+                this.onCancel();
+            }
+        });
+        this.element.appendChild(this.workerList);
+        this.element.appendChild(this.cancelButton);
+        this.onCancel = null;
     }
-    show() {
+    show(payload = {}) {
+        this.onCancel = payload.onCancel || null; // only worker batches can be cancelled
+        this.cancelButton.style.display = this.onCancel ? 'block' : 'none';
+        this.cancelButton.disabled = false;
+        this.workerList.innerHTML = '';
+        this.progressText.textContent = 'Initializing...';
         this.element.style.display = 'flex';
     }
     hide() {
         this.element.style.display = 'none';
     }
     update(data) {
-        if (this.progressText && data.gameNumber && data.totalGames) {
+        if (data.workers) { // worker batch: overall count plus one row per worker
+            const failedNote = data.failed > 0 ? ` (${data.failed} failed)` : '';
+            this.progressText.textContent = `${data.completed} of ${data.totalGames} games complete${failedNote}`;
+            this.renderWorkers(data.workers);
+        } else if (this.progressText && data.gameNumber && data.totalGames) {
             this.progressText.textContent = `Game ${data.gameNumber} of ${data.totalGames}`;
         }
     }
+    renderWorkers(workers) {
+        this.workerList.innerHTML = workers.map(worker => {
+            const percent = Math.round(worker.progress * 100);
+            const label = worker.gameNumber !== null ? `Game ${worker.gameNumber} · ${percent}%` : 'Idle';
+            return `
+                <div class="batch-worker">
+                    <span class="batch-worker-name">Worker ${worker.id}</span>
+                    <div class="batch-worker-bar"><div class="batch-worker-fill" style="width: ${worker.gameNumber !== null ? percent : 0}%;"></div></div>
+                    <span class="batch-worker-status">${label} · ${worker.gamesCompleted} done</span>
+                </div>
+            `;
+        }).join('');
+    }
 }
\ No newline at end of file
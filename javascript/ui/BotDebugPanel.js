@@ -0,0 +1,97 @@
+// ===========================================
+// root/javascript/ui/BotDebugPanel.js — toggle for the bots' debug overlay, with each bot's status, phase and memory next to the map
+// ===========================================
+
+import botRegistry from '../bots/index.js';
+import { config } from '../config.js';
+import { escapeHTML } from '../utils.js';
+
+export default class BotDebugPanel {
+    constructor(game) {
+        this.game = game;
+        this.container = game.canvas.parentElement;
+        this.isOpen = false;
+        this.framesSinceRefresh = 0;
+        this.lastBodyHTML = {}; // playerId -> what its section shows now
+        this.bots = game.playersController.getAIPlayers().map(player => {
+            const entry = botRegistry.find(bot => bot.value === player.aiController);
+            return { id: player.id, name: entry ? entry.name : player.aiController };
+        });
+        this.shownLayers = new Set(this.bots.map(bot => bot.id)); // bots whose drawings are on the map while the panel is open
+        this.game.debugLayers = new Set(); // what the Renderer paints, empty while closed
+        document.querySelectorAll('#bot-debug-panel, #bot-debug-toggle').forEach(el => el.remove()); // a previous game may have left them behind
+        this.toggleButton = document.createElement('button');
+        this.toggleButton.id = 'bot-debug-toggle';
+        this.toggleButton.textContent = 'DEBUG';
+        this.toggleButton.title = 'Show what the bots are thinking';
+        this.toggleButton.addEventListener('click', () => this.toggle());
+        this.element = document.createElement('div');
+        this.element.id = 'bot-debug-panel';
+        this.element.style.display = 'none';
+        this.element.innerHTML = this.bots.map(bot => `
+            <div class="bot-debug-bot">
+                <label class="bot-debug-name" style="color: ${this.game.playersController.getPlayerColor(bot.id)}">
+                    <input type="checkbox" data-player-id="${bot.id}" checked> ${escapeHTML(bot.name)}
+                </label>
+                <div class="bot-debug-body" data-player-id="${bot.id}"></div>
+            </div>
+        `).join('');
+        this.element.addEventListener('change', (e) => this.handleLayerToggle(e));
+        this.container.appendChild(this.toggleButton);
+        this.container.appendChild(this.element);
+    }
+    toggle() {
+        this.isOpen = !this.isOpen;
+        this.element.style.display = this.isOpen ? 'flex' : 'none';
+        this.toggleButton.classList.toggle('-active', this.isOpen);
+        this.game.debugLayers = this.isOpen ? this.shownLayers : new Set();
+        if (this.isOpen) {
+            this.refresh();
+        }
+    }
+    handleLayerToggle(e) {
+        const playerId = e.target.dataset.playerId;
+        if (!playerId) return;
+        if (e.target.checked) {
+            this.shownLayers.add(playerId);
+        } else {
+            this.shownLayers.delete(playerId);
+        }
+    }
+    update() { // called every frame by the game loop, the DOM is only touched every few frames
+        if (!this.isOpen) return;
+        this.framesSinceRefresh++;
+        if (this.framesSinceRefresh >= config.botDebug.panelRefreshFrames) {
+            this.refresh();
+        }
+    }
+    refresh() {
+        this.framesSinceRefresh = 0;
+        for (const bot of this.bots) {
+            const body = this.element.querySelector(`.bot-debug-body[data-player-id="${bot.id}"]`);
+            const html = this.renderBody(this.game.playersController.getBotDebug(bot.id), this.game.playersController.supervisor.isForfeited(bot.id));
+            if (this.lastBodyHTML[bot.id] !== html) {
+                body.innerHTML = html;
+                this.lastBodyHTML[bot.id] = html;
+            }
+        }
+    }
+    renderBody(frame, forfeited) {
+        if (!frame) {
+            return `<div class="bot-debug-status">${forfeited ? 'forfeited' : 'nothing to show yet'}</div>`;
+        }
+        const memoryRows = frame.memory.map(([key, value]) =>
+            `<div class="bot-debug-memory"><span>${escapeHTML(key)}</span> ${escapeHTML(value)}</div>`).join('');
+        return `
+            ${forfeited ? '<div class="bot-debug-status">forfeited</div>' : ''}
+            ${frame.status ? `<div class="bot-debug-status">${escapeHTML(frame.status)}</div>` : ''}
+            ${frame.phase ? `<div class="bot-debug-memory"><span>phase</span> ${escapeHTML(frame.phase)}</div>` : ''}
+            ${memoryRows}
+        `;
+    }
+    dispose() {
+        this.game.debugLayers = new Set();
+        this.toggleButton.remove();
+        this.element.remove();
+    }
+}
\ No newline at end of file
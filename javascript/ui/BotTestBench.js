@@ -0,0 +1,117 @@
+// ===========================================
+// root/javascript/ui/BotTestBench.js — a small watched match for the bot editor, the draft bot against one opponent on its own canvas
+// ===========================================
+
+import GameSimulation from '../GameSimulation.js';
+import Renderer from '../RendererModule.js';
+
+export default class BotTestBench extends GameSimulation {
+    constructor(gameConfig, canvas, callbacks = {}) { // callbacks: onLog(playerId, line, level), onStatus(status), onGameOver(summary)
+        super({ ...gameConfig, isolateBots: true }); // the draft is untrusted code, it always gets a worker
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.onLog = callbacks.onLog || (() => {});
+        this.onStatus = callbacks.onStatus || (() => {});
+        this.onGameOver = callbacks.onGameOver || (() => {});
+        this.scale = 1;
+        this.offsetX = 0;
+        this.offsetY = 0;
+        this.selectedPlanets = []; // what the Renderer expects from a Game, nobody selects anything here
+        this.selectedFleet = null;
+        this.worldMousePos = { x: 0, y: 0 };
+        this.inputHandler = null;
+        this.troopTracker = null;
+        this.debugLayers = new Set(['player1']); // the draft's this.debug drawings are always on
+        this.renderer = new Renderer(this);
+        this.accumulator = 0;
+        this.renderAlpha = 0;
+        this.speedMultiplier = 1;
+        this.waitingOnBots = false;
+        this.disposed = false;
+        this.reportedFaults = {}; // playerId -> errors already shown in the console
+        this.resize();
+        this.frame();
+    }
+    frame() {
+        if (this.disposed) return;
+        this.accumulator += this.timerManager.consumeFrameTime() * this.speedMultiplier;
+        this.advance();
+        this.resize();
+        this.renderer.draw(this.renderAlpha);
+        this.reportFaults();
+        this.onStatus(this.getStatus());
+        if (!this.gameOver) {
+            requestAnimationFrame(() => this.frame());
+        }
+    }
+    advance() { // same fixed-step catch-up as the Game, stopping while a bot worker is thinking
+        const maxStepsPerFrame = 200;
+        let steps = 0;
+        this.waitingOnBots = false;
+        while (this.accumulator >= this.fixedTimeStep && steps < maxStepsPerFrame && !this.gameOver) {
+            if (!this.step()) {
+                this.waitingOnBots = true;
+                break;
+            }
+            this.accumulator -= this.fixedTimeStep;
+            steps++;
+        }
+        this.renderAlpha = this.accumulator / this.fixedTimeStep;
+    }
+    handleBotAnswer() {
+        if (!this.waitingOnBots || this.gameOver || this.disposed) return;
+        this.advance();
+    }
+    handleBotLog(playerId, line) {
+        this.onLog(playerId, line, 'log');
+    }
+    handleGameOver() {
+        super.handleGameOver();
+        if (this.disposed) return;
+        this.renderer.draw(0);
+        this.reportFaults();
+        this.onStatus(this.getStatus());
+        this.onGameOver(this.gameState.getSummary());
+    }
+    reportFaults() { // exceptions and forfeits go to the editor's console rather than the browser's
+        for (const record of Object.values(this.playersController.supervisor.records)) {
+            const reported = this.reportedFaults[record.playerId] || { errors: 0, slowDecisions: 0, forfeited: false };
+            if (record.errors > reported.errors) {
+                this.onLog(record.playerId, `threw: ${record.lastError}`, 'error');
+            }
+            if (record.slowDecisions > reported.slowDecisions) {
+                this.onLog(record.playerId, `ran over the decision budget (slowest ${Math.round(record.maxTimeMs)}ms)`, 'warn');
+            }
+            if (record.forfeited && !reported.forfeited) {
+                this.onLog(record.playerId, `forfeits: ${record.forfeitReason}`, 'error');
+            }
+            this.reportedFaults[record.playerId] = { errors: record.errors, slowDecisions: record.slowDecisions, forfeited: record.forfeited };
+        }
+    }
+    getStatus() {
+        return {
+            tick: this.gameState.elapsedTicks,
+            timeRemaining: this.timerManager.getTimeRemaining(),
+            players: this.playersController.getPlayerStats().filter(stats => stats.id !== 'neutral'),
+            gameOver: this.gameOver
+        };
+    }
+    setSpeed(multiplier) {
+        this.speedMultiplier = multiplier;
+    }
+    resize() { // fit the logical map into whatever space the canvas has been given
+        const width = this.canvas.clientWidth;
+        const height = this.canvas.clientHeight;
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+        this.scale = Math.min(width / this.config.game.logicalWidth, height / this.config.game.logicalHeight);
+        this.offsetX = (width - this.config.game.logicalWidth * this.scale) / 2;
+        this.offsetY = (height - this.config.game.logicalHeight * this.scale) / 2;
+    }
+    dispose() { // stops the loop and the bot workers, the bench can't be restarted
+        this.disposed = true;
+        this.playersController.shutdown();
+    }
+}
\ No newline at end of file
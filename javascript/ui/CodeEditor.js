@@ -0,0 +1,71 @@
+// ===========================================
+// root/javascript/ui/CodeEditor.js — plain textarea over a syntax-highlighted copy of its text, for editing bot modules
+// ===========================================
+
+import { escapeHTML } from '../utils.js';
+
+const KEYWORDS = [
+    'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'constructor', 'continue', 'default', 'do', 'else',
+    'export', 'extends', 'false', 'finally', 'for', 'from', 'function', 'if', 'import', 'in', 'instanceof', 'let', 'new',
+    'null', 'of', 'return', 'static', 'super', 'switch', 'this', 'throw', 'true', 'try', 'typeof', 'undefined', 'var', 'while'
+];
+const TOKEN_PATTERN = new RegExp([
+    '(\\/\\/[^\\n]*|\\/\\*[\\s\\S]*?(?:\\*\\/|$))', // comments, an unclosed block comment runs to the end
+    '(`(?:\\\\[\\s\\S]|[^`\\\\])*`?|\'(?:\\\\.|[^\'\\\\\\n])*\'?|"(?:\\\\.|[^"\\\\\\n])*"?)', // strings, unclosed ones end at the line
+    '\\b(\\d+(?:\\.\\d+)?)\\b',
+    `\\b(${KEYWORDS.join('|')})\\b`
+].join('|'), 'g');
+const TOKEN_CLASSES = ['tok-comment', 'tok-string', 'tok-number', 'tok-keyword'];
+
+function highlightJavaScript(source) {
+    let html = '';
+    let lastIndex = 0;
+    for (const match of source.matchAll(TOKEN_PATTERN)) {
+        const group = match.slice(1).findIndex(text => text !== undefined);
+        html += escapeHTML(source.slice(lastIndex, match.index));
+        html += `<span class="${TOKEN_CLASSES[group]}">${escapeHTML(match[0])}</span>`;
+        lastIndex = match.index + match[0].length;
+    }
+    return html + escapeHTML(source.slice(lastIndex));
+}
+
+export default class CodeEditor {
+    constructor(container, source, onSave) { // onSave(source) on Ctrl/Cmd+S
+        this.onSave = onSave;
+        container.innerHTML = `
+            <div class="code-editor">
+                <pre class="code-highlight" aria-hidden="true"><code></code></pre>
+                <textarea class="code-input" spellcheck="false" autocapitalize="off" autocomplete="off"></textarea>
+            </div>
+        `;
+        this.highlight = container.querySelector('.code-highlight');
+        this.code = container.querySelector('code');
+        this.input = container.querySelector('.code-input');
+        this.input.value = source;
+        this.refresh();
+        this.input.addEventListener('input', () => this.refresh());
+        this.input.addEventListener('scroll', () => this.syncScroll());
+        this.input.addEventListener('keydown', (e) => this.handleKeyDown(e));
+    }
+    getValue() {
+        return this.input.value;
+    }
+    refresh() {
+        this.code.innerHTML = highlightJavaScript(this.input.value) + '\n'; // the newline keeps a trailing empty line visible
+        this.syncScroll();
+    }
+    syncScroll() {
+        this.highlight.scrollTop = this.input.scrollTop;
+        this.highlight.scrollLeft = this.input.scrollLeft;
+    }
+    handleKeyDown(e) {
+        if ((e.ctrlKey || e.metaKey) && e.key === 's') {
+            e.preventDefault();
+            this.onSave(this.getValue());
+        } else if (e.key === 'Tab' && !e.shiftKey) { // indent instead of leaving the editor
+            e.preventDefault();
+            this.input.setRangeText('    ', this.input.selectionStart, this.input.selectionEnd, 'end');
+            this.refresh();
+        }
+    }
+}
\ No newline at end of file
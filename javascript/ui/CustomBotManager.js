@@ -0,0 +1,142 @@
+// ===========================================
+// root/javascript/ui/CustomBotManager.js — bots written in the Bot Workshop: checked with a trial match, kept in localStorage, registered at startup; their code only ever runs in workers
+// ===========================================
+
+import botRegistry from '../bots/index.js';
+import { config } from '../config.js';
+import { registerCustomBot, unregisterCustomBot } from '../bots/customBots.js';
+
+const CUSTOM_BOTS_STORAGE_KEY = 'cultureWarCustomBots';
+
+export default class CustomBotManager {
+    constructor() {
+        this.bots = this.loadBots(); // { value, name, description, creationDate, source, savedAt }
+        this.loadErrors = {}; // value -> why a saved bot couldn't be registered this session
+        this.bots.forEach(bot => registerCustomBot(bot));
+        this.ready = this.checkSavedBots();
+    }
+    async checkSavedBots() { // loads each saved module in a worker, one that no longer loads is taken back out of the registry
+        if (typeof Worker === 'undefined') return;
+        for (const bot of this.bots) {
+            const { failures } = await this.runInTrialWorker({ type: 'check', bots: [{ value: bot.value, source: bot.source }] }, {
+                timeout: { failures: [{ value: bot.value, error: `its module did not load within ${config.workshop.trialTimeoutMs / 1000}s` }] },
+                crash: (message) => ({ failures: [{ value: bot.value, error: message }] })
+            });
+            failures.forEach(({ value, error }) => {
+                unregisterCustomBot(value);
+                this.loadErrors[value] = error;
+                console.error(`Custom bot ${value} could not be loaded:`, error);
+            });
+        }
+    }
+    getBots() {
+        return this.bots;
+    }
+    getBot(value) {
+        return this.bots.find(bot => bot.value === value) || null;
+    }
+    getLoadError(value) {
+        return this.loadErrors[value] || null;
+    }
+    toValue(name) { // registry values end up in element ids and stat keys, so they keep to a safe set of characters
+        return name.trim().replace(/[^A-Za-z0-9._-]+/g, '-');
+    }
+    checkDetails({ name, source }, replacingValue) { // problems that don't need the code to run
+        const errors = [];
+        const trimmedName = name.trim();
+        if (!trimmedName) {
+            errors.push('Give the bot a name.');
+        } else if (trimmedName.length > config.workshop.maxNameLength) {
+            errors.push(`Names are at most ${config.workshop.maxNameLength} characters.`);
+        } else {
+            const value = this.toValue(trimmedName).toLowerCase();
+            const clash = botRegistry.find(bot => bot.value !== replacingValue &&
+                (bot.value.toLowerCase() === value || bot.name.toLowerCase() === trimmedName.toLowerCase()));
+            if (clash) {
+                errors.push(`The name is already taken by ${clash.name}.`);
+            }
+        }
+        if (!source.trim()) {
+            errors.push('Paste or load the bot module.');
+        } else if (source.length > config.workshop.maxSourceLength) {
+            errors.push(`The module is longer than ${config.workshop.maxSourceLength} characters.`);
+        }
+        return errors;
+    }
+    runTrial(source) { // loads and plays the bot in a worker, so a module that hangs can't freeze the page
+        if (typeof Worker === 'undefined') {
+            return Promise.resolve({ errors: [], warnings: ['Workers are not available here, the bot was saved without a trial match.'] });
+        }
+        return this.runInTrialWorker({ type: 'trial', source }, {
+            timeout: { errors: [`The trial match did not finish within ${config.workshop.trialTimeoutMs / 1000}s, the bot may be stuck in a loop.`], warnings: [] },
+            crash: (message) => ({ errors: [`The trial match crashed: ${message}`], warnings: [] })
+        });
+    }
+    runInTrialWorker(message, fallbacks) { // the answer of a fresh BotTrialWorker, or fallbacks.timeout / fallbacks.crash(message) if it hangs or dies
+        return new Promise(resolve => {
+            const worker = new Worker(new URL('../BotTrialWorker.js', import.meta.url), { type: 'module' });
+            const finish = (result) => {
+                clearTimeout(timeoutId);
+                worker.terminate();
+                resolve(result);
+            };
+            const timeoutId = setTimeout(() => finish(fallbacks.timeout), config.workshop.trialTimeoutMs);
+            worker.onmessage = (event) => finish(event.data);
+            worker.onerror = (event) => {
+                event.preventDefault();
+                finish(fallbacks.crash(event.message));
+            };
+            worker.postMessage(message);
+        });
+    }
+    async saveBot({ name, description, source }, replacingValue = null) { // resolves to { errors, warnings, bot }, bot is null if it was rejected
+        const errors = this.checkDetails({ name, source }, replacingValue);
+        if (errors.length > 0) {
+            return { errors, warnings: [], bot: null };
+        }
+        const trial = await this.runTrial(source);
+        if (trial.errors.length > 0) {
+            return { errors: trial.errors, warnings: trial.warnings, bot: null };
+        }
+        const now = new Date();
+        const bot = {
+            value: this.toValue(name),
+            name: name.trim(),
+            description: description.trim() || 'A bot from the Bot Workshop.',
+            creationDate: `${String(now.getMonth() + 1).padStart(2, '0')}/${now.getFullYear()}`,
+            source,
+            savedAt: now.getTime()
+        };
+        registerCustomBot(bot); // the trial worker has loaded it, the page only keeps the source
+        if (replacingValue && replacingValue !== bot.value) {
+            unregisterCustomBot(replacingValue);
+        }
+        this.bots = this.bots.filter(b => b.value !== bot.value && b.value !== replacingValue);
+        this.bots.unshift(bot);
+        delete this.loadErrors[bot.value];
+        this._persist();
+        return { errors: [], warnings: trial.warnings, bot };
+    }
+    deleteBot(value) {
+        unregisterCustomBot(value);
+        this.bots = this.bots.filter(bot => bot.value !== value);
+        delete this.loadErrors[value];
+        this._persist();
+    }
+    loadBots() {
+        try {
+            const stored = localStorage.getItem(CUSTOM_BOTS_STORAGE_KEY);
+            return stored ? JSON.parse(stored) : [];
+        } catch (e) {
+            console.error("Failed to load custom bots:", e);
+            return [];
+        }
+    }
+    _persist() {
+        try {
+            localStorage.setItem(CUSTOM_BOTS_STORAGE_KEY, JSON.stringify(this.bots));
+        } catch (error) {
+            console.error("Could not save custom bots to localStorage:", error);
+        }
+    }
+}
\ No newline at end of file
@@ -3,7 +3,10 @@
 // ===========================================
 
 import botRegistry from '../bots/index.js';
+import victoryConditions from '../victory/index.js';
+import combatModels from '../combat/index.js';
 import { config } from '../config.js';
+import { getStartSlots } from '../maps.js';
 
 export default class GameConfigManager {
     constructor() {
@@ -13,12 +16,15 @@ export default class GameConfigManager {
             batchSize: 1,
             initialGamePace: 1.0,
             isHeadless: false,
+            fogOfWar: false,
+            planetTypes: true, // games and replays without the field have only normal planets
+            fleetCollisions: false,
+            victoryCondition: victoryConditions[0].value,
+            combatModel: combatModels[0].value,
+            teamMode: 'ffa', // or a key of config.teams
+            map: null, // { id, name, planets } of a map from the map editor, null for a random one
             seed: Date.now()
         };
-        this.aiOptions = botRegistry.map(bot => ({
-            value: bot.value,
-            name: bot.name
-        }));
         this.playerColors = config.player.colors;
         this.setPlayerCount(config.menuDefaults.playerCount);
     }
@@ -43,9 +49,44 @@ export default class GameConfigManager {
     setHeadlessMode(isHeadless) {
         this.gameConfig.isHeadless = !!isHeadless; // Coerce to boolean
     }
+    setFogOfWar(enabled) {
+        this.gameConfig.fogOfWar = !!enabled;
+    }
+    setPlanetTypes(enabled) {
+        this.gameConfig.planetTypes = !!enabled;
+    }
+    setFleetCollisions(enabled) {
+        this.gameConfig.fleetCollisions = !!enabled;
+    }
+    setVictoryCondition(value) {
+        if (victoryConditions.some(condition => condition.value === value)) {
+            this.gameConfig.victoryCondition = value;
+        }
+    }
+    setCombatModel(value) {
+        if (combatModels.some(model => model.value === value)) {
+            this.gameConfig.combatModel = value;
+        }
+    }
+    setMap(map) { // a saved map also sets the player count to its start slots
+        this.gameConfig.map = map ? { id: map.id, name: map.name, planets: map.planets } : null;
+        if (map) {
+            this.setPlayerCount(getStartSlots(map));
+        }
+    }
+    setTeamMode(mode) { // a team mode also sets the player count it is played with
+        const teams = config.teams[mode];
+        this.gameConfig.teamMode = teams ? mode : 'ffa';
+        if (teams) {
+            this.setPlayerCount(teams.length);
+            this.gameConfig.players = this.gameConfig.players.map((player, i) => ({ ...player, team: teams[i] }));
+        } else {
+            this.setPlayerCount(this.gameConfig.players.length);
+        }
+    }
     setPlayerCount(count) {
         const newPlayers = [];
-        const availableBots = this.aiOptions.map(opt => opt.value);
+        const availableBots = this.getAIOptions().map(opt => opt.value);
         for (let i = 0; i < count; i++) {
             const playerId = `player${i + 1}`;
             if (this.gameConfig.players[i]) {
@@ -57,6 +98,11 @@ export default class GameConfigManager {
             }
         }
         this.gameConfig.players = newPlayers;
+        const teams = config.teams[this.gameConfig.teamMode];
+        if (!teams || teams.length !== count) { // another player count means free-for-all again
+            this.gameConfig.teamMode = 'ffa';
+            this.gameConfig.players = newPlayers.map(({ team, ...player }) => player);
+        }
     }
     updatePlayerConfig(index, settings) {
         if (this.gameConfig.players[index]) {
@@ -68,16 +114,21 @@ export default class GameConfigManager {
         this.gameConfig.planetDensity = parseFloat(density);
     }
     getConfig() { // ensure fresh seed for every new game config request
-        if (!this.gameConfig.isReplay) { // unless one is already set for replay
-            this.setSeed();
-        }
+        this.setSeed();
         return { ...this.gameConfig };
     }
-    loadConfigForReplay(replayConfig) { // load a specific config for replay
-        this.gameConfig = { ...replayConfig, isHeadless: false, isReplay: true };
+    getReplayConfig(replay) { // build a one-off config for playback without disturbing the setup menu's config
+        const replayConfig = { ...replay.config, batchSize: 1, isHeadless: false, isReplay: true };
+        if (Array.isArray(replay.log)) { // command-log replay: bots are never instantiated
+            replayConfig.replay = { log: replay.log, events: replay.events || [], ticks: replay.ticks };
+        }
+        return replayConfig;
     }
-    getAIOptions() {
-        return this.aiOptions;
+    getAIOptions() { // read from the registry each time, workshop bots come and go
+        return botRegistry.map(bot => ({
+            value: bot.value,
+            name: bot.name
+        }));
     }
     getPlayerColors() {
         return this.playerColors;
@@ -2,7 +2,7 @@
 // root/javascript/ui/GameOverScreen.js
 // ===========================================
 
-import { formatTime } from '../utils.js';
+import { formatTime, escapeHTML } from '../utils.js';
 
 export default class GameOverScreen {
     constructor(parentContainer, configManager, menuManager) {
@@ -15,36 +15,25 @@ export default class GameOverScreen {
         const { stats, gameInstance } = payload;
         this.remove(); // clear container's innerHTML
         const allPlayersData = gameInstance.playersController.players;
-        const playerStatsMap = new Map(
-            gameInstance.playersController.getPlayerStats()
-                .filter(p => p.id !== 'neutral')
-                .map(p => [p.id, p])
-        );
-        const playerCount = allPlayersData.length;
-        const eliminationTimes = gameInstance.gameState.eliminationTimes || {};
-        const gameTime = stats.time;
-        const leaderboardData = allPlayersData.map(playerData => {
-            const playerStat = playerStatsMap.get(playerData.id) || { planets: 0, troops: 0 };
-            const isWinner = playerData.id === stats.winner;
-            const survivalTime = eliminationTimes[playerData.id] || gameTime;
+        const victory = gameInstance.victory;
+        const showVictoryScore = victory.getScoreLabel() !== 'Planets'; // conquest ranks by planets, which have their own column
+        const leaderboardData = gameInstance.gameState.getRankings().map(ranking => { // the order endGame settled on, the same the stats record
+            const playerData = allPlayersData.find(p => p.id === ranking.playerId);
             return {
-                id: playerData.id,
+                ...ranking,
                 displayName: this.configManager.getPlayerDisplayName(playerData, gameInstance.config.players, false),
-                nickname: this.configManager.getPlayerDisplayName(playerData, gameInstance.config.players, true),
-                planets: playerStat.planets,
-                troops: Math.floor(playerStat.troops || 0),
-                survivalTime,
-                isWinner
+                team: playerData.team,
+                isWinner: stats.winners.includes(ranking.playerId) // the whole team in team games
             };
         });
-        leaderboardData.sort((a, b) => {
-            if (a.planets !== b.planets) return b.planets - a.planets;
-            if (a.troops !== b.troops) return b.troops - a.troops;
-            return b.survivalTime - a.survivalTime;
-        });
-        let headerText;
-        const winnerName = leaderboardData.length > 0 ? leaderboardData[0].displayName : 'Nobody';
-        headerText = `<h2>Successful Subjugation:<br>${winnerName}</h2>`;
+        let winnerName = leaderboardData.length > 0 ? leaderboardData[0].displayName : 'Nobody';
+        if (stats.winningTeam) {
+            winnerName = `Team ${stats.winningTeam}`;
+        }
+        const headerText = `
+            <h2>Successful Subjugation:<br>${escapeHTML(winnerName)}</h2>
+            ${stats.victoryText ? `<p class="victory-text">${escapeHTML(stats.victoryText)}</p>` : ''}
+        `;
         let leaderboardHTML = `
             <div class="leaderboard">
                 <table>
@@ -54,25 +43,22 @@ export default class GameOverScreen {
                             <th class="col-fighter">Fighter</th>
                             <th class="col-planets">Planets</th>
                             <th class="col-troops">Troops</th>
+                            ${showVictoryScore ? `<th class="col-victory">${escapeHTML(victory.getScoreLabel())}</th>` : ''}
                             <th class="col-score">Score</th>
                         </tr>
                     </thead>
                     <tbody>
         `;
-        const finalLeaderboardData = leaderboardData.map((player, index) => {
-            const rank = index + 1;
-            const cultureScore = ((playerCount + 1) / 2) - rank;
-            return { ...player, rank, cultureScore };
-        });
-        finalLeaderboardData.forEach(player => {
+        leaderboardData.forEach(player => {
             const scoreText = player.cultureScore > 0 ? `+${player.cultureScore.toFixed(1)}` : player.cultureScore.toFixed(1);
             const rowClass = player.isWinner ? 'winner' : '';
             leaderboardHTML += `
                 <tr class="${rowClass}">
                     <td class="col-rank">${player.rank}</td>
-                    <td class="col-fighter">${player.displayName}</td>
+                    <td class="col-fighter">${escapeHTML(player.displayName)}${player.team ? ` <span class="team-tag">T${player.team}</span>` : ''}</td>
                     <td class="col-planets">${player.planets}</td>
                     <td class="col-troops">${player.troops}</td>
+                    ${showVictoryScore ? `<td class="col-victory">${Math.floor(player.victoryScore)}</td>` : ''}
                     <td class="col-score">${scoreText}</td>
                 </tr>
             `;
@@ -106,7 +92,8 @@ export default class GameOverScreen {
                 </div>
             </div>
         `;
-        const gameIsReplayable = !gameInstance.config.players.some(p => p.type === 'human');
+        const botIssuesHTML = this.buildBotIssues(stats.botIssues || [], gameInstance);
+        const gameIsReplayable = !gameInstance.isPlayback; // every live game has a command log, human or not
         const buttonsHTML = `
             <div class="game-over-buttons">
                 <button class="menu-button -solid -yellow" id="play-again-button">PLAY AGAIN</button>
@@ -118,6 +105,7 @@ export default class GameOverScreen {
             ${headerText}
             ${leaderboardHTML}
             ${overallStats}
+            ${botIssuesHTML}
             ${buttonsHTML}
         `;
         document.getElementById('play-again-button').addEventListener('click', () => {
@@ -128,13 +116,38 @@ export default class GameOverScreen {
         });
         if (gameIsReplayable) {
             document.getElementById('save-replay-button').addEventListener('click', (e) => {
-                const replayName = `Game: ${gameInstance.config.players.map(p => p.aiController).join(' vs ')}`;
-                this.menuManager.replayManager.saveReplay(gameInstance.config, replayName);
+                const replayName = `Game: ${gameInstance.config.players.map(p => p.type === 'human' ? 'Human' : p.aiController).join(' vs ')}`;
+                this.menuManager.replayManager.saveReplay(gameInstance.getReplayData(), replayName);
                 e.target.textContent = 'SAVED!';
                 e.target.disabled = true;
             });
         }
     }
+    buildBotIssues(botIssues, gameInstance) { // bots the supervisor caught throwing, running slow or forfeiting
+        if (botIssues.length === 0) return '';
+        const ticksPerSecond = gameInstance.timerManager.ticksPerSecond;
+        const items = botIssues.map(issue => {
+            const problems = [];
+            if (issue.errors > 0) problems.push(`${issue.errors} exception${issue.errors === 1 ? '' : 's'}`);
+            if (issue.slowDecisions > 0) problems.push(`${issue.slowDecisions} slow decision${issue.slowDecisions === 1 ? '' : 's'}`);
+            problems.push(`max ${issue.maxTimeMs.toFixed(1)}ms`);
+            const forfeit = issue.forfeited ? `<div class="bot-issue-forfeit">Forfeited at ${formatTime(issue.forfeitTick / ticksPerSecond)}: ${escapeHTML(issue.forfeitReason)}</div>` : '';
+            const lastError = issue.lastError && !issue.forfeited ? `<div class="bot-issue-error">${escapeHTML(issue.lastError)}</div>` : '';
+            return `
+                <li class="bot-issue">
+                    <strong>${escapeHTML(issue.bot)}</strong> (${issue.playerId}): ${problems.join(', ')}
+                    ${forfeit}
+                    ${lastError}
+                </li>
+            `;
+        }).join('');
+        return `
+            <div class="overall-stats bot-issues">
+                <h3>BOT FAULTS</h3>
+                <ul>${items}</ul>
+            </div>
+        `;
+    }
     remove() {
         if (this.container) {
             this.container.innerHTML = ''; // clear content of dedicated screen container
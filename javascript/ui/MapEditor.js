@@ -0,0 +1,137 @@
+// ===========================================
+// root/javascript/ui/MapEditor.js — the map editor's canvas: click open space to add a planet, click a planet to select it, drag to move it
+// ===========================================
+
+import Planet from '../Planet.js';
+import { config } from '../config.js';
+
+export default class MapEditor {
+    constructor(canvas, planets, playerColors, onChange) { // onChange(selectionChanged, edited) after every edit and selection, planets are { x, y, size, troops, owner, type }
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.planets = planets.map(planet => ({ ...planet }));
+        this.selectedIndex = -1;
+        this.onChange = onChange;
+        this.drag = null; // { index, dx, dy } while a planet is being moved
+        this.drawGame = { playersController: { getPlayerColor: (playerId) => playerColors[playerId] }, troopMovements: [] }; // what a Planet needs from a Game to draw itself
+        this.scale = 1;
+        this.offsetX = 0;
+        this.offsetY = 0;
+        this.handleResize = () => this.draw();
+        canvas.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+        canvas.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+        canvas.addEventListener('pointerup', () => { this.drag = null; });
+        canvas.addEventListener('pointercancel', () => { this.drag = null; });
+        window.addEventListener('resize', this.handleResize);
+        this.draw();
+    }
+    dispose() {
+        window.removeEventListener('resize', this.handleResize);
+    }
+    getPlanets() {
+        return this.planets.map(planet => ({ ...planet }));
+    }
+    getSelected() {
+        return this.planets[this.selectedIndex] || null;
+    }
+    updateSelected(changes) { // changes to the selected planet's owner, size, troops or type
+        const planet = this.getSelected();
+        if (!planet) return;
+        Object.assign(planet, changes);
+        this.keepOnMap(planet); // a bigger planet may now stick out over the edge
+        this.changed(false);
+    }
+    deleteSelected() {
+        if (this.selectedIndex < 0) return;
+        this.planets.splice(this.selectedIndex, 1);
+        this.selectedIndex = -1;
+        this.changed(true);
+    }
+    clear() {
+        this.planets = [];
+        this.selectedIndex = -1;
+        this.changed(true);
+    }
+    changed(selectionChanged, edited = true) {
+        this.draw();
+        this.onChange(selectionChanged, edited);
+    }
+    toWorld(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return { x: (e.clientX - rect.left - this.offsetX) / this.scale, y: (e.clientY - rect.top - this.offsetY) / this.scale };
+    }
+    findPlanetAt(x, y) { // the topmost, planets drawn later cover earlier ones
+        for (let i = this.planets.length - 1; i >= 0; i--) {
+            const planet = this.planets[i];
+            if (Math.hypot(planet.x - x, planet.y - y) < planet.size) return i;
+        }
+        return -1;
+    }
+    keepOnMap(planet) {
+        const { logicalWidth, logicalHeight } = config.game;
+        const reach = planet.size + config.mapEditor.edgeMargin;
+        planet.x = Math.round(Math.min(Math.max(planet.x, reach), logicalWidth - reach));
+        planet.y = Math.round(Math.min(Math.max(planet.y, reach), logicalHeight - reach));
+    }
+    handlePointerDown(e) {
+        const position = this.toWorld(e);
+        const index = this.findPlanetAt(position.x, position.y);
+        if (index >= 0) {
+            const planet = this.planets[index];
+            this.drag = { index, dx: planet.x - position.x, dy: planet.y - position.y };
+            this.canvas.setPointerCapture(e.pointerId); // keep dragging when the pointer leaves the canvas
+            const selectionChanged = index !== this.selectedIndex;
+            this.selectedIndex = index;
+            this.changed(selectionChanged, false);
+            return;
+        }
+        const { logicalWidth, logicalHeight } = config.game;
+        const outsideMap = position.x < 0 || position.y < 0 || position.x > logicalWidth || position.y > logicalHeight;
+        if (outsideMap || this.planets.length >= config.mapEditor.maxPlanets) { // clicking past the map or on a full one just deselects
+            this.selectedIndex = -1;
+            this.changed(true, false);
+            return;
+        }
+        const { size, troops } = config.mapEditor.newPlanet;
+        const planet = { x: position.x, y: position.y, size, troops, owner: 'neutral', type: 'normal' };
+        this.keepOnMap(planet);
+        this.planets.push(planet);
+        this.selectedIndex = this.planets.length - 1;
+        this.drag = { index: this.selectedIndex, dx: planet.x - position.x, dy: planet.y - position.y }; // a new planet can be dragged into place right away
+        this.canvas.setPointerCapture(e.pointerId);
+        this.changed(true);
+    }
+    handlePointerMove(e) {
+        if (!this.drag) return;
+        const position = this.toWorld(e);
+        const planet = this.planets[this.drag.index];
+        planet.x = position.x + this.drag.dx;
+        planet.y = position.y + this.drag.dy;
+        this.keepOnMap(planet);
+        this.changed(false);
+    }
+    draw() {
+        const { logicalWidth, logicalHeight } = config.game;
+        const width = this.canvas.clientWidth;
+        const height = this.canvas.clientHeight;
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+        this.scale = Math.min(width / logicalWidth, height / logicalHeight);
+        this.offsetX = (width - logicalWidth * this.scale) / 2;
+        this.offsetY = (height - logicalHeight * this.scale) / 2;
+        const ctx = this.ctx;
+        ctx.clearRect(0, 0, width, height);
+        ctx.save();
+        ctx.translate(this.offsetX, this.offsetY);
+        ctx.scale(this.scale, this.scale);
+        this.planets.forEach((data, i) => {
+            const planet = new Planet(data.x, data.y, data.size, data.troops, data.owner, this.drawGame);
+            planet.setType(data.type);
+            planet.selected = i === this.selectedIndex;
+            planet.draw(ctx);
+        });
+        ctx.restore();
+    }
+}
\ No newline at end of file
@@ -0,0 +1,133 @@
+// ===========================================
+// root/javascript/ui/MapManager.js — maps drawn in the map editor: kept in localStorage, exported and imported as JSON files
+// ===========================================
+
+import { config } from '../config.js';
+import { describeMapProblem } from '../maps.js';
+
+const MAPS_STORAGE_KEY = 'cultureWarMaps';
+const MAP_FILE_FORMAT = 'culture-war-maps';
+const MAP_FILE_VERSION = 1;
+
+function copyPlanets(planets) { // only the fields a map keeps, whatever else the editor or a file had on them
+    return planets.map(({ x, y, size, troops, owner, type }) => ({ x, y, size, troops, owner, type }));
+}
+
+export default class MapManager {
+    constructor() {
+        this.maps = this.loadMaps(); // { id, name, savedAt, planets }
+    }
+    getMaps() { // most recently saved first
+        return this.maps.sort((a, b) => b.savedAt - a.savedAt);
+    }
+    getMap(id) {
+        return this.maps.find(map => map.id === id) || null;
+    }
+    checkMap({ name, planets }, replacingId = null) { // problems that keep the map from being saved, [] if none
+        const problem = describeMapProblem({ name, planets });
+        if (problem) return [problem.charAt(0).toUpperCase() + problem.slice(1)];
+        const trimmedName = name.trim().toLowerCase();
+        const clash = this.maps.find(map => map.id !== replacingId && map.name.toLowerCase() === trimmedName);
+        if (clash) return ['Another saved map already has this name.'];
+        if (!replacingId && this.maps.length >= config.mapEditor.maxMaps) return [`Map storage is full (max ${config.mapEditor.maxMaps}), delete a map first.`];
+        return [];
+    }
+    saveMap({ name, planets }, replacingId = null) { // returns { errors, map }, map is null if it was rejected
+        const errors = this.checkMap({ name, planets }, replacingId);
+        if (errors.length > 0) {
+            return { errors, map: null };
+        }
+        const map = {
+            id: replacingId || this._createId(),
+            name: name.trim(),
+            savedAt: Date.now(),
+            planets: copyPlanets(planets)
+        };
+        this.maps = this.maps.filter(m => m.id !== map.id);
+        this.maps.unshift(map);
+        this._persist();
+        return { errors: [], map };
+    }
+    deleteMap(id) {
+        this.maps = this.maps.filter(map => map.id !== id);
+        this._persist();
+    }
+    createExportFile(ids = null) { // wraps one, several or (null) all maps in a versioned file
+        const maps = ids ? this.maps.filter(map => ids.includes(map.id)) : this.maps;
+        return {
+            format: MAP_FILE_FORMAT,
+            version: MAP_FILE_VERSION,
+            exportedAt: Date.now(),
+            maps
+        };
+    }
+    importFile(fileData) { // merges a parsed export file, returns a report instead of throwing on bad entries
+        const report = { imported: 0, duplicates: 0, rejected: [], warnings: [] };
+        if (!fileData || fileData.format !== MAP_FILE_FORMAT || !Array.isArray(fileData.maps)) {
+            report.rejected.push('Not a Culture War map file.');
+            return report;
+        }
+        if (typeof fileData.version !== 'number' || fileData.version > MAP_FILE_VERSION) {
+            report.rejected.push(`Map file version ${fileData.version} is newer than this game supports (${MAP_FILE_VERSION}).`);
+            return report;
+        }
+        for (const map of fileData.maps) {
+            const label = map && typeof map.name === 'string' && map.name ? `"${map.name}"` : 'Unnamed map';
+            const problem = describeMapProblem(map);
+            if (problem) {
+                report.rejected.push(`${label}: ${problem}`);
+                continue;
+            }
+            const fingerprint = this._fingerprint(map);
+            if (this.maps.some(m => this._fingerprint(m) === fingerprint)) {
+                report.duplicates++;
+                continue;
+            }
+            if (this.maps.some(m => m.name.toLowerCase() === map.name.trim().toLowerCase())) {
+                report.rejected.push(`${label}: a different map with this name is already saved.`);
+                continue;
+            }
+            if (this.maps.length >= config.mapEditor.maxMaps) {
+                report.rejected.push(`${label}: map storage is full (max ${config.mapEditor.maxMaps}).`);
+                continue;
+            }
+            this.maps.push({
+                id: this._createId(), // ids are only unique within one browser, a shared file may reuse them
+                name: map.name.trim(),
+                savedAt: typeof map.savedAt === 'number' ? map.savedAt : Date.now(),
+                planets: copyPlanets(map.planets)
+            });
+            report.imported++;
+        }
+        if (report.imported > 0) {
+            this._persist();
+        }
+        return report;
+    }
+    _createId() {
+        let id = `map-${Date.now().toString(36)}`;
+        for (let n = 2; this.getMap(id); n++) {
+            id = `map-${Date.now().toString(36)}-${n}`;
+        }
+        return id;
+    }
+    _fingerprint(map) { // the same map under the same name, wherever and whenever it was saved
+        return `${map.name.trim().toLowerCase()}|${JSON.stringify(copyPlanets(map.planets))}`;
+    }
+    loadMaps() {
+        try {
+            const stored = localStorage.getItem(MAPS_STORAGE_KEY);
+            return stored ? JSON.parse(stored) : [];
+        } catch (e) {
+            console.error("Failed to load maps:", e);
+            return [];
+        }
+    }
+    _persist() {
+        try {
+            localStorage.setItem(MAPS_STORAGE_KEY, JSON.stringify(this.maps));
+        } catch (error) {
+            console.error("Could not save maps to localStorage:", error);
+        }
+    }
+}
\ No newline at end of file
@@ -9,7 +9,11 @@ import Game from '../game.js';
 import StatsTracker from './StatsTracker.js';
 import eventManager from '../EventManager.js';
 import TournamentManager from '../TournamentManager.js';
+import BatchWorkerPool from '../BatchWorkerPool.js';
 import ReplayManager from './ReplayManager.js';
+import TournamentStore from './TournamentStore.js';
+import CustomBotManager from './CustomBotManager.js';
+import MapManager from './MapManager.js';
 import UIManager from './UIManager.js';
 
 export default class MenuManager {
@@ -20,6 +24,9 @@ export default class MenuManager {
         this.footerManager = new FooterManager();
         this.statsTracker = new StatsTracker();
         this.replayManager = new ReplayManager();
+        this.tournamentStore = new TournamentStore();
+        this.customBotManager = new CustomBotManager(); // registers saved workshop bots alongside the built-in ones
+        this.mapManager = new MapManager();
         this.tournament = null;
         this.game = null;
         this.menuBuilder = new MenuBuilder(
@@ -32,6 +39,7 @@ export default class MenuManager {
         this.gamesRemaining = 0;
         this.totalGamesInBatch = 0;
         this.currentBatchConfig = null;
+        this.batchPool = null;
         // --- Event Listeners ---
         eventManager.on('confirm-action', this.handleConfirmAction.bind(this));
         eventManager.on('screen-changed', this.handleScreenChange.bind(this));
@@ -99,7 +107,9 @@ export default class MenuManager {
         this.gamesRemaining = this.currentBatchConfig.batchSize;
         this.totalGamesInBatch = this.currentBatchConfig.batchSize;
         this.isBatchRunning = this.gamesRemaining > 1 || this.currentBatchConfig.isHeadless;
-        if (this.isBatchRunning) {
+        if (this.currentBatchConfig.isHeadless && BatchWorkerPool.isSupported()) {
+            this.startWorkerBatch();
+        } else if (this.isBatchRunning) {
             if (this.currentBatchConfig.isHeadless) {
                 this.uiManager.showView('batch');
             }
@@ -110,7 +120,7 @@ export default class MenuManager {
     }
     _startSingleGame(config) {
         eventManager.emit('screen-changed', 'game');
-        const hasHumanPlayer = config.players.some(p => p.type === 'human');
+        const hasHumanPlayer = !config.isReplay && config.players.some(p => p.type === 'human'); // replays are always spectated
         const initialSliderMode = hasHumanPlayer ? 'singleplayer' : 'botbattle';
         this.footerManager.showSlider(initialSliderMode);
         this.game = new Game(
@@ -124,17 +134,31 @@ export default class MenuManager {
         );
         this.game.timerManager.shouldPauseOnHidden = hasHumanPlayer;
     }
-    startReplay(replayConfig) {
-        this.configManager.loadConfigForReplay(replayConfig);
-        const config = this.configManager.getConfig();
+    startReplay(replay) { // replay is a saved entry from ReplayManager or the result of Game.getReplayData()
+        const config = this.configManager.getReplayConfig(replay);
         this._startSingleGame(config);
     }
-    startTournament(participants) {
+    startTournament(participants, options) { // options: { format, formatOptions, seriesPlan }
         const tournamentScreen = this.uiManager.views.tournament;
-        this.tournament = new TournamentManager(participants, this, tournamentScreen);
+        this.tournament = new TournamentManager(participants, this, tournamentScreen, options);
         // Hiding all other screens is handled by tournamentScreen.show()
         this.tournament.start();
     }
+    resumeTournament() { // picks the saved tournament back up at its next match
+        const state = this.tournamentStore.getActive();
+        if (!state) return;
+        this.tournament = TournamentManager.restore(state, this, this.uiManager.views.tournament);
+        this.tournament.start();
+    }
+    showPastTournament(id) {
+        const state = this.tournamentStore.getHistoryEntry(id);
+        if (!state) return;
+        const pastTournament = TournamentManager.restore(state, this, this.uiManager.views.tournament);
+        pastTournament.showResults(() => {
+            this.menuBuilder.buildTournamentHistory();
+            eventManager.emit('screen-changed', 'menu');
+        });
+    }
     // For simulated tournament games (run in background)
     startTournamentGame(config) { 
         this.game = new Game(
@@ -151,6 +175,29 @@ export default class MenuManager {
     startTournamentWatchGame(config) {
         this._startSingleGame(config);
     }
+    startWorkerBatch() { // headless batches run in parallel off the main thread, the game loop is never involved
+        this.uiManager.showView('batch', { payload: { onCancel: () => this.cancelBatch() } });
+        this.batchPool = new BatchWorkerPool(this.currentBatchConfig, this.totalGamesInBatch, {
+            onStats: (data) => this.statsTracker.report(data),
+            onProgress: (progress) => this.uiManager.updateView('batch', progress),
+            onComplete: (result) => {
+                this.batchPool = null;
+                this.isBatchRunning = false;
+                this.gamesRemaining = 0;
+                if (result.failed > 0) {
+                    console.warn(`${result.failed} of ${result.totalGames} batch games failed.`);
+                }
+                this.menuBuilder.buildStandingsScreen();
+                eventManager.emit('screen-changed', 'menu');
+            }
+        });
+        this.batchPool.start();
+    }
+    cancelBatch() {
+        if (this.batchPool) {
+            this.batchPool.cancel(); // onComplete takes care of leaving the batch screen
+        }
+    }
     startNextBatchGame() {
         if (!this.isBatchRunning || this.gamesRemaining <= 0) {
             this.isBatchRunning = false;
@@ -166,7 +213,7 @@ export default class MenuManager {
         }
         this.footerManager.showSlider('botbattle');
         this.game = new Game(
-            this.currentBatchConfig,
+            { ...this.currentBatchConfig, seed: this.currentBatchConfig.seed + gameNumber - 1 }, // same seeding as the worker batch
             this.footerManager,
             this.configManager,
             this,
@@ -0,0 +1,94 @@
+// ===========================================
+// root/javascript/ui/PlaybackBar.js
+// ===========================================
+
+import { formatTime } from '../utils.js';
+
+export default class PlaybackBar {
+    constructor(game, replayController) {
+        this.game = game;
+        this.replayController = replayController;
+        this.container = game.canvas.parentElement;
+        this.isScrubbing = false;
+        document.querySelectorAll('#playback-bar').forEach(bar => bar.remove()); // a finished replay may have left one behind
+        this.element = document.createElement('div');
+        this.element.id = 'playback-bar';
+        this.element.innerHTML = `
+            <div class="playback-buttons">
+                <button class="playback-button" data-action="previous-event" title="Previous event">|&lt;</button>
+                <button class="playback-button" data-action="toggle" title="Pause / play"></button>
+                <button class="playback-button" data-action="step" title="Step one tick (paused)">+1</button>
+                <button class="playback-button" data-action="next-event" title="Next event">&gt;|</button>
+                <span class="playback-time"></span>
+            </div>
+            <div class="playback-timeline">
+                <div class="playback-markers"></div>
+                <input type="range" class="playback-scrubber" min="0" max="${replayController.totalTicks - 1}" step="1" value="0">
+            </div>
+        `;
+        this.toggleButton = this.element.querySelector('[data-action="toggle"]');
+        this.stepButton = this.element.querySelector('[data-action="step"]');
+        this.timeLabel = this.element.querySelector('.playback-time');
+        this.scrubber = this.element.querySelector('.playback-scrubber');
+        this.renderMarkers();
+        this.element.addEventListener('click', (e) => this.handleButtonClick(e));
+        this.scrubber.addEventListener('input', () => {
+            this.isScrubbing = true;
+            this.replayController.seek(parseInt(this.scrubber.value, 10));
+        });
+        this.scrubber.addEventListener('change', () => {
+            this.isScrubbing = false;
+        });
+        this.container.appendChild(this.element);
+        this.update();
+    }
+    renderMarkers() {
+        const markersContainer = this.element.querySelector('.playback-markers');
+        const totalTicks = this.replayController.totalTicks;
+        for (const marker of this.replayController.markers) {
+            const markerEl = document.createElement('div');
+            markerEl.className = `playback-marker -${marker.type}`;
+            markerEl.style.left = `${(marker.tick / totalTicks) * 100}%`;
+            const time = formatTime(marker.tick / this.game.timerManager.ticksPerSecond);
+            if (marker.type === 'capture') {
+                markerEl.style.backgroundColor = this.game.playersController.getPlayerColor(marker.owner);
+                markerEl.title = `${time} ${marker.owner} captured ${marker.planetId}`;
+            } else if (marker.type === 'forfeit') {
+                markerEl.title = `${time} ${marker.playerId} forfeited`;
+            } else {
+                markerEl.title = `${time} ${marker.playerId} eliminated`;
+            }
+            markerEl.addEventListener('click', () => this.replayController.seekToMarker(marker));
+            markersContainer.appendChild(markerEl);
+        }
+    }
+    handleButtonClick(e) {
+        const action = e.target.dataset.action;
+        if (!action) return;
+        if (action === 'toggle') {
+            this.replayController.togglePause();
+        } else if (action === 'step') {
+            this.replayController.stepForward();
+        } else if (action === 'next-event') {
+            const marker = this.replayController.getNextMarker();
+            if (marker) this.replayController.seekToMarker(marker);
+        } else if (action === 'previous-event') {
+            const marker = this.replayController.getPreviousMarker();
+            if (marker) this.replayController.seekToMarker(marker);
+        }
+    }
+    update() { // called every frame by the game loop
+        const tick = this.replayController.getCurrentTick();
+        const ticksPerSecond = this.game.timerManager.ticksPerSecond;
+        const isPaused = this.replayController.isPaused();
+        this.toggleButton.textContent = isPaused ? '▶' : '❚❚';
+        this.stepButton.disabled = !isPaused;
+        this.timeLabel.textContent = `${formatTime(tick / ticksPerSecond)} / ${formatTime(this.replayController.totalTicks / ticksPerSecond)} · T${tick}`;
+        if (!this.isScrubbing) {
+            this.scrubber.value = tick;
+        }
+    }
+    dispose() {
+        this.element.remove();
+    }
+}
\ No newline at end of file
@@ -2,31 +2,49 @@
 // root/javascript/ui/ReplayManager.js
 // ===========================================
 
+import botRegistry from '../bots/index.js';
+import { describeMapProblem, getStartSlots } from '../maps.js';
+
 const REPLAY_STORAGE_KEY = 'cultureWarReplays';
+const REPLAY_FORMAT_VERSION = 2; // 1 = seed-only config (bots re-run live), 2 = command log
+const REPLAY_FILE_FORMAT = 'culture-war-replays';
+const REPLAY_FILE_VERSION = 1; // version of the export file wrapper, independent of the replay format
+const MAX_REPLAYS = 20;
 
 export default class ReplayManager {
     constructor() {
         this.replays = this.loadReplays();
     }
-    saveReplay(gameConfig, replayName) {
-        if (gameConfig.players.some(p => p.type === 'human')) return; // only save replays for non-human games to keep it simple
-        const replayData = {
+    saveReplay(replayData, replayName) { // replayData comes from Game.getReplayData()
+        const { config, log, events, ticks } = replayData;
+        const replay = {
+            id: this._createId(),
+            version: REPLAY_FORMAT_VERSION,
             name: replayName,
             timestamp: Date.now(),
-            config: gameConfig,
-            players: gameConfig.players.map(p => p.aiController || 'Human').join(' vs. ')
+            config,
+            log,
+            events,
+            ticks,
+            players: this._describePlayers(config)
         };
-        this.replays.unshift(replayData); // add to beginning of array
-        if (this.replays.length > 20) { // limit to last 20 replays
-            this.replays.length = 20;
+        this.replays.unshift(replay); // add to beginning of array
+        if (this.replays.length > MAX_REPLAYS) { // limit to last 20 replays
+            this.replays.length = MAX_REPLAYS;
         }
         this._persist();
-        // console.log(`Replay '${replayName}' saved.`);
+        return replay;
     }
     loadReplays() {
         try {
             const stored = localStorage.getItem(REPLAY_STORAGE_KEY);
-            return stored ? JSON.parse(stored) : [];
+            const replays = stored ? JSON.parse(stored) : [];
+            replays.forEach((replay, i) => { // replays saved before ids, numbered by position so they stay unique
+                if (typeof replay.id !== 'string') {
+                    replay.id = `replay-${replay.timestamp}-${i}`;
+                }
+            });
+            return replays;
         } catch (e) {
             console.error("Failed to load replays:", e);
             return [];
@@ -35,8 +53,114 @@ export default class ReplayManager {
     getReplays() { // sorted by most recent
         return this.replays.sort((a, b) => b.timestamp - a.timestamp);
     }
-    deleteReplay(timestamp) {
-        this.replays = this.replays.filter(r => r.timestamp !== timestamp);
+    getReplay(id) {
+        return this.replays.find(replay => replay.id === id) || null;
+    }
+    isLegacyReplay(replay) { // older replays have no command log and can only be re-simulated with the current bots
+        return !Array.isArray(replay.log);
+    }
+    createExportFile(ids = null) { // wraps one, several or (null) all replays in a versioned file
+        const replays = ids ? this.replays.filter(r => ids.includes(r.id)) : this.replays;
+        return {
+            format: REPLAY_FILE_FORMAT,
+            version: REPLAY_FILE_VERSION,
+            exportedAt: Date.now(),
+            replays
+        };
+    }
+    importFile(fileData) { // merges a parsed export file, returns a report instead of throwing on bad entries
+        const report = { imported: 0, duplicates: 0, rejected: [], warnings: [] };
+        if (!fileData || fileData.format !== REPLAY_FILE_FORMAT || !Array.isArray(fileData.replays)) {
+            report.rejected.push('Not a Culture War replay file.');
+            return report;
+        }
+        if (typeof fileData.version !== 'number' || fileData.version > REPLAY_FILE_VERSION) {
+            report.rejected.push(`Replay file version ${fileData.version} is newer than this game supports (${REPLAY_FILE_VERSION}).`);
+            return report;
+        }
+        const knownFingerprints = new Set(this.replays.map(r => this._fingerprint(r)));
+        for (const replay of fileData.replays) {
+            const label = replay && replay.name ? `"${replay.name}"` : 'Unnamed replay';
+            const problem = this._validateReplay(replay);
+            if (problem) {
+                report.rejected.push(`${label}: ${problem}`);
+                continue;
+            }
+            const fingerprint = this._fingerprint(replay);
+            if (knownFingerprints.has(fingerprint)) {
+                report.duplicates++;
+                continue;
+            }
+            const unknownBots = this._getUnknownBots(replay);
+            if (unknownBots.length > 0) {
+                if (this.isLegacyReplay(replay)) { // without a command log the bots have to be re-run, so they must exist
+                    report.rejected.push(`${label}: legacy replay needs bots that no longer exist (${unknownBots.join(', ')}).`);
+                    continue;
+                }
+                report.warnings.push(`${label}: bots ${unknownBots.join(', ')} no longer exist, playback still works from the command log.`);
+            }
+            if (this.replays.length >= MAX_REPLAYS) {
+                report.rejected.push(`${label}: replay storage is full (max ${MAX_REPLAYS}).`);
+                continue;
+            }
+            if (typeof replay.players !== 'string') {
+                replay.players = this._describePlayers(replay.config);
+            }
+            replay.id = this._createId(); // ids are only unique within one browser, a shared file may reuse them
+            this.replays.push(replay);
+            knownFingerprints.add(fingerprint);
+            report.imported++;
+        }
+        if (report.imported > 0) {
+            this._persist();
+        }
+        return report;
+    }
+    _validateReplay(replay) { // returns a reason string, or null if the replay is usable
+        if (!replay || typeof replay !== 'object') return 'not an object.';
+        const version = replay.version || 1; // replays saved before versioning are seed-only
+        if (version > REPLAY_FORMAT_VERSION) return `replay format ${version} is newer than this game supports.`;
+        if (typeof replay.timestamp !== 'number') return 'missing timestamp.';
+        const config = replay.config;
+        if (!config || !Array.isArray(config.players) || config.players.length < 2) return 'missing player list.';
+        if (config.seed === undefined) return 'missing seed.';
+        if (config.players.some(p => !p || typeof p.id !== 'string' || (p.type !== 'human' && p.type !== 'bot'))) return 'malformed player entry.';
+        if (config.map) { // games on an editor map are laid out from it, so it has to be playable by exactly these players
+            const mapProblem = describeMapProblem(config.map);
+            if (mapProblem) return `map: ${mapProblem}`;
+            if (getStartSlots(config.map) !== config.players.length) return `its map seats ${getStartSlots(config.map)} players, the replay has ${config.players.length}.`;
+        }
+        if (version >= 2) {
+            if (!Array.isArray(replay.log)) return 'missing command log.';
+            const badCommand = replay.log.find(c => !Array.isArray(c) || c.length !== 5 || typeof c[0] !== 'number' || (typeof c[3] !== 'number' && c[3] !== null)); // null amounts are fleet redirects
+            if (badCommand) return 'malformed command log.';
+            if (typeof replay.ticks !== 'number') return 'missing length.';
+        } else if (config.players.some(p => p.type === 'human')) {
+            return 'legacy replays of human games cannot be played back.';
+        }
+        return null;
+    }
+    _getUnknownBots(replay) {
+        const known = new Set(botRegistry.map(bot => bot.value));
+        return replay.config.players
+            .filter(p => p.type === 'bot' && !known.has(p.aiController))
+            .map(p => p.aiController);
+    }
+    _describePlayers(config) {
+        return config.players.map(p => p.type === 'human' ? 'Human' : p.aiController).join(' vs. ');
+    }
+    _fingerprint(replay) {
+        return `${replay.timestamp}|${replay.config.seed}|${replay.log ? replay.log.length : 'legacy'}`;
+    }
+    _createId() {
+        let id = `replay-${Date.now().toString(36)}`;
+        for (let n = 2; this.getReplay(id); n++) {
+            id = `replay-${Date.now().toString(36)}-${n}`;
+        }
+        return id;
+    }
+    deleteReplay(id) {
+        this.replays = this.replays.filter(r => r.id !== id);
         this._persist();
     }
     clearAllReplays() {
@@ -2,6 +2,8 @@
 // root/javascript/ui/StatsTracker.js
 // ===========================================
 
+import RatingSystem from '../RatingSystem.js';
+
 export default class StatsTracker { // singleton class to intercept game stat logs, parse them, and persist them in localStorage for aggregation
     constructor() {
         if (StatsTracker.instance) { // ensure only one instance of StatsTracker exists
@@ -9,7 +11,9 @@ export default class StatsTracker { // singleton class to intercept game stat lo
         }
         this.games = {};
         this.playerRecords = [];
+        this.ratingSystem = new RatingSystem();
         this.loadFromLocalStorage();
+        this.rebuildRatings(); // ratings are derived from the stored records, never persisted on their own
         StatsTracker.instance = this;
     }
     report(data) { // central reporting method for all game statistics
@@ -24,6 +28,9 @@ export default class StatsTracker { // singleton class to intercept game stat lo
                 troopsSent: data.troopsSent,
                 planetsConquered: data.planetsConquered,
                 troopsLost: data.troopsLost,
+                playerCount: data.playerCount,
+                victoryCondition: data.victoryCondition || 'conquest', // older games were all conquest
+                victoryType: data.victoryType || null,
             };
         } else if (type === 'PLAYER_STATS') {
             this.playerRecords.push({
@@ -33,8 +40,15 @@ export default class StatsTracker { // singleton class to intercept game stat lo
                 planets: data.planets,
                 troops: data.troops,
                 survivalTime: data.survivalTime,
-                cultureScore: data.cultureScore || 0
+                cultureScore: data.cultureScore || 0,
+                won: !!data.won, // the winner and, in team games, their teammates
+                team: data.team || null, // null in free-for-all, the rating ranks teammates as one side
+                victoryScore: data.victoryScore || 0, // what the game's victory condition ranked by
+                errors: data.errors || 0, // BotSupervisor faults
+                slowDecisions: data.slowDecisions || 0,
+                forfeited: !!data.forfeited
             });
+            this.rateGameIfComplete(gameId);
         }
         this.saveToLocalStorage();
     }
@@ -74,6 +88,9 @@ export default class StatsTracker { // singleton class to intercept game stat lo
                     totalSurvivalTime: 0,
                     totalCultureScore: 0,
                     totalRank: 0,
+                    errors: 0,
+                    slowDecisions: 0,
+                    forfeits: 0,
                 };
             }
             const playerStat = statsByPlayer[record.nickname];
@@ -81,7 +98,12 @@ export default class StatsTracker { // singleton class to intercept game stat lo
             playerStat.totalSurvivalTime += record.survivalTime;
             playerStat.totalCultureScore += record.cultureScore || 0;
             playerStat.totalRank += record.rank;
-            if (record.rank === 1) {
+            playerStat.errors += record.errors || 0; // older records have no fault counters
+            playerStat.slowDecisions += record.slowDecisions || 0;
+            if (record.forfeited) {
+                playerStat.forfeits++;
+            }
+            if (record.won !== undefined ? record.won : record.rank === 1) { // records from before team games only have the rank
                 playerStat.wins++;
             }
         }
@@ -96,9 +118,40 @@ export default class StatsTracker { // singleton class to intercept game stat lo
         aggregatedList.sort((a, b) => b.totalCultureScore - a.totalCultureScore || b.winRate - a.winRate);
         return aggregatedList;
     }
+    rateGameIfComplete(gameId) { // player records arrive one by one, rate the game once the last one is in
+        const game = this.games[gameId];
+        if (!game || !game.playerCount) return;
+        const records = this.playerRecords.filter(r => r.gameId === gameId);
+        if (records.length === game.playerCount) {
+            this.ratingSystem.rateGame(records);
+        }
+    }
+    rebuildRatings() { // replays every stored game in the order it was recorded
+        this.ratingSystem.reset();
+        const recordsByGame = new Map();
+        for (const record of this.playerRecords) {
+            if (!recordsByGame.has(record.gameId)) {
+                recordsByGame.set(record.gameId, []);
+            }
+            recordsByGame.get(record.gameId).push(record);
+        }
+        for (const records of recordsByGame.values()) {
+            if (records.length >= 2) {
+                this.ratingSystem.rateGame(records);
+            }
+        }
+    }
+    getRatings() { // nickname -> { mu, sigma, rating, gamesRated, history }
+        const ratings = {};
+        for (const [nickname, rating] of Object.entries(this.ratingSystem.ratings)) {
+            ratings[nickname] = { ...rating, rating: this.ratingSystem.getConservativeRating(rating) };
+        }
+        return ratings;
+    }
     clearStats() {
         this.games = {};
         this.playerRecords = [];
+        this.ratingSystem.reset();
         localStorage.removeItem('cultureWarStats');
     }
 }
\ No newline at end of file
@@ -3,6 +3,7 @@
 // ===========================================
 
 import botRegistry from '../bots/index.js';
+import { escapeHTML } from '../utils.js';
 
 export default class TournamentCompleteScreen {
     constructor(container) {
@@ -16,7 +17,7 @@ export default class TournamentCompleteScreen {
         const championName = botInfo ? botInfo.name : champion.aiController;
         this.container.innerHTML = `
             <div class="tournament-complete-content">
-                <h2>CHAMPION: ${championName.toUpperCase()}</h2>
+                <h2>CHAMPION: ${escapeHTML(championName.toUpperCase())}</h2>
                 <div class="game-over-buttons"> 
                     <button class="menu-button -solid -yellow" id="replay-final-button">WATCH FINAL</button>
                     <button class="menu-button -solid -grey" id="return-to-menu-button">RETURN TO MENU</button>
@@ -2,14 +2,16 @@
 // root/javascript/TournamentScreen.js
 // ===========================================
 
+import TournamentFormat from '../tournaments/TournamentFormat.js';
+
 export default class TournamentScreen {
     constructor(element) {
         this.element = element;
-        this.onSimulate = null;
-        this.onWatch = null;
+        this.view = null; // last view from TournamentManager, kept so the screen can be rebuilt after watching a match
     }
-    show(bracketData) {
-        if (!bracketData) return; // Guard clause
+    show(view) {
+        if (view) this.view = view;
+        if (!this.view) return; // Guard clause
         this.element.innerHTML = `
             <div class="tournament-hub-container">
                 <div class="tournament-bracket-container">
@@ -19,72 +21,168 @@ export default class TournamentScreen {
                 <div id="tournament-podium" class="tournament-podium" style="display: none;"></div>
             </div>
         `;
-        this._renderBracket(bracketData);
+        this._renderView();
         this.element.style.display = 'flex';
     }
     hide() {
         this.element.style.display = 'none';
         this.element.innerHTML = '';
     }
-    _renderBracket(bracketData) {
-        if (!bracketData) return; // Guard clause
-        const bracketContainer = this.element.querySelector('#tournament-bracket');
-        bracketContainer.innerHTML = '';
-        const numRounds = bracketData.length;
-        const roundElements = bracketData.map((round, i) => {
-            const roundEl = document.createElement('div');
-            roundEl.className = 'bracket-round-column';
-            roundEl.id = `round-col-${i}`;
-            return roundEl;
-        });
-        bracketData.forEach((round, roundIndex) => {
-            // Create match elements for all but the final winner "round"
-            if (roundIndex < numRounds - 1) { 
-                for (let i = 0; i < round.length; i += 2) {
-                    const matchIndex = i / 2;
-                    const p1 = round[i];
-                    const p2 = round[i + 1];
-                    const winner = bracketData[roundIndex + 1]?.[matchIndex];
-                    const matchEl = document.createElement('div');
-                    matchEl.className = 'bracket-match';
-                    matchEl.id = `match-${roundIndex}-${matchIndex}`;
-                    const p1_text = p1 ? p1.aiController : 'TBD';
-                    const p2_text = p2 ? p2.aiController : 'BYE';
-                    const winner_class = winner && winner.aiController === p1_text ? 'winner' : '';
-                    const winner_class_p2 = winner && winner.aiController === p2_text ? 'winner' : '';
-                    const loser_class = winner && winner.aiController !== p1_text && p2 ? 'loser' : '';
-                    const loser_class_p2 = winner && winner.aiController !== p2_text && p1 ? 'loser' : '';
-                    matchEl.innerHTML = `
-                        <div class="bracket-player ${!p1 ? 'tbd' : ''} ${winner_class} ${loser_class}">${p1_text}</div>
-                        <div class="vs-separator">vs</div>
-                        <div class="bracket-player ${!p2 ? 'tbd' : ''} ${winner_class_p2} ${loser_class_p2}">${p2_text}</div>
-                    `;
-                    roundElements[roundIndex].appendChild(matchEl);
-                }
-            } else { // Render final winner
-                const champion = round[0];
-                if(champion) {
-                    const winnerEl = document.createElement('div');
-                    winnerEl.className = 'bracket-match';
-                    winnerEl.innerHTML = `<div class="bracket-player winner">${champion.aiController}</div>`;
-                    roundElements[roundIndex].appendChild(winnerEl);
+    setView(view) { // returns false while the screen is torn down (a match is being watched), show() rebuilds it later
+        this.view = view;
+        if (!this.element.querySelector('#tournament-bracket')) return false;
+        this._renderView();
+        return true;
+    }
+    _renderView() {
+        const container = this.element.querySelector('#tournament-bracket');
+        container.innerHTML = '';
+        if (this.view.type === 'table') {
+            this._renderTable(container, this.view);
+        } else {
+            this._renderBracket(container, this.view);
+        }
+    }
+    _getName(view, slot) {
+        return slot === null || slot === undefined ? 'TBD' : view.participants[slot].aiController;
+    }
+    _renderMatch(match, view) {
+        const matchEl = document.createElement('div');
+        matchEl.className = 'bracket-match';
+        matchEl.dataset.matchId = match.id;
+        if (match.isBye) {
+            const name = this._getName(view, match.slots[0]);
+            matchEl.innerHTML = `
+                <div class="bracket-player ${match.slots[0] === null ? 'tbd' : 'winner'}">${name}</div>
+                <div class="vs-separator">vs</div>
+                <div class="bracket-player tbd">BYE</div>
+            `;
+            return matchEl;
+        }
+        if (match.advance !== undefined) { // free-for-all heat, rendered as a group
+            return this._renderHeat(matchEl, match, view);
+        }
+        const score = TournamentFormat.getSeriesScore(match);
+        matchEl.innerHTML = match.slots.map((slot, i) => {
+            let stateClass = '';
+            if (slot === null) {
+                stateClass = 'tbd';
+            } else if (match.placing) {
+                stateClass = match.placing[0] === slot ? 'winner' : 'loser';
+            }
+            const scoreEl = score ? `<span class="series-score">${score[i]}</span>` : '';
+            return `<div class="bracket-player ${stateClass}" data-participant="${slot}">${this._getName(view, slot)}${scoreEl}</div>`;
+        }).join(`<div class="vs-separator">${match.series && match.series.bestOf > 1 ? `bo${match.series.bestOf}` : 'vs'}</div>`);
+        return matchEl;
+    }
+    _renderHeat(matchEl, match, view) { // finishing order once played, going-through bots highlighted
+        matchEl.classList.add('bracket-heat');
+        const advancing = this._getAdvancing(match);
+        const rows = match.placing || match.slots;
+        matchEl.innerHTML = rows.map((slot, i) => {
+            let stateClass = '';
+            if (match.placing) {
+                stateClass = advancing.includes(slot) ? 'winner' : 'loser';
+            }
+            const position = match.placing ? `<span class="heat-position">${i + 1}</span>` : '';
+            return `<div class="bracket-player ${stateClass}" data-participant="${slot}">${position}${this._getName(view, slot)}</div>`;
+        }).join('');
+        const footer = document.createElement('div');
+        footer.className = 'heat-advance';
+        footer.textContent = match.advance > 0 ? `Top ${match.advance} go through` : 'Final';
+        matchEl.appendChild(footer);
+        return matchEl;
+    }
+    _getAdvancing(match) { // bots a played match sends on, a final only has its winner
+        if (!match.placing) return [];
+        return match.advance > 0 ? match.placing.slice(0, match.advance) : [match.placing[0]];
+    }
+    _renderBracket(container, view) {
+        view.sections.forEach((section, sectionIndex) => {
+            const sectionEl = document.createElement('div');
+            sectionEl.className = 'bracket-section';
+            if (section.title) {
+                sectionEl.innerHTML = `<h3 class="bracket-section-title">${section.title}</h3>`;
+            }
+            const roundsEl = document.createElement('div');
+            roundsEl.className = 'bracket-section-rounds';
+            for (const round of section.rounds) {
+                const roundEl = document.createElement('div');
+                roundEl.className = 'bracket-round-column';
+                roundEl.innerHTML = `<div class="bracket-round-title">${round.title}</div>`;
+                for (const match of round.matches) {
+                    roundEl.appendChild(this._renderMatch(match, view));
                 }
+                roundsEl.appendChild(roundEl);
             }
+            const isLastSection = sectionIndex === view.sections.length - 1;
+            if (isLastSection && view.champion !== null && view.champion !== undefined) { // Render final winner
+                const championEl = document.createElement('div');
+                championEl.className = 'bracket-round-column';
+                championEl.innerHTML = `
+                    <div class="bracket-round-title">Champion</div>
+                    <div class="bracket-match"><div class="bracket-player winner">${this._getName(view, view.champion)}</div></div>
+                `;
+                roundsEl.appendChild(championEl);
+            }
+            sectionEl.appendChild(roundsEl);
+            container.appendChild(sectionEl);
         });
-        roundElements.forEach(el => bracketContainer.appendChild(el));
-    }
-    prepareNextMatch(p1, p2, roundIndex, matchIndex, onSimulate, onWatch) {
-        document.querySelectorAll('.bracket-match.next-match').forEach(el => el.classList.remove('next-match'));
-        const matchEl = this.element.querySelector(`#match-${roundIndex}-${matchIndex}`);
-        if(matchEl) {
-            matchEl.classList.add('next-match');
-            matchEl.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+    _renderTable(container, view) { // standings plus a crosstable, for formats without a bracket
+        const headerCells = view.columns.map(col => `<th title="${col.title}">${col.label}</th>`).join('');
+        const standingsRows = view.rows.map((row, i) => `
+            <tr>
+                <td>${i + 1}</td>
+                <td class="col-fighter">${row.participant.aiController}</td>
+                ${view.columns.map(col => `<td>${row[col.key]}</td>`).join('')}
+            </tr>
+        `).join('');
+        const order = view.rows.map(row => row.index); // crosstable follows the standings order
+        const crossHeader = order.map((_, i) => `<th>${i + 1}</th>`).join('');
+        const crossRows = order.map((rowIndex, i) => {
+            const cells = order.map(colIndex => {
+                const result = view.crosstable[rowIndex][colIndex];
+                if (result === null) return '<td class="crosstable-self"></td>';
+                return `<td class="crosstable-cell" data-pair="${Math.min(rowIndex, colIndex)}-${Math.max(rowIndex, colIndex)}">${result || '·'}</td>`;
+            }).join('');
+            return `<tr><th>${i + 1}. ${view.participants[rowIndex].aiController}</th>${cells}</tr>`;
+        }).join('');
+        container.innerHTML = `
+            ${view.title ? `<h3 class="bracket-section-title">${view.title}</h3>` : ''}
+            <div class="leaderboard tournament-standings">
+                <table>
+                    <thead><tr><th>#</th><th class="col-fighter">Bot</th>${headerCells}</tr></thead>
+                    <tbody>${standingsRows}</tbody>
+                </table>
+            </div>
+            <div class="crosstable-container">
+                <table class="crosstable">
+                    <thead><tr><th></th>${crossHeader}</tr></thead>
+                    <tbody>${crossRows}</tbody>
+                </table>
+            </div>
+        `;
+    }
+    _getMatchElements(match) { // bracket box, or both crosstable cells for the pairing
+        const byId = this.element.querySelectorAll(`[data-match-id="${match.id}"]`);
+        if (byId.length > 0) return Array.from(byId);
+        const [a, b] = match.slots;
+        return Array.from(this.element.querySelectorAll(`[data-pair="${Math.min(a, b)}-${Math.max(a, b)}"]`));
+    }
+    prepareNextMatch(match, view, onSimulate, onWatch) {
+        if (!this.setView(view)) return;
+        const matchEls = this._getMatchElements(match);
+        matchEls.forEach(el => el.classList.add('next-match'));
+        if (matchEls.length > 0) {
+            matchEls[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
         }
         const controlsContainer = this.element.querySelector('#tournament-controls');
         controlsContainer.style.display = 'block';
         controlsContainer.innerHTML = `
             <h3>UP NEXT:</h3>
-            <p class="match-players">${p1.aiController} vs ${p2.aiController}</p>
+            <p class="match-players">${match.slots.map(slot => this._getName(view, slot)).join(' vs ')}</p>
+            ${this._describeSeries(match)}
             <div class="button-group">
                 <button id="simulate-match-btn" class="menu-button -solid -cyan">SIMULATE</button>
                 <button id="watch-match-btn" class="menu-button -solid -yellow">WATCH</button>
@@ -93,27 +191,31 @@ export default class TournamentScreen {
         this.element.querySelector('#simulate-match-btn').onclick = onSimulate;
         this.element.querySelector('#watch-match-btn').onclick = onWatch;
     }
-    updateBracket(winner, loser, roundIndex, matchIndex, fullBracketData) {
+    _describeSeries(match) {
+        const score = TournamentFormat.getSeriesScore(match);
+        if (!score) return '';
+        const gameNumber = match.series.games.length + 1;
+        const sides = gameNumber % 2 === 0 ? ' · sides swapped' : '';
+        return `<p class="match-series">Game ${gameNumber} · best of ${match.series.bestOf} · ${score[0]}-${score[1]}${sides}</p>`;
+    }
+    showMatchResult(match, view) {
+        if (!this.setView(view)) return;
         const controlsContainer = this.element.querySelector('#tournament-controls');
         controlsContainer.style.display = 'none';
-        // Re-render the entire bracket to correctly show winner/loser states and propagation
-        this._renderBracket(fullBracketData);
-        // Animate the winner propagating
-        const nextRoundIndex = roundIndex + 1;
-        const nextMatchIndex = Math.floor(matchIndex / 2);
-        const nextMatchEl = this.element.querySelector(`#match-${nextRoundIndex}-${nextMatchIndex}`);
-        if (nextMatchEl) {
-            const winningPlayerEl = Array.from(nextMatchEl.querySelectorAll('.bracket-player')).find(el => el.textContent === winner.aiController);
-            if (winningPlayerEl) {
-                winningPlayerEl.classList.add('winner-propagation-animation');
+        for (const matchEl of this._getMatchElements(match)) { // Animate the winner, or everyone who got out of a heat
+            for (const participant of this._getAdvancing(match)) {
+                const winnerEl = matchEl.querySelector(`[data-participant="${participant}"]`) || matchEl;
+                winnerEl.classList.add('winner-propagation-animation');
             }
         }
     }
-    showPodium(champion, runnerUp, onReplay, onReturn) {
+    showPodium(champion, runnerUp, onReplay, onReturn, keepBracket = false) { // onReplay may be null when no replay was kept
+        if (!this.element.querySelector('#tournament-podium')) return;
         const bracketContainer = this.element.querySelector('.tournament-bracket-container');
         const controlsContainer = this.element.querySelector('#tournament-controls');
         const podiumContainer = this.element.querySelector('#tournament-podium');
-        if(bracketContainer) bracketContainer.style.display = 'none';
+        const isTable = this.view && this.view.type === 'table';
+        if(bracketContainer && !isTable && !keepBracket) bracketContainer.style.display = 'none'; // final standings and crosstable stay up
         if(controlsContainer) controlsContainer.style.display = 'none';
         podiumContainer.style.display = 'flex';
         podiumContainer.innerHTML = `
@@ -126,11 +228,11 @@ export default class TournamentScreen {
                 <p>${runnerUp ? runnerUp.aiController : 'N/A'}</p>
             </div>
             <div class="podium-actions">
-                <button id="replay-final-btn" class="menu-button -solid -yellow">WATCH FINAL</button>
+                ${onReplay ? `<button id="replay-final-btn" class="menu-button -solid -yellow">${isTable ? 'WATCH LAST MATCH' : 'WATCH FINAL'}</button>` : ''}
                 <button id="return-menu-btn" class="menu-button -solid -grey">RETURN TO MENU</button>
             </div>
         `;
-        this.element.querySelector('#replay-final-btn').onclick = onReplay;
+        if (onReplay) this.element.querySelector('#replay-final-btn').onclick = onReplay;
         this.element.querySelector('#return-menu-btn').onclick = onReturn;
     }
 }
\ No newline at end of file
@@ -0,0 +1,74 @@
+// ===========================================
+// root/javascript/ui/TournamentStore.js — the unfinished tournament and the history of finished ones, kept in localStorage
+// ===========================================
+
+const ACTIVE_STORAGE_KEY = 'cultureWarTournament';
+const HISTORY_STORAGE_KEY = 'cultureWarTournamentHistory';
+const TOURNAMENT_STATE_VERSION = 1; // bump when TournamentManager.serialize() changes shape
+const MAX_HISTORY = 10;
+
+export default class TournamentStore {
+    constructor() {
+        this.active = this._load(ACTIVE_STORAGE_KEY, null);
+        this.history = this._load(HISTORY_STORAGE_KEY, []).filter(entry => entry.version === TOURNAMENT_STATE_VERSION);
+        if (this.active && this.active.version !== TOURNAMENT_STATE_VERSION) { // saved by an incompatible build, can't be resumed
+            this.clearActive();
+        }
+    }
+    saveActive(state) { // state comes from TournamentManager.serialize()
+        this.active = { version: TOURNAMENT_STATE_VERSION, ...state };
+        this._persist(ACTIVE_STORAGE_KEY, this.active);
+    }
+    getActive() {
+        return this.active;
+    }
+    clearActive() {
+        this.active = null;
+        try {
+            localStorage.removeItem(ACTIVE_STORAGE_KEY);
+        } catch (error) {
+            console.error("Could not clear the saved tournament:", error);
+        }
+    }
+    archive(state) { // moves a finished tournament into the history, newest first
+        this.history = this.history.filter(entry => entry.id !== state.id);
+        this.history.unshift({ version: TOURNAMENT_STATE_VERSION, ...state });
+        if (this.history.length > MAX_HISTORY) {
+            this.history.length = MAX_HISTORY;
+        }
+        this._persist(HISTORY_STORAGE_KEY, this.history);
+        if (this.active && this.active.id === state.id) {
+            this.clearActive();
+        }
+    }
+    getHistory() {
+        return this.history;
+    }
+    getHistoryEntry(id) {
+        return this.history.find(entry => entry.id === id) || null;
+    }
+    deleteFromHistory(id) {
+        this.history = this.history.filter(entry => entry.id !== id);
+        this._persist(HISTORY_STORAGE_KEY, this.history);
+    }
+    clearHistory() {
+        this.history = [];
+        this._persist(HISTORY_STORAGE_KEY, this.history);
+    }
+    _load(key, fallback) {
+        try {
+            const stored = localStorage.getItem(key);
+            return stored ? JSON.parse(stored) : fallback;
+        } catch (e) {
+            console.error("Failed to load tournaments:", e);
+            return fallback;
+        }
+    }
+    _persist(key, value) {
+        try {
+            localStorage.setItem(key, JSON.stringify(value));
+        } catch (error) {
+            console.error("Could not save tournaments to localStorage:", error);
+        }
+    }
+}
\ No newline at end of file
@@ -72,17 +72,27 @@ export default class TroopTracker {
         this.lastTotalTroops = totalTroops; // store calculated total for renderer
         if (this.barSegmentsContainer) {
             this.barSegmentsContainer.innerHTML = '';
-            const orderedPlayerIds = this.game.playersController.players.map(p => p.id);
+            const orderedPlayerIds = this.game.playersController.players
+                .slice()
+                .sort((a, b) => (a.team || 0) - (b.team || 0)) // teammates side by side, free-for-all keeps the player order
+                .map(p => p.id);
             orderedPlayerIds.push('neutral');
+            let lastSide = null;
             for (const playerId of orderedPlayerIds) {
                 if (playerTroops[playerId] && playerTroops[playerId] > 0) {
                     const percentage = (playerTroops[playerId] / totalTroops) * 100;
                     const segment = document.createElement('div');
                     segment.className = 'troop-bar-segment';
+                    const side = playerId === 'neutral' ? 'neutral' : this.game.playersController.getSideOf(playerId);
+                    if (lastSide !== null && side !== lastSide && this.game.playersController.getTeam(playerId) !== null) {
+                        segment.classList.add('-team-start'); // a divider where the next team's troops begin
+                    }
+                    lastSide = side;
                     segment.style.width = `${percentage}%`;
                     const color = this.playerColors[playerId] || config.ui.visuals.fallbackColor;
                     segment.style.backgroundColor = color;
-                    segment.title = `Player ${playerId}: ${Math.round(playerTroops[playerId])} troops (${percentage.toFixed(1)}%)`;
+                    const team = this.game.playersController.getTeam(playerId);
+                    segment.title = `Player ${playerId}${team ? ` (team ${team})` : ''}: ${Math.round(playerTroops[playerId])} troops (${percentage.toFixed(1)}%)`;
                     if (playerId !== 'neutral') { // add player nickname to segment
                         const playerInfo = this.game.playersController.getPlayerById(playerId);
                         if (playerInfo) {
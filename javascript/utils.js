@@ -8,3 +8,26 @@ export function formatTime(seconds) {
     const secs = Math.floor(seconds % 60);
     return `${minutes}:${secs.toString().padStart(2, '0')}`;
 }
+export function downloadJSON(filename, data) { // save an object as a .json file through a temporary link
+    const blob = new Blob([JSON.stringify(data)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+export async function readJSONFile(file) { // throws if the file isn't valid JSON
+    const text = await file.text();
+    return JSON.parse(text);
+}
+export function escapeHTML(text) { // for strings that come from files or other users before they go into innerHTML
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
\ No newline at end of file
@@ -0,0 +1,7 @@
+// ===========================================
+// root/javascript/victory/Conquest.js — the classic game: wipe out every other side, or own the most planets when time runs out
+// ===========================================
+
+import VictoryCondition from './VictoryCondition.js';
+
+export default class Conquest extends VictoryCondition {} // the base rules are the whole game
\ No newline at end of file
@@ -0,0 +1,68 @@
+// ===========================================
+// root/javascript/victory/KingOfTheHill.js — the planet nearest the map's center is the hill, a side that holds it long enough without a break wins
+// ===========================================
+
+import VictoryCondition from './VictoryCondition.js';
+import { config } from '../config.js';
+
+export default class KingOfTheHill extends VictoryCondition {
+    constructor(game, type) {
+        super(game, type);
+        const centerX = game.config.game.logicalWidth / 2;
+        const centerY = game.config.game.logicalHeight / 2;
+        const distance = planet => Math.hypot(planet.x - centerX, planet.y - centerY);
+        this.hill = game.planets.reduce((nearest, planet) => distance(planet) < distance(nearest) ? planet : nearest);
+        this.ticksToWin = Math.round(config.victory.hillHoldSeconds * game.timerManager.ticksPerSecond);
+        this.holderSide = null; // side of the hill's owner, null while it is neutral
+        this.heldTicks = 0; // how long holderSide has held the hill without a break
+        this.totalTicks = {}; // playerId -> ticks spent owning the hill in all, what ranks players
+    }
+    update() {
+        const owner = this.hill.owner;
+        if (owner === 'neutral') {
+            this.holderSide = null;
+            this.heldTicks = 0;
+            return;
+        }
+        const side = this.game.playersController.getSideOf(owner);
+        if (side !== this.holderSide) { // captured, passing the hill between teammates keeps the count going
+            this.holderSide = side;
+            this.heldTicks = 0;
+        }
+        this.heldTicks++;
+        this.totalTicks[owner] = (this.totalTicks[owner] || 0) + 1;
+    }
+    checkGoal() {
+        if (this.holderSide === null || this.heldTicks < this.ticksToWin) return null;
+        return { winner: this.hill.owner, type: 'hill' };
+    }
+    getScore(playerId) { // seconds on the hill
+        return (this.totalTicks[playerId] || 0) / this.game.timerManager.ticksPerSecond;
+    }
+    getScoreLabel() {
+        return 'Hill Time';
+    }
+    describeGoal(victoryType) {
+        return victoryType === 'hill' ? `Held the hill for ${config.victory.hillHoldSeconds}s` : null;
+    }
+    getGoalInfo() {
+        const ticksPerSecond = this.game.timerManager.ticksPerSecond;
+        return {
+            hillPlanetId: this.hill.id,
+            holdSeconds: config.victory.hillHoldSeconds,
+            holder: this.holderSide === null ? null : this.hill.owner,
+            heldFor: this.heldTicks / ticksPerSecond
+        };
+    }
+    getMarkers() {
+        return [{ planetId: this.hill.id, progress: this.heldTicks / this.ticksToWin }];
+    }
+    serialize() {
+        return { holderSide: this.holderSide, heldTicks: this.heldTicks, totalTicks: { ...this.totalTicks } };
+    }
+    restore(state) {
+        this.holderSide = state.holderSide;
+        this.heldTicks = state.heldTicks;
+        this.totalTicks = { ...state.totalTicks };
+    }
+}
\ No newline at end of file
@@ -0,0 +1,27 @@
+// ===========================================
+// root/javascript/victory/PlanetThreshold.js — the first side to own a set share of all planets wins
+// ===========================================
+
+import VictoryCondition from './VictoryCondition.js';
+import { config } from '../config.js';
+
+export default class PlanetThreshold extends VictoryCondition {
+    constructor(game, type) {
+        super(game, type);
+        this.planetsToWin = Math.ceil(game.planets.length * config.victory.planetShare);
+    }
+    checkGoal() {
+        for (const player of this.game.playersController.players) {
+            if (this.getSideTotal(player.id, id => this.getScore(id)) >= this.planetsToWin) {
+                return { winner: this.getSideLeader(player.id), type: 'threshold' };
+            }
+        }
+        return null;
+    }
+    describeGoal(victoryType) {
+        return victoryType === 'threshold' ? `Held ${this.planetsToWin} of ${this.game.planets.length} planets` : null;
+    }
+    getGoalInfo() {
+        return { planetsToWin: this.planetsToWin };
+    }
+}
\ No newline at end of file
@@ -0,0 +1,46 @@
+// ===========================================
+// root/javascript/victory/ScoreRace.js — planets score their production rate every second, the first side to reach the target wins
+// ===========================================
+
+import VictoryCondition from './VictoryCondition.js';
+import { config } from '../config.js';
+
+export default class ScoreRace extends VictoryCondition {
+    constructor(game, type) {
+        super(game, type);
+        this.points = {}; // playerId -> points scored so far
+    }
+    update() {
+        const ticksPerSecond = this.game.timerManager.ticksPerSecond;
+        for (const planet of this.game.planets) {
+            if (planet.owner === 'neutral') continue;
+            this.points[planet.owner] = (this.points[planet.owner] || 0) + planet.productionRate / ticksPerSecond;
+        }
+    }
+    checkGoal() {
+        for (const player of this.game.playersController.players) {
+            if (this.getSideTotal(player.id, id => this.getScore(id)) >= config.victory.pointsToWin) {
+                return { winner: this.getSideLeader(player.id), type: 'score' };
+            }
+        }
+        return null;
+    }
+    getScore(playerId) {
+        return this.points[playerId] || 0;
+    }
+    getScoreLabel() {
+        return 'Points';
+    }
+    describeGoal(victoryType) {
+        return victoryType === 'score' ? `First to ${config.victory.pointsToWin} points` : null;
+    }
+    getGoalInfo() {
+        return { pointsToWin: config.victory.pointsToWin };
+    }
+    serialize() {
+        return { points: { ...this.points } };
+    }
+    restore(state) {
+        this.points = { ...state.points };
+    }
+}
\ No newline at end of file
@@ -0,0 +1,40 @@
+// ===========================================
+// root/javascript/victory/SuddenDeath.js — every player must guard the planet they started on: the first to take an enemy's home planet wins
+// ===========================================
+
+import VictoryCondition from './VictoryCondition.js';
+
+export default class SuddenDeath extends VictoryCondition {
+    constructor(game, type) {
+        super(game, type);
+        this.homePlanets = {}; // playerId -> the planet they started on
+        for (const player of game.playersController.players) {
+            const home = game.planets.find(planet => planet.owner === player.id);
+            if (home) {
+                this.homePlanets[player.id] = home;
+            }
+        }
+    }
+    checkGoal() {
+        const playersController = this.game.playersController;
+        for (const [playerId, home] of Object.entries(this.homePlanets)) {
+            if (home.owner !== 'neutral' && !playersController.areAllies(home.owner, playerId)) {
+                return { winner: home.owner, type: 'home' };
+            }
+        }
+        return null;
+    }
+    describeGoal(victoryType) {
+        return victoryType === 'home' ? 'Took an enemy home planet' : null;
+    }
+    getGoalInfo() {
+        const homePlanetIds = {};
+        for (const [playerId, home] of Object.entries(this.homePlanets)) {
+            homePlanetIds[playerId] = home.id;
+        }
+        return { homePlanetIds };
+    }
+    getMarkers() {
+        return Object.values(this.homePlanets).map(home => ({ planetId: home.id, progress: null }));
+    }
+}
\ No newline at end of file
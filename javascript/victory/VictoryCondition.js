@@ -0,0 +1,104 @@
+// ===========================================
+// root/javascript/victory/VictoryCondition.js — base class for victory conditions: the last side standing and the time-out end every game, subclasses add a goal and decide what ranks players
+// ===========================================
+
+export default class VictoryCondition {
+    constructor(game, type) {
+        this.game = game;
+        this.type = type; // the registry value, e.g. 'conquest'
+    }
+    // --- DECIDING THE GAME ---
+    check(timeRemaining) { // { winner, type } once the game is decided, null while it goes on
+        const goal = this.checkGoal();
+        if (goal) return goal;
+        const playersController = this.game.playersController;
+        const alive = playersController.players
+            .map(player => player.id)
+            .filter(id => playersController.hasPlayerPlanets(id) || playersController.hasPlayerTroopsInMovement(id));
+        const sides = new Set(alive.map(id => playersController.getSideOf(id)));
+        if (sides.size === 1) { // one player left, or only teammates
+            return { winner: this.getLeader(alive), type: 'domination' };
+        }
+        if (timeRemaining <= 0) {
+            return { winner: this.getLeader(), type: 'time' };
+        }
+        return null;
+    }
+    getRankingKey(playerId) { // the condition's score first, then planets and troops break ties
+        return [
+            this.getScore(playerId),
+            this.game.planets.filter(planet => planet.owner === playerId).length,
+            this.game.playersController.calculateTotalTroops(playerId)
+        ];
+    }
+    compare(playerId, otherId) { // for sort(), the better player first
+        return compareKeys(this.getRankingKey(playerId), this.getRankingKey(otherId));
+    }
+    getLeader(playerIds = this.game.playersController.players.map(player => player.id)) { // the best player of the best side, whose teammates share the win
+        const playersController = this.game.playersController;
+        const keys = new Map(playerIds.map(id => [id, this.getRankingKey(id)]));
+        const sideKeys = new Map();
+        for (const [id, key] of keys) {
+            const side = playersController.getSideOf(id);
+            const sideKey = sideKeys.get(side);
+            sideKeys.set(side, sideKey ? sideKey.map((value, i) => value + key[i]) : key);
+        }
+        const bestSide = [...sideKeys.keys()].reduce((best, side) =>
+            compareKeys(sideKeys.get(best), sideKeys.get(side)) > 0 ? side : best);
+        return playerIds
+            .filter(id => playersController.getSideOf(id) === bestSide)
+            .reduce((best, id) => compareKeys(keys.get(best), keys.get(id)) > 0 ? id : best);
+    }
+    getSideLeader(playerId) { // the best player on playerId's side
+        const playersController = this.game.playersController;
+        const side = playersController.getSideOf(playerId);
+        return this.getLeader(playersController.players.map(player => player.id).filter(id => playersController.getSideOf(id) === side));
+    }
+    getSideTotal(playerId, valueOf) { // valueOf summed over the player and their teammates
+        const allies = [playerId, ...this.game.playersController.getAllyIds(playerId)];
+        return allies.reduce((sum, id) => sum + valueOf(id), 0);
+    }
+    getResultText(victoryType) { // one line for the game-over screen and the logs, null before the game ends
+        if (victoryType === 'domination') return 'Last side standing';
+        if (victoryType === 'time') return `Time ran out, most ${this.getScoreLabel().toLowerCase()} wins`;
+        return this.describeGoal(victoryType);
+    }
+    getInfo() { // plain data for bots and screens
+        const scores = {};
+        for (const player of this.game.playersController.players) {
+            scores[player.id] = this.getScore(player.id);
+        }
+        return { type: this.type, scoreLabel: this.getScoreLabel(), scores, ...this.getGoalInfo() };
+    }
+    // --- FOR SUBCLASSES ---
+    update() {} // called once per tick before check(), for conditions that keep count over time
+    checkGoal() { // { winner, type } once a side has reached the condition's own goal
+        return null;
+    }
+    getScore(playerId) { // what ranks the survivors and decides a time-out
+        return this.game.planets.filter(planet => planet.owner === playerId).length;
+    }
+    getScoreLabel() {
+        return 'Planets';
+    }
+    describeGoal(victoryType) {
+        return null;
+    }
+    getGoalInfo() { // the goal's parameters and progress, merged into getInfo()
+        return {};
+    }
+    getMarkers() { // { planetId, progress } rings the Renderer draws, progress from 0 to 1 or null for a plain ring
+        return [];
+    }
+    serialize() { // whatever update() has counted, for replay seeking
+        return {};
+    }
+    restore(state) {}
+}
+
+function compareKeys(a, b) { // positive when b ranks above a
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) return b[i] - a[i];
+    }
+    return 0;
+}
\ No newline at end of file
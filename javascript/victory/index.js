@@ -0,0 +1,49 @@
+// ===========================================
+// root/javascript/victory/index.js
+// ===========================================
+
+import Conquest from './Conquest.js';
+import KingOfTheHill from './KingOfTheHill.js';
+import PlanetThreshold from './PlanetThreshold.js';
+import SuddenDeath from './SuddenDeath.js';
+import ScoreRace from './ScoreRace.js';
+
+const victoryConditions = [ // the first entry is the default, and what games without a victoryCondition are played with
+    {
+        value: 'conquest',
+        name: 'Conquest',
+        class: Conquest,
+        description: 'Wipe out every other side, or own the most planets when time runs out.'
+    },
+    {
+        value: 'king-of-the-hill',
+        name: 'King of the Hill',
+        class: KingOfTheHill,
+        description: 'The planet nearest the center is the hill. Hold it without a break long enough to win.'
+    },
+    {
+        value: 'planet-threshold',
+        name: 'Planet Threshold',
+        class: PlanetThreshold,
+        description: 'The first side to own a set share of all planets wins.'
+    },
+    {
+        value: 'sudden-death',
+        name: 'Sudden Death',
+        class: SuddenDeath,
+        description: 'Guard your home planet: the first to take an enemy home planet wins.'
+    },
+    {
+        value: 'score',
+        name: 'Score',
+        class: ScoreRace,
+        description: 'Planets score their production every second. The first side to reach the target wins.'
+    }
+];
+
+export function createVictoryCondition(game, value) { // unknown values fall back to the default, e.g. a replay saved before victory conditions
+    const entry = victoryConditions.find(condition => condition.value === value) || victoryConditions[0];
+    return new entry.class(game, entry.value);
+}
+
+export default victoryConditions;
\ No newline at end of file
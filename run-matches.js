@@ -0,0 +1,111 @@
+// ===========================================
+// root/run-matches.js — runs bot matches in Node without a browser and writes one JSON line per game
+// usage: node run-matches.js --bots C4,G2.5 --games 500 --seed 42 --density 1.3 [--out results.jsonl]
+// ===========================================
+
+import { parseArgs } from 'node:util';
+import { createWriteStream } from 'node:fs';
+import GameSimulation from './javascript/GameSimulation.js';
+import botRegistry from './javascript/bots/index.js';
+import { config } from './javascript/config.js';
+
+const USAGE = `usage: node run-matches.js --bots C4,G2.5 [--games 1] [--seed <number>] [--density ${config.planetGeneration.density.default}] [--out results.jsonl]
+  --bots     comma-separated bot values, one per player (${config.menuDefaults.playerCountRange.join('-')} players)
+  --games    number of games to run, game n uses seed + n
+  --seed     seed of the first game, defaults to the current time
+  --density  planet density (${config.planetGeneration.density.min}-${config.planetGeneration.density.max})
+  --out      write results to a file instead of stdout
+  known bots: ${botRegistry.map(bot => bot.value).join(', ')}`;
+
+function fail(message) {
+    console.error(`${message}\n\n${USAGE}`);
+    process.exit(1);
+}
+
+function parseOptions() {
+    let values;
+    try {
+        ({ values } = parseArgs({
+            options: {
+                bots: { type: 'string' },
+                games: { type: 'string', default: '1' },
+                seed: { type: 'string' },
+                density: { type: 'string', default: String(config.planetGeneration.density.default) },
+                out: { type: 'string' },
+                help: { type: 'boolean', short: 'h' }
+            }
+        }));
+    } catch (error) {
+        fail(error.message);
+    }
+    if (values.help) {
+        console.log(USAGE);
+        process.exit(0);
+    }
+    if (!values.bots) fail('--bots is required.');
+    const bots = values.bots.split(',').map(bot => bot.trim()).filter(Boolean);
+    const [minPlayers, maxPlayers] = config.menuDefaults.playerCountRange;
+    if (bots.length < minPlayers || bots.length > maxPlayers) fail(`--bots needs between ${minPlayers} and ${maxPlayers} bots.`);
+    const knownBots = new Set(botRegistry.map(bot => bot.value));
+    const unknownBots = bots.filter(bot => !knownBots.has(bot));
+    if (unknownBots.length > 0) fail(`Unknown bots: ${unknownBots.join(', ')}.`);
+    const games = Number(values.games);
+    if (!Number.isInteger(games) || games < 1) fail('--games must be a positive integer.');
+    const seed = values.seed === undefined ? Date.now() : Number(values.seed);
+    if (!Number.isFinite(seed)) fail('--seed must be a number.');
+    const density = Number(values.density);
+    const { min, max } = config.planetGeneration.density;
+    if (!Number.isFinite(density) || density < min || density > max) fail(`--density must be between ${min} and ${max}.`);
+    return { bots, games, seed, density, out: values.out };
+}
+
+function runMatch(bots, seed, density) {
+    const gameConfig = {
+        players: bots.map((bot, i) => ({ id: `player${i + 1}`, type: 'bot', aiController: bot })),
+        planetDensity: density,
+        seed: seed
+    };
+    const simulation = new GameSimulation(gameConfig);
+    const summary = simulation.runToEnd();
+    const winner = simulation.playersController.getPlayerById(summary.winner);
+    return {
+        seed: seed,
+        bots: bots,
+        winner: summary.winner,
+        winnerBot: winner ? winner.aiController : null,
+        victoryType: summary.victoryType,
+        ticks: summary.ticks,
+        duration: summary.time,
+        troopsSent: summary.troopsSent,
+        troopsLost: summary.troopsLost,
+        planetsConquered: summary.planetsConquered,
+        botIssues: summary.botIssues,
+        rankings: simulation.gameState.getRankings().map(r => ({
+            rank: r.rank, playerId: r.playerId, bot: r.nickname, planets: r.planets, troops: r.troops, survivalTime: r.survivalTime
+        }))
+    };
+}
+
+function main() {
+    const options = parseOptions();
+    const output = options.out ? createWriteStream(options.out) : process.stdout;
+    if (!options.out) {
+        console.log = console.error; // bots may log, keep stdout pure JSON lines
+    }
+    const wins = {};
+    const startTime = Date.now();
+    for (let i = 0; i < options.games; i++) {
+        const result = runMatch(options.bots, options.seed + i, options.density);
+        output.write(JSON.stringify({ game: i + 1, ...result }) + '\n');
+        wins[result.winnerBot] = (wins[result.winnerBot] || 0) + 1;
+        console.error(`game ${i + 1}/${options.games} seed ${result.seed}: ${result.winnerBot} (${result.winner}) by ${result.victoryType}`);
+    }
+    const seconds = ((Date.now() - startTime) / 1000).toFixed(1);
+    const tally = Object.entries(wins).map(([bot, count]) => `${bot} ${count}`).join(', ');
+    console.error(`${options.games} games in ${seconds}s, wins: ${tally}`);
+    if (options.out) {
+        output.end();
+    }
+}
+
+main();
\ No newline at end of file